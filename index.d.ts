@@ -1,4 +1,7 @@
 type HttpClientType = "axios" | "fetch";
+type EnumStyle = "enum" | "union" | "const-object";
+type Int64Type = "number" | "bigint" | "string";
+type ResultStyle = "http-response" | "status-union";
 
 interface GenerateApiParamsBase {
   /**
@@ -24,6 +27,23 @@ interface GenerateApiParamsBase {
    */
   generateUnionEnums?: boolean;
 
+  /**
+   * style of generated enums (default: "enum"):
+   * "enum" - `enum T {}`, "union" - `type T = T1 | T2 | TN`, "const-object" - `const T = {} as const; type T = (typeof T)[keyof typeof T]`
+   */
+  enumStyle?: EnumStyle;
+
+  /**
+   * generate array of values of each enum (`export const TValues: T[] = [...]`) (default: false)
+   */
+  generateEnumValues?: boolean;
+
+  /**
+   * generate branded types for string formats and `x-brand` vendor extension (`type Uuid = string & { __brand: "uuid" }`)
+   * with constructor (`toUuid`) and guard (`isUuid`) helpers (default: false)
+   */
+  brandedTypes?: boolean;
+
   /**
    * generate type definitions for API routes (default: false)
    */
@@ -95,6 +115,23 @@ interface GenerateApiParamsBase {
    * extract response error type to data contract
    */
   extractResponseError?: boolean;
+  /**
+   * generate header and cookie params as arguments of api methods (`headers: { "X-Tenant-Id": number }`, `cookies: { session_id: string }`),
+   * they are inserted before `params` argument (positions of next arguments are shifted),
+   * with `extractRequestParams` they are merged into request params object (default: false)
+   */
+  generateHeaderParams?: boolean;
+  /**
+   * http clients parse response headers declared in the spec into `typedHeaders` of the response (`response.typedHeaders.xTotalCount: number`),
+   * `HttpResponse` type and `request` method of http client get third generic type `H` of typed headers (default: false)
+   */
+  typedResponseHeaders?: boolean;
+  /**
+   * routes with several media types of request body or response get `contentType` and `accept` request params
+   * which select type and serializer of request body and type and format of response,
+   * `ContentType` enum of http client contains all media types of the schema (default: false)
+   */
+  contentTypeVariants?: boolean;
   /**
    * prettier configuration
    */
@@ -132,6 +169,102 @@ interface GenerateApiParamsBase {
    * generate readonly properties (default: false)
    */
   addReadonly?: boolean;
+  /**
+   * generate only routes which paths match these glob patterns (`*` - path segment, `**` - any part of path, `/pets/**` matches `/pets` too)
+   */
+  includePaths?: string[];
+  /**
+   * skip routes which paths match these glob patterns
+   */
+  excludePaths?: string[];
+  /**
+   * generate only routes which have one of these tags
+   */
+  includeTags?: string[];
+  /**
+   * skip routes which have one of these tags
+   */
+  excludeTags?: string[];
+  /**
+   * generate only routes with these http methods
+   */
+  includeMethods?: string[];
+  /**
+   * skip routes with these http methods
+   */
+  excludeMethods?: string[];
+  /**
+   * generate only routes which operationIds match these regular expressions
+   */
+  includeOperationIds?: (string | RegExp)[];
+  /**
+   * skip routes which operationIds match these regular expressions
+   */
+  excludeOperationIds?: (string | RegExp)[];
+  /**
+   * generate only data contracts which are reachable from generated routes (default: false)
+   */
+  pruneUnusedTypes?: boolean;
+  /**
+   * generate request (`UserInput`, without `readOnly` properties) and response (`User`, without `writeOnly` properties)
+   * data contracts for schemas which have `readOnly`/`writeOnly` properties (default: false)
+   */
+  splitReadWriteModels?: boolean;
+  /**
+   * generate `Date` type for `date` and `date-time` strings (default: false)
+   * http client converts them in query params, request and response bodies using generated `*DateFields` descriptors
+   */
+  convertDates?: boolean;
+  /**
+   * type of `integer`/`number` schemas with `int64` format (default: "number"):
+   * "number" - `number`, "bigint" - `bigint`, "string" - branded `Int64` string (`string & { __brand: "int64" }`)
+   * with "bigint" and "string" http client parses and serializes int64 numbers without loss of precision
+   * using generated `*Int64Fields` descriptors
+   */
+  int64Type?: Int64Type;
+  /**
+   * result of generated methods (default: "http-response"):
+   * "http-response" - `HttpResponse<Data, Error>`,
+   * "status-union" - `{ status: 200; data: Data; headers } | { status: 404; error: Error; headers }` built from all responses of the route
+   * (`2XX`-like and `default` responses cover statuses which are not declared explicitly), http client doesn't throw on error statuses
+   */
+  resultStyle?: ResultStyle;
+  /**
+   * generate zod schemas for data contracts (`UserSchema`) and route types (default: false)
+   * requires `zod` package
+   */
+  generateZodSchemas?: boolean;
+  /**
+   * http client validates response bodies using generated zod schemas, turns on `generateZodSchemas` (default: false)
+   */
+  validateResponses?: boolean;
+  /**
+   * objects without `additionalProperties` get `[key: string]: unknown` index signature,
+   * only `additionalProperties: false` closes the object (zod schemas of closed objects are `.strict()`) (default: false)
+   */
+  strictAdditionalProperties?: boolean;
+  /**
+   * component schemas which have the same shape and differ only in the type of one property (`PageUser`, `PageOrder`)
+   * become aliases of generic data contract (`type PageUser = Page<User>`) (default: false)
+   */
+  extractGenericTypes?: boolean;
+  /**
+   * generic data contracts for the cases which are not found by `extractGenericTypes`,
+   * key is the name of the generic type, `property` is the property which type is the type parameter
+   * (can be omitted if schemas differ only in this property)
+   * @example { Page: { schemas: ["PageUser", "PageOrder"], property: "content" } }
+   */
+  genericTypes?: Record<string, GenericTypeConfig>;
+  /**
+   * inline object and enum schemas which are repeated in the swagger schema become named data contracts
+   * (name from `title` or property name), inline copies of existing component schemas are replaced with refs to them (default: false)
+   */
+  dedupeInlineTypes?: boolean;
+  /**
+   * nested inline object and enum schemas (also in request and response bodies) become named data contracts,
+   * names are built from the parent name and property name (`Order.shipping.address` -> `OrderShippingAddress`) (default: false)
+   */
+  extractInlineTypes?: boolean;
 
   primitiveTypeConstructs?: (struct: PrimitiveTypeStruct) => Partial<PrimitiveTypeStruct>;
 
@@ -141,6 +274,7 @@ interface GenerateApiParamsBase {
 type CodeGenConstruct = {
   Keyword: {
     Number: string;
+    BigInt: string;
     String: string;
     Boolean: string;
     Any: string;
@@ -153,9 +287,12 @@ type CodeGenConstruct = {
     Date: string;
     Type: string;
     Enum: string;
+    Const: string;
     Interface: string;
     Array: string;
     Record: string;
+    NonNullable: string;
+    Exclude: string;
     Intersection: string;
     Union: string;
   };
@@ -168,13 +305,20 @@ type CodeGenConstruct = {
   NumberValue: (content: any) => string;
   NullValue: (content: any) => string;
   UnionType: (content: any) => string;
+  DocumentedUnionType: (content: any) => string;
   ExpressionGroup: (content: any) => string;
   IntersectionType: (content: any) => string;
   RecordType: (content: any) => string;
+  TupleType: (content: any) => string;
+  RestType: (content: any) => string;
+  OptionalTupleItemType: (content: any) => string;
   TypeField: (content: any) => string;
   InterfaceDynamicField: (content: any) => string;
   EnumField: (content: any) => string;
   EnumFieldsWrapper: (content: any) => string;
+  EnumFieldDescription: (content: any) => string;
+  ConstObjectField: (content: any) => string;
+  ConstObjectFieldsWrapper: (content: any) => string;
   ObjectWrapper: (content: any) => string;
   MultilineComment: (content: any) => string;
   TypeWithGeneric: (content: any) => string;
@@ -210,7 +354,52 @@ interface GenerateApiParamsFromSpecLiteral extends GenerateApiParamsBase {
   spec: import("swagger-schema-official").Spec;
 }
 
-export type GenerateApiParams = GenerateApiParamsFromPath | GenerateApiParamsFromUrl | GenerateApiParamsFromSpecLiteral;
+interface GenerateApiInput {
+  /**
+   * path to swagger schema
+   */
+  input?: string;
+  /**
+   * url to swagger schema
+   */
+  url?: string;
+  /**
+   * swagger schema JSON
+   */
+  spec?: import("swagger-schema-official").Spec;
+  /**
+   * name of the api client module which will contain routes of this schema (default: grouped by the route path)
+   */
+  namespace?: string;
+  /**
+   * prefix for component type names of this schema (default: "")
+   */
+  typePrefix?: string;
+}
+
+interface GenericTypeConfig {
+  /**
+   * names of the component schemas which become instances of the generic type
+   */
+  schemas: string[];
+  /**
+   * property which type is the type parameter
+   */
+  property?: string;
+}
+
+interface GenerateApiParamsFromMultipleInputs extends GenerateApiParamsBase {
+  /**
+   * list of swagger schemas which will be merged into one api client
+   */
+  inputs: GenerateApiInput[];
+}
+
+export type GenerateApiParams =
+  | GenerateApiParamsFromPath
+  | GenerateApiParamsFromUrl
+  | GenerateApiParamsFromSpecLiteral
+  | GenerateApiParamsFromMultipleInputs;
 
 export interface Hooks {
   /** calls after parse schema component */
@@ -249,6 +438,7 @@ export type SchemaTypePrimitiveContent = {
   name?: any;
   description: string;
   content: string;
+  typeParameters: string[] | null;
 };
 
 export type SchemaTypeObjectContent = {
@@ -307,6 +497,10 @@ export interface SchemaComponent {
   };
   componentName: string;
   typeData: ParsedSchema<SchemaTypeObjectContent | SchemaTypeEnumContent | SchemaTypePrimitiveContent> | null;
+  /**
+   * type parameters of generic data contract (`extractGenericTypes`, `genericTypes` options)
+   */
+  typeParameters?: string[];
 }
 
 export enum RequestContentKind {
@@ -351,12 +545,32 @@ export interface ParsedRoute {
   raw: RawRouteInfo;
 }
 
+export type BrandType = {
+  /** `Uuid` */
+  name: string;
+  /** `uuid` (string format or value of `x-brand`) */
+  brand: string;
+  /** `string` */
+  baseType: string;
+  format: string | null;
+  /** `toUuid` */
+  constructorName: string;
+  /** `isUuid` */
+  guardName: string;
+  /** body of the guard function (`typeof value === "string" && ...`) */
+  guard: string;
+};
+
 export type ModelType = {
   typeIdentifier: string;
   name: string;
   rawContent: string;
   description: string;
   content: string;
+  /** `StatusValues` (enum data contracts only) */
+  enumValuesName: string | null;
+  /** `["Status.Active", "Status.Deleted"]` (enum data contracts only) */
+  enumValues: string[] | null;
 };
 
 export enum SCHEMA_TYPES {
@@ -365,6 +579,7 @@ export enum SCHEMA_TYPES {
   ENUM = "enum",
   REF = "$ref",
   PRIMITIVE = "primitive",
+  CONST = "const",
   COMPLEX = "complex",
   COMPLEX_ONE_OF = "oneOf",
   COMPLEX_ANY_OF = "anyOf",
@@ -388,6 +603,7 @@ export interface GenerateApiConfiguration {
     output: string;
     url: string;
     spec: any;
+    inputs: GenerateApiInput[];
     fileName: string;
     authorizationToken?: string;
     generateResponses: boolean;
@@ -395,10 +611,14 @@ export interface GenerateApiConfiguration {
     generateRouteTypes: boolean;
     generateClient: boolean;
     generateUnionEnums: boolean;
+    enumStyle: EnumStyle;
+    generateEnumValues: boolean;
+    brandedTypes: boolean;
     swaggerSchema: object;
     originalSchema: object;
     componentsMap: Record<string, SchemaComponent>;
     convertedFromSwagger2: boolean;
+    isOpenApi31: boolean;
     moduleNameIndex: number;
     moduleNameFirstTag: boolean;
     extraTemplates: { name: string; path: string }[];
@@ -414,11 +634,34 @@ export interface GenerateApiConfiguration {
     cleanOutput: boolean;
     debug: boolean;
     anotherArrayType: boolean;
+    includePaths: string[];
+    excludePaths: string[];
+    includeTags: string[];
+    excludeTags: string[];
+    includeMethods: string[];
+    excludeMethods: string[];
+    includeOperationIds: (string | RegExp)[];
+    excludeOperationIds: (string | RegExp)[];
+    pruneUnusedTypes: boolean;
+    splitReadWriteModels: boolean;
+    convertDates: boolean;
+    int64Type: Int64Type;
+    resultStyle: ResultStyle;
+    generateZodSchemas: boolean;
+    validateResponses: boolean;
+    strictAdditionalProperties: boolean;
+    extractGenericTypes: boolean;
+    genericTypes: Record<string, GenericTypeConfig>;
+    dedupeInlineTypes: boolean;
+    extractInlineTypes: boolean;
     extractRequestBody: boolean;
     httpClientType: "axios" | "fetch";
     addReadonly: boolean;
     extractResponseBody: boolean;
     extractResponseError: boolean;
+    generateHeaderParams: boolean;
+    typedResponseHeaders: boolean;
+    contentTypeVariants: boolean;
     defaultResponseType: boolean;
     toJS: boolean;
     disableThrowOnError: boolean;
@@ -453,10 +696,17 @@ export interface GenerateApiConfiguration {
     requestOptions?: import("node-fetch").RequestInit;
   };
   modelTypes: ModelType[];
+  brandTypes: BrandType[];
   rawModelTypes: SchemaComponent[];
   hasFormDataRoutes: boolean;
   hasSecurityRoutes: boolean;
   hasQueryRoutes: boolean;
+  hasParamStylesRoutes: boolean;
+  hasHeaderParamsRoutes: boolean;
+  hasTypedHeadersRoutes: boolean;
+  hasContentVariantsRoutes: boolean;
+  /** media types of the schema which are added to `ContentType` enum of http client (`{ name: "TextCsv", value: "text/csv" }`), `contentTypeVariants` option */
+  contentTypes: { name: string; value: string; contentKind: RequestContentKind }[];
   generateResponses: boolean;
   routes: {
     outOfModule: ParsedRoute[];
@@ -10,7 +10,7 @@ const _ = require("lodash");
 const { version, name } = require("./package.json");
 const { cli } = require("./cli");
 const { generateApi, generateTemplates } = require("./src");
-const { HTTP_CLIENT } = require("./src/constants");
+const { HTTP_CLIENT, ENUM_STYLE, INT64_TYPE, RESULT_STYLE } = require("./src/constants");
 const { resolve } = require("path");
 const { CodeGenConfig } = require("./src/configuration");
 const { TemplatesGenConfig } = require("./src/commands/generate-templates/configuration");
@@ -22,7 +22,7 @@ const program = cli({
   name: name,
   alias: "sta",
   version: version,
-  description: "Generate api via swagger scheme.\nSupports OA 3.0, 2.0, JSON, yaml.",
+  description: "Generate api via swagger scheme.\nSupports OA 3.1, 3.0, 2.0, JSON, yaml.",
   options: [
     {
       flags: "-p, --path <string>",
@@ -60,6 +60,24 @@ const program = cli({
       description: 'generate all "enum" types as union types (T1 | T2 | TN)',
       default: codeGenBaseConfig.generateUnionEnums,
     },
+    {
+      flags: "--enum-style <string>",
+      description: `style of generated enums (possible values: ${Object.values(ENUM_STYLE)
+        .map((v) => `"${v}"`)
+        .join(", ")})`,
+      default: codeGenBaseConfig.enumStyle,
+    },
+    {
+      flags: "--enum-values",
+      description: "generate array of values of each enum (export const StatusValues: Status[] = [...])",
+      default: codeGenBaseConfig.generateEnumValues,
+    },
+    {
+      flags: "--branded-types",
+      description:
+        'generate branded types for string formats and "x-brand" vendor extension (type Uuid = string & { __brand: "uuid" })',
+      default: codeGenBaseConfig.brandedTypes,
+    },
     {
       flags: "--add-readonly",
       description: "generate readonly properties",
@@ -101,6 +119,24 @@ const program = cli({
       description: "extract response error type to data contract",
       default: codeGenBaseConfig.extractResponseError,
     },
+    {
+      flags: "--header-params",
+      description:
+        "generate header and cookie params as arguments of api methods (inserted before 'params' argument, or merged into request params with --extract-request-params)",
+      default: codeGenBaseConfig.generateHeaderParams,
+    },
+    {
+      flags: "--typed-response-headers",
+      description:
+        "parse response headers declared in the spec into 'typedHeaders' of the response (response.typedHeaders.xTotalCount: number)",
+      default: codeGenBaseConfig.typedResponseHeaders,
+    },
+    {
+      flags: "--content-type-variants",
+      description:
+        "routes with several media types of request body or response get 'contentType' and 'accept' request params (api.pets.listPets({ accept: ContentType.TextCsv }))",
+      default: codeGenBaseConfig.contentTypeVariants,
+    },
     {
       flags: "--modular",
       description: "generate separated files for http client, data contracts, and routes",
@@ -202,6 +238,111 @@ const program = cli({
       description: "sort fields and types",
       default: codeGenBaseConfig.sortTypes,
     },
+    {
+      flags: "--include-paths <string...>",
+      description: 'generate only routes which paths match glob patterns (example: "/users/*,/pets/**")',
+      default: codeGenBaseConfig.includePaths,
+    },
+    {
+      flags: "--exclude-paths <string...>",
+      description: "skip routes which paths match glob patterns",
+      default: codeGenBaseConfig.excludePaths,
+    },
+    {
+      flags: "--include-tags <string...>",
+      description: "generate only routes which have one of these tags",
+      default: codeGenBaseConfig.includeTags,
+    },
+    {
+      flags: "--exclude-tags <string...>",
+      description: "skip routes which have one of these tags",
+      default: codeGenBaseConfig.excludeTags,
+    },
+    {
+      flags: "--include-methods <string...>",
+      description: 'generate only routes with these http methods (example: "get,post")',
+      default: codeGenBaseConfig.includeMethods,
+    },
+    {
+      flags: "--exclude-methods <string...>",
+      description: "skip routes with these http methods",
+      default: codeGenBaseConfig.excludeMethods,
+    },
+    {
+      flags: "--include-operation-ids <string...>",
+      description: "generate only routes which operationIds match regular expressions",
+      default: codeGenBaseConfig.includeOperationIds,
+    },
+    {
+      flags: "--exclude-operation-ids <string...>",
+      description: "skip routes which operationIds match regular expressions",
+      default: codeGenBaseConfig.excludeOperationIds,
+    },
+    {
+      flags: "--prune-unused-types",
+      description: "generate only data contracts which are used in generated routes",
+      default: codeGenBaseConfig.pruneUnusedTypes,
+    },
+    {
+      flags: "--split-read-write-models",
+      description:
+        'generate request ("UserInput", without "readOnly" properties) and response ("User", without "writeOnly" properties) data contracts',
+      default: codeGenBaseConfig.splitReadWriteModels,
+    },
+    {
+      flags: "--convert-dates",
+      description:
+        'generate "Date" type for "date" and "date-time" strings, http client converts them in query params, request and response bodies',
+      default: codeGenBaseConfig.convertDates,
+    },
+    {
+      flags: "--int64-type <string>",
+      description: `type of "int64" integers (possible values: ${Object.values(INT64_TYPE)
+        .map((v) => `"${v}"`)
+        .join(", ")}), http client parses and serializes "bigint" and "string" int64 numbers without loss of precision`,
+      default: codeGenBaseConfig.int64Type,
+    },
+    {
+      flags: "--result-style <string>",
+      description: `result of generated methods (possible values: ${Object.values(RESULT_STYLE)
+        .map((v) => `"${v}"`)
+        .join(", ")}), "status-union" returns results discriminated by status`,
+      default: codeGenBaseConfig.resultStyle,
+    },
+    {
+      flags: "--generate-zod-schemas",
+      description: 'generate zod schemas for data contracts ("UserSchema") and route types',
+      default: codeGenBaseConfig.generateZodSchemas,
+    },
+    {
+      flags: "--validate-responses",
+      description: "http client validates response bodies using generated zod schemas",
+      default: codeGenBaseConfig.validateResponses,
+    },
+    {
+      flags: "--strict-additional-properties",
+      description:
+        'objects without "additionalProperties" get "[key: string]: unknown" index signature, only "additionalProperties: false" closes the object',
+      default: codeGenBaseConfig.strictAdditionalProperties,
+    },
+    {
+      flags: "--extract-generic-types",
+      description:
+        'schemas which differ only in the type of one property become aliases of generic type ("type PageUser = Page<User>")',
+      default: codeGenBaseConfig.extractGenericTypes,
+    },
+    {
+      flags: "--dedupe-inline-types",
+      description:
+        "inline object and enum schemas which are repeated in the swagger schema become named data contracts (name from title or property name)",
+      default: codeGenBaseConfig.dedupeInlineTypes,
+    },
+    {
+      flags: "--extract-inline-types",
+      description:
+        'nested inline object and enum schemas become named data contracts ("Order.shipping.address" -> "OrderShippingAddress")',
+      default: codeGenBaseConfig.extractInlineTypes,
+    },
   ],
 });
 
@@ -262,12 +403,18 @@ const main = async () => {
           disableThrowOnError: options.disableThrowOnError,
           sortTypes: options.sortTypes,
           generateUnionEnums: options.unionEnums,
+          enumStyle: options.enumStyle,
+          generateEnumValues: options.enumValues,
+          brandedTypes: options.brandedTypes,
           addReadonly: options.addReadonly,
           generateResponses: options.responses,
           extractRequestParams: !!options.extractRequestParams,
           extractRequestBody: !!options.extractRequestBody,
           extractResponseBody: !!options.extractResponseBody,
           extractResponseError: !!options.extractResponseError,
+          generateHeaderParams: !!options.headerParams,
+          typedResponseHeaders: !!options.typedResponseHeaders,
+          contentTypeVariants: !!options.contentTypeVariants,
           input: resolve(process.cwd(), options.path),
           output: resolve(process.cwd(), options.output || "."),
           templates: options.templates,
@@ -287,6 +434,25 @@ const main = async () => {
           apiClassName: options.apiClassName,
           debug: options.debug,
           anotherArrayType: options.anotherArrayType,
+          includePaths: options.includePaths,
+          excludePaths: options.excludePaths,
+          includeTags: options.includeTags,
+          excludeTags: options.excludeTags,
+          includeMethods: options.includeMethods,
+          excludeMethods: options.excludeMethods,
+          includeOperationIds: options.includeOperationIds,
+          excludeOperationIds: options.excludeOperationIds,
+          pruneUnusedTypes: options.pruneUnusedTypes,
+          splitReadWriteModels: options.splitReadWriteModels,
+          convertDates: options.convertDates,
+          int64Type: options.int64Type,
+          resultStyle: options.resultStyle,
+          generateZodSchemas: options.generateZodSchemas,
+          validateResponses: options.validateResponses,
+          strictAdditionalProperties: options.strictAdditionalProperties,
+          extractGenericTypes: options.extractGenericTypes,
+          dedupeInlineTypes: options.dedupeInlineTypes,
+          extractInlineTypes: options.extractInlineTypes,
         });
         break;
       }
@@ -6,6 +6,12 @@ const { TypeName } = require("./type-name.js");
 const _ = require("lodash");
 const { SchemaParser } = require("./schema-parser/schema-parser.js");
 const { SchemaRoutes } = require("./schema-parser/schema-routes.js");
+const { SchemaReadWriteModels } = require("./schema-parser/schema-read-write-models.js");
+const { SchemaGenerics } = require("./schema-parser/schema-generics.js");
+const { SchemaInlineTypes } = require("./schema-parser/schema-inline-types.js");
+const { SchemaDateFields } = require("./schema-parser/schema-date-fields.js");
+const { SchemaInt64Fields } = require("./schema-parser/schema-int64-fields.js");
+const { SchemaZod } = require("./schema-parser/schema-zod.js");
 const { CodeGenConfig } = require("./configuration.js");
 const { FileSystem } = require("./util/file-system");
 const { Templates } = require("./templates");
@@ -13,6 +19,7 @@ const { translate: translateToJS } = require("./translators/JavaScript");
 const ts = require("typescript");
 const { CodeFormatter } = require("./code-formatter");
 const { pascalCase } = require("./util/pascal-case");
+const { SCHEMA_TYPES, INT64_TYPE } = require("./constants.js");
 const { internalCase } = require("./util/internal-case");
 
 class CodeGenProcess {
@@ -44,6 +51,30 @@ class CodeGenProcess {
    * @type {SchemaRoutes}
    */
   schemaRoutes;
+  /**
+   * @type {SchemaReadWriteModels}
+   */
+  schemaReadWriteModels;
+  /**
+   * @type {SchemaGenerics}
+   */
+  schemaGenerics;
+  /**
+   * @type {SchemaInlineTypes}
+   */
+  schemaInlineTypes;
+  /**
+   * @type {SchemaDateFields}
+   */
+  schemaDateFields;
+  /**
+   * @type {SchemaInt64Fields}
+   */
+  schemaInt64Fields;
+  /**
+   * @type {SchemaZod}
+   */
+  schemaZod;
   /**
    * @type {FileSystem}
    */
@@ -73,6 +104,33 @@ class CodeGenProcess {
       this.schemaComponentMap,
       this.typeName,
     );
+    this.schemaReadWriteModels = new SchemaReadWriteModels(this.config, this.schemaComponentMap);
+    this.schemaInlineTypes = new SchemaInlineTypes(
+      this.config,
+      this.schemaComponentMap,
+      this.schemaParser,
+      this.typeName,
+    );
+    this.schemaGenerics = new SchemaGenerics(
+      this.config,
+      this.logger,
+      this.schemaComponentMap,
+      this.schemaParser,
+      this.typeName,
+    );
+    this.schemaDateFields = new SchemaDateFields(
+      this.config,
+      this.schemaComponentMap,
+      this.schemaParser,
+      this.typeName,
+    );
+    this.schemaInt64Fields = new SchemaInt64Fields(
+      this.config,
+      this.schemaComponentMap,
+      this.schemaParser,
+      this.typeName,
+    );
+    this.schemaZod = new SchemaZod(this.config, this.logger, this.schemaComponentMap, this.schemaParser, this.typeName);
     this.schemaRoutes = new SchemaRoutes(
       this.config,
       this.schemaParser,
@@ -80,6 +138,11 @@ class CodeGenProcess {
       this.logger,
       this.templates,
       this.typeName,
+      this.schemaReadWriteModels,
+      this.schemaDateFields,
+      this.schemaInt64Fields,
+      this.schemaZod,
+      this.schemaInlineTypes,
     );
   }
 
@@ -89,7 +152,7 @@ class CodeGenProcess {
 
     const swagger = await this.swaggerSchemaResolver.create();
 
-    this.swaggerSchemaResolver.fixSwaggerSchema(swagger);
+    _.forEach(swagger.services || [swagger], (service) => this.swaggerSchemaResolver.fixSwaggerSchema(service));
 
     this.config.update({
       swaggerSchema: swagger.usageSchema,
@@ -106,6 +169,36 @@ class CodeGenProcess {
 
     this.config.componentTypeNameResolver.reserve(componentSchemaNames);
 
+    if (this.config.dedupeInlineTypes) {
+      this.schemaInlineTypes.dedupeInlineTypes(
+        swagger.usageSchema,
+        _.map(swagger.services || [swagger], (service) => service.usageSchema),
+      );
+    }
+
+    if (this.config.extractInlineTypes) {
+      this.schemaInlineTypes.extractInlineTypes(
+        swagger.usageSchema,
+        _.map(swagger.services || [swagger], (service) => service.usageSchema),
+      );
+    }
+
+    if (this.config.splitReadWriteModels) {
+      this.schemaReadWriteModels.splitComponents();
+    }
+
+    if (this.config.extractGenericTypes || !_.isEmpty(this.config.genericTypes)) {
+      this.schemaGenerics.extractGenericTypes();
+    }
+
+    if (this.config.brandedTypes) {
+      this.schemaParser.schemaBrands.collectBrandTypes(
+        _.map(swagger.services || [swagger], (service) => service.usageSchema),
+      );
+    }
+
+    const componentSchemaRefs = new Set(this.schemaComponentMap.filter("schemas").map((c) => c.$ref));
+
     const parsedSchemas = _.map(_.get(swagger.usageSchema.components, "schemas"), (schema, typeName) =>
       this.schemaParser.parseSchema(schema, typeName),
     );
@@ -113,9 +206,12 @@ class CodeGenProcess {
     this.schemaRoutes.attachSchema({
       usageSchema: swagger.usageSchema,
       parsedSchemas,
+      services: swagger.services,
     });
 
-    const usageComponentSchemas = this.schemaComponentMap.filter("schemas");
+    const usageComponentSchemas = this.config.pruneUnusedTypes
+      ? this.pruneUnusedComponentSchemas(componentSchemaRefs)
+      : this.schemaComponentMap.filter("schemas");
     const sortByProperty = (propertyName) => (o1, o2) => {
       if (o1[propertyName] > o2[propertyName]) {
         return 1;
@@ -153,10 +249,16 @@ class CodeGenProcess {
       apiConfig: this.createApiConfig(swagger.usageSchema),
       config: this.config,
       modelTypes: _.map(sortSchemas(usageComponentSchemas), this.prepareModelType).filter(Boolean),
+      brandTypes: this.schemaParser.schemaBrands.getBrandTypes(),
       rawModelTypes: usageComponentSchemas,
       hasSecurityRoutes: this.schemaRoutes.hasSecurityRoutes,
       hasQueryRoutes: this.schemaRoutes.hasQueryRoutes,
       hasFormDataRoutes: this.schemaRoutes.hasFormDataRoutes,
+      hasParamStylesRoutes: this.schemaRoutes.hasParamStylesRoutes,
+      hasHeaderParamsRoutes: this.schemaRoutes.hasHeaderParamsRoutes,
+      hasTypedHeadersRoutes: this.schemaRoutes.hasTypedHeadersRoutes,
+      hasContentVariantsRoutes: this.schemaRoutes.hasContentVariantsRoutes,
+      contentTypes: this.schemaRoutes.contentTypes,
       generateResponses: this.config.generateResponses,
       routes: this.schemaRoutes.getGroupedRoutes(),
       extraTemplates: this.config.extraTemplates,
@@ -221,6 +323,58 @@ class CodeGenProcess {
     };
   }
 
+  /**
+   * keeps only component schemas which are reachable from generated routes,
+   * schemas created while parsing routes (extracted request params, bodies, etc.) are always kept
+   * @param componentSchemaRefs {Set<string>} refs of component schemas created before parsing routes
+   * @returns {SchemaComponent[]}
+   */
+  pruneUnusedComponentSchemas = (componentSchemaRefs) => {
+    const componentSchemas = this.schemaComponentMap.filter("schemas");
+    const createdByRoutes = _.filter(componentSchemas, (c) => !componentSchemaRefs.has(c.$ref));
+    const reachableRefs = this.schemaComponentMap.getReachableRefs([
+      ..._.map(this.schemaRoutes.routes, (route) => route.raw),
+      ..._.map(createdByRoutes, (c) => c.rawTypeData),
+      ..._.map(this.getRoutesComponentSchemas(componentSchemas), (c) => ({ $ref: c.$ref })),
+    ]);
+    const genericRefs = new Set(this.schemaGenerics.getGenericRefs(reachableRefs));
+    const usedComponentSchemas = _.filter(
+      componentSchemas,
+      (c) => reachableRefs.has(c.$ref) || genericRefs.has(c.$ref) || createdByRoutes.includes(c),
+    );
+
+    this.logger.log(
+      `pruned ${componentSchemas.length - usedComponentSchemas.length} unused data contracts (${
+        usedComponentSchemas.length
+      } left)`,
+    );
+
+    return usedComponentSchemas;
+  };
+
+  /**
+   * component schemas which are used in types of parsed routes,
+   * route types are not always described by `$ref` of raw route
+   * (type found by content of request body or response, `UserInput` of `splitReadWriteModels` option)
+   * @param componentSchemas {SchemaComponent[]}
+   * @returns {SchemaComponent[]}
+   */
+  getRoutesComponentSchemas = (componentSchemas) => {
+    const componentSchemasByName = _.keyBy(componentSchemas, (c) => this.typeName.format(c.typeName));
+    const routeTypes = _.flatMap(this.schemaRoutes.routes, ({ request, response }) => [
+      ..._.map(request.parameters, "type"),
+      ..._.map([request.payload, request.query, request.pathParams, request.headers, request.cookies], "type"),
+      ..._.map([...(request.variants || []), ...(response.variants || [])], "type"),
+      response.type,
+      response.errorType,
+      response.fullTypes,
+      response.statusResultType,
+    ]);
+    const typeNames = _.uniq(_.flatMap(_.filter(routeTypes, _.isString), (type) => type.match(/[\w$]+/g) || []));
+
+    return _.compact(_.map(typeNames, (typeName) => componentSchemasByName[typeName]));
+  };
+
   getRenderTemplateData = () => {
     return {
       utils: {
@@ -254,7 +408,14 @@ class CodeGenProcess {
       typeInfo.typeData = this.schemaParser.parseSchema(typeInfo.rawTypeData, typeInfo.typeName);
     }
     const rawTypeData = typeInfo.typeData;
-    const typeData = this.schemaParser.schemaFormatters.base[rawTypeData.type]
+    const isGenericInstance = !!this.schemaGenerics.getGenericInstance(typeInfo);
+    const typeData = isGenericInstance
+      ? {
+          ...rawTypeData,
+          typeIdentifier: this.config.Ts.Keyword.Type,
+          content: this.schemaGenerics.getGenericInstanceContent(typeInfo),
+        }
+      : this.schemaParser.schemaFormatters.base[rawTypeData.type]
       ? this.schemaParser.schemaFormatters.base[rawTypeData.type](rawTypeData)
       : rawTypeData;
     let { typeIdentifier, name: originalName, content, description } = typeData;
@@ -262,15 +423,37 @@ class CodeGenProcess {
 
     if (name === null) return null;
 
+    const isEnum = !isGenericInstance && rawTypeData.type === SCHEMA_TYPES.ENUM;
+    const withEnumValues = isEnum && this.config.generateEnumValues;
+    const convertInt64 = this.config.int64Type !== INT64_TYPE.NUMBER;
+
     return {
       ...typeData,
       typeIdentifier,
       name,
       description,
-      $content: rawTypeData.content,
+      typeParameters: typeInfo.typeParameters || null,
+      $content: rawTypeData.$extends ? typeData.$content : rawTypeData.content,
       rawContent: rawTypeData.content,
       content: content,
       typeData,
+      enumValuesName: withEnumValues ? this.schemaParser.schemaFormatters.getEnumValuesName(name) : null,
+      enumValues: withEnumValues ? this.schemaParser.schemaFormatters.formatEnumValues(typeData, name) : null,
+      dateFieldsName: this.config.convertDates ? this.schemaDateFields.getFieldsName(typeInfo) : null,
+      // generic data contracts don't have own date fields, int64 fields and zod schemas, they are generated for its instances
+      dateFields:
+        this.config.convertDates && !typeInfo.typeParameters
+          ? this.schemaDateFields.getFieldsContent(typeInfo.rawTypeData)
+          : null,
+      int64FieldsName: convertInt64 ? this.schemaInt64Fields.getFieldsName(typeInfo) : null,
+      int64Fields:
+        convertInt64 && !typeInfo.typeParameters ? this.schemaInt64Fields.getFieldsContent(typeInfo.rawTypeData) : null,
+      zodSchemaName:
+        this.config.generateZodSchemas && !typeInfo.typeParameters ? this.schemaZod.getZodSchemaName(typeInfo) : null,
+      zodSchema:
+        this.config.generateZodSchemas && !typeInfo.typeParameters
+          ? this.schemaZod.getDataContractZodSchema({ typeIdentifier, name }, typeInfo)
+          : null,
     };
   };
 
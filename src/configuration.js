@@ -6,6 +6,7 @@ const { cosmiconfigSync } = require("cosmiconfig");
 
 const TsKeyword = {
   Number: "number",
+  BigInt: "bigint",
   String: "string",
   Boolean: "boolean",
   Any: "any",
@@ -18,9 +19,12 @@ const TsKeyword = {
   Date: "Date",
   Type: "type",
   Enum: "enum",
+  Const: "const",
   Interface: "interface",
   Array: "Array",
   Record: "Record",
+  NonNullable: "NonNullable",
+  Exclude: "Exclude",
   Intersection: "&",
   Union: "|",
 };
@@ -47,6 +51,12 @@ class CodeGenConfig {
   /** CLI flag */
   generateUnionEnums = false;
   /** CLI flag */
+  enumStyle = CONSTANTS.ENUM_STYLE.ENUM;
+  /** CLI flag */
+  generateEnumValues = false;
+  /** CLI flag */
+  brandedTypes = false;
+  /** CLI flag */
   addReadonly = false;
   enumNamesAsValues = false;
   /** parsed swagger schema from getSwaggerObject() */
@@ -60,18 +70,125 @@ class CodeGenConfig {
   componentsMap = {};
   /** flag for catching convertion from swagger 2.0 */
   convertedFromSwagger2 = false;
+  /** flag for catching OpenAPI 3.1 schemas (JSON Schema 2020-12 dialect) */
+  isOpenApi31 = false;
 
   /** url index from paths used for merging into modules */
   moduleNameIndex = 0;
 
   /** use the first tag for the module name */
   moduleNameFirstTag = false;
+  /**
+   * CLI flag
+   * glob patterns of routes paths which should be in output (`/users/*`, `/admin/**`)
+   */
+  includePaths = [];
+  /** CLI flag */
+  excludePaths = [];
+  /** CLI flag */
+  includeTags = [];
+  /** CLI flag */
+  excludeTags = [];
+  /** CLI flag */
+  includeMethods = [];
+  /** CLI flag */
+  excludeMethods = [];
+  /**
+   * CLI flag
+   * regular expressions (or strings which will be converted to RegExp) for route operationIds
+   */
+  includeOperationIds = [];
+  /** CLI flag */
+  excludeOperationIds = [];
+  /**
+   * CLI flag
+   * generate only data contracts which are reachable from generated routes
+   */
+  pruneUnusedTypes = false;
+  /**
+   * CLI flag
+   * generate request (`UserInput`, without `readOnly` properties) and response (`User`, without `writeOnly` properties)
+   * variants of data contracts which have `readOnly`/`writeOnly` properties
+   */
+  splitReadWriteModels = false;
+  /**
+   * CLI flag
+   * `date` and `date-time` strings become `Date` objects,
+   * http client converts them in query params, request and response bodies (using generated `*DateFields` descriptors)
+   */
+  convertDates = false;
+  /**
+   * CLI flag
+   * typescript type of `integer`/`number` schemas with `int64` format: "number" | "bigint" | "string" (branded `Int64` string),
+   * with "bigint" and "string" http client parses and serializes them losslessly (using generated `*Int64Fields` descriptors)
+   */
+  int64Type = CONSTANTS.INT64_TYPE.NUMBER;
+  /**
+   * CLI flag
+   * result of generated methods: "http-response" (`HttpResponse<Data, Error>`) |
+   * "status-union" (`{ status: 200; data: Data; headers } | { status: 404; error: Error; headers }`, http client doesn't throw on error statuses)
+   */
+  resultStyle = CONSTANTS.RESULT_STYLE.HTTP_RESPONSE;
+  /**
+   * CLI flag
+   * generate zod schemas for data contracts (`UserSchema`) and route types
+   */
+  generateZodSchemas = false;
+  /**
+   * CLI flag
+   * http client validates response bodies using generated zod schemas (turns on `generateZodSchemas`)
+   */
+  validateResponses = false;
+  /**
+   * CLI flag
+   * objects follow JSON Schema `additionalProperties` semantics:
+   * absent `additionalProperties` gives `[key: string]: unknown` index signature, only `additionalProperties: false` closes the object
+   */
+  strictAdditionalProperties = false;
+  /**
+   * CLI flag
+   * component schemas with the same shape which differ only in the type of one property (`PageUser`, `PageOrder`)
+   * become aliases of generic data contract (`type PageUser = Page<User>`)
+   */
+  extractGenericTypes = false;
+  /**
+   * generic data contracts which are not found by `extractGenericTypes` option,
+   * `{ Page: { schemas: ["PageUser", "PageOrder"], property: "content" } }` (`property` is optional)
+   * @type {Record<string, { schemas: string[], property?: string }>}
+   */
+  genericTypes = {};
+  /**
+   * CLI flag
+   * inline object and enum schemas which are repeated in the swagger schema become named data contracts,
+   * inline copies of existing component schemas are replaced with refs to them
+   */
+  dedupeInlineTypes = false;
+  /**
+   * CLI flag
+   * nested inline object and enum schemas become named data contracts (`Order.shipping.address` -> `OrderShippingAddress`)
+   */
+  extractInlineTypes = false;
   disableStrictSSL = false;
   disableProxy = false;
   extractRequestParams = false;
   extractRequestBody = false;
   extractResponseBody = false;
   extractResponseError = false;
+  /**
+   * CLI flag
+   * header and cookie params are arguments of generated methods (inserted before `params` argument)
+   */
+  generateHeaderParams = false;
+  /**
+   * CLI flag
+   * http clients parse response headers declared in the spec into `typedHeaders` of the response
+   */
+  typedResponseHeaders = false;
+  /**
+   * CLI flag
+   * routes with several media types of request body or response get `contentType` and `accept` request params
+   */
+  contentTypeVariants = false;
   fileNames = {
     dataContracts: "data-contracts",
     routeTypes: "route-types",
@@ -137,6 +254,11 @@ class CodeGenConfig {
   };
   extraTemplates = [];
   input = "";
+  /**
+   * list of swagger schemas which will be merged into one api
+   * { input?: string, url?: string, spec?: object, namespace?: string, typePrefix?: string }[]
+   */
+  inputs = [];
   modular = false;
   output = "";
   url = "";
@@ -184,6 +306,14 @@ class CodeGenConfig {
      * $A1 | $A2
      */
     UnionType: (contents) => _.join(_.uniq(contents), ` ${this.Ts.Keyword.Union} `),
+    /**
+     * /** $A0.description *\/ | $A0.value
+     * /** $A1.description *\/ | $A1.value
+     */
+    DocumentedUnionType: (contents) =>
+      _.map(contents, ({ value, description }) => {
+        return `\n${this.Ts.EnumFieldDescription(description)}  ${this.Ts.Keyword.Union} ${value}`;
+      }).join(""),
     /**
      * ($A1)
      */
@@ -201,6 +331,18 @@ class CodeGenConfig {
      */
     TypeField: ({ readonly, key, optional, value }) =>
       _.compact([readonly && "readonly ", key, optional && "?", ": ", value]).join(""),
+    /**
+     * [$A1, $A2, ...$AN]
+     */
+    TupleType: (values) => `[${_.join(values, ", ")}]`,
+    /**
+     * ...$A
+     */
+    RestType: (content) => `...${content}`,
+    /**
+     * ($A)?
+     */
+    OptionalTupleItemType: (content) => `${this.Ts.ExpressionGroup(content)}?`,
     /**
      * [key: $A1]: $A2
      */
@@ -215,7 +357,31 @@ class CodeGenConfig {
      * $AN.key = $AN.value,
      */
     EnumFieldsWrapper: (contents) =>
-      _.map(contents, ({ key, value }) => `  ${this.Ts.EnumField(key, value)}`).join(",\n"),
+      _.map(
+        contents,
+        ({ key, value, description }) =>
+          `${this.Ts.EnumFieldDescription(description)}  ${this.Ts.EnumField(key, value)}`,
+      ).join(",\n"),
+    /**
+     * /** $A *\/ (empty if enum member doesn't have description)
+     */
+    EnumFieldDescription: (description) =>
+      description ? this.Ts.MultilineComment(_.split(description, "\n"), (part) => `  ${part}`).join("") : "",
+    /**
+     * $A1: $A2
+     */
+    ConstObjectField: (key, value) => `${key}: ${value}`,
+    /**
+     * $A0.key: $A0.value,
+     * $A1.key: $A1.value,
+     * $AN.key: $AN.value,
+     */
+    ConstObjectFieldsWrapper: (contents) =>
+      _.map(
+        contents,
+        ({ key, value, description }) =>
+          `${this.Ts.EnumFieldDescription(description)}  ${this.Ts.ConstObjectField(key, value)}`,
+      ).join(",\n"),
     /**
      * {\n $A \n}
      */
@@ -243,8 +409,14 @@ class CodeGenConfig {
    * @type {Record<string, string | ((schema: any, parser: SchemaParser) => string) | ({ $default: string } & Record<string, string | ((schema: any, parser: SchemaParser) => string)>)>}
    */
   primitiveTypes = {
-    integer: () => this.Ts.Keyword.Number,
-    number: () => this.Ts.Keyword.Number,
+    integer: {
+      $default: () => this.Ts.Keyword.Number,
+      int64: (schema, parser) => this.getInt64TypeAlias(schema, parser),
+    },
+    number: {
+      $default: () => this.Ts.Keyword.Number,
+      int64: (schema, parser) => this.getInt64TypeAlias(schema, parser),
+    },
     boolean: () => this.Ts.Keyword.Boolean,
     object: () => this.Ts.Keyword.Object,
     file: () => this.Ts.Keyword.File,
@@ -254,9 +426,9 @@ class CodeGenConfig {
       /** formats */
       binary: () => this.Ts.Keyword.File,
       file: () => this.Ts.Keyword.File,
-      "date-time": () => this.Ts.Keyword.String,
+      "date-time": () => (this.convertDates ? this.Ts.Keyword.Date : this.Ts.Keyword.String),
       time: () => this.Ts.Keyword.String,
-      date: () => this.Ts.Keyword.String,
+      date: () => (this.convertDates ? this.Ts.Keyword.Date : this.Ts.Keyword.String),
       duration: () => this.Ts.Keyword.String,
       email: () => this.Ts.Keyword.String,
       "idn-email": () => this.Ts.Keyword.String,
@@ -271,9 +443,23 @@ class CodeGenConfig {
       "relative-json-pointer": () => this.Ts.Keyword.String,
       regex: () => this.Ts.Keyword.String,
     },
-    array: ({ items, ...schemaPart }, parser) => {
-      const content = parser.getInlineParseContent(items);
-      return parser.checkAndAddNull(schemaPart, this.Ts.ArrayType(content));
+    array: (schema, parser) => {
+      const tupleSchema = parser.getTupleSchema(schema);
+
+      if (tupleSchema) {
+        const { items, minItems, rest } = tupleSchema;
+        const tupleContent = [
+          ..._.map(items, (item, index) => {
+            const content = parser.getInlineParseContent(item);
+            return index < minItems ? content : this.Ts.OptionalTupleItemType(content);
+          }),
+          ...(rest ? [this.Ts.RestType(this.Ts.ArrayType(parser.getInlineParseContent(rest)))] : []),
+        ];
+        return parser.checkAndAddNull(schema, this.Ts.TupleType(tupleContent));
+      }
+
+      const content = parser.getInlineParseContent(parser.getArrayItems(schema));
+      return parser.checkAndAddNull(schema, this.Ts.ArrayType(content));
     },
   };
 
@@ -320,10 +506,38 @@ class CodeGenConfig {
       templateInfos: templateInfos || this.templateInfos,
     });
 
+    if (this.validateResponses) {
+      this.generateZodSchemas = true;
+    }
+
+    if (this.generateUnionEnums && this.enumStyle === CONSTANTS.ENUM_STYLE.ENUM) {
+      this.enumStyle = CONSTANTS.ENUM_STYLE.UNION;
+    }
+    this.generateUnionEnums = this.enumStyle === CONSTANTS.ENUM_STYLE.UNION;
+
     this.jsPrimitiveTypes = [this.Ts.Keyword.Number, this.Ts.Keyword.String, this.Ts.Keyword.Boolean];
     this.jsEmptyTypes = [this.Ts.Keyword.Null, this.Ts.Keyword.Undefined];
   }
 
+  /**
+   * typescript type of `int64` numbers (string is branded `Int64` type), enums and constants are numbers
+   * @param schema {any}
+   * @param parser {SchemaParser}
+   * @returns {string}
+   */
+  getInt64TypeAlias = (schema, parser) => {
+    if (!parser.isInt64Schema(schema)) return this.Ts.Keyword.Number;
+
+    switch (this.int64Type) {
+      case CONSTANTS.INT64_TYPE.BIGINT:
+        return this.Ts.Keyword.BigInt;
+      case CONSTANTS.INT64_TYPE.STRING:
+        return this.Ts.Keyword.String;
+      default:
+        return this.Ts.Keyword.Number;
+    }
+  };
+
   /**
    *
    * @param update {Partial<GenerateApiConfiguration["config"]>}
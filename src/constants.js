@@ -4,6 +4,43 @@ const RESERVED_BODY_ARG_NAMES = ["data", "body", "reqBody"];
 const RESERVED_REQ_PARAMS_ARG_NAMES = ["params", "requestParams", "reqParams", "httpParams"];
 const RESERVED_PATH_ARG_NAMES = ["path", "pathParams"];
 const RESERVED_HEADER_ARG_NAMES = ["headers", "headersParams"];
+const RESERVED_COOKIE_ARG_NAMES = ["cookies", "cookieParams"];
+/**
+ * global types and types of the http client, generated data contracts should not have these names
+ */
+const RESERVED_TYPE_NAMES = [
+  "Array",
+  "Blob",
+  "Boolean",
+  "Date",
+  "Error",
+  "File",
+  "FormData",
+  "Function",
+  "Map",
+  "Number",
+  "Object",
+  "Omit",
+  "Partial",
+  "Pick",
+  "Promise",
+  "Record",
+  "Required",
+  "Response",
+  "Set",
+  "String",
+  "Symbol",
+  "Api",
+  "ApiConfig",
+  "CancelToken",
+  "ContentType",
+  "FullRequestParams",
+  "HttpClient",
+  "HttpResponse",
+  "QueryParamsType",
+  "RequestParams",
+  "ResponseFormat",
+];
 
 const SCHEMA_TYPES = {
   ARRAY: "array",
@@ -11,6 +48,7 @@ const SCHEMA_TYPES = {
   ENUM: "enum",
   REF: "$ref",
   PRIMITIVE: "primitive",
+  CONST: "const",
   COMPLEX: "complex",
   COMPLEX_ONE_OF: "oneOf",
   COMPLEX_ANY_OF: "anyOf",
@@ -24,6 +62,28 @@ const HTTP_CLIENT = {
   AXIOS: "axios",
 };
 
+const ENUM_STYLE = {
+  ENUM: "enum",
+  UNION: "union",
+  CONST_OBJECT: "const-object",
+};
+
+const INT64_TYPE = {
+  NUMBER: "number",
+  BIGINT: "bigint",
+  STRING: "string",
+};
+
+const RESULT_STYLE = {
+  HTTP_RESPONSE: "http-response",
+  STATUS_UNION: "status-union",
+};
+
+/**
+ * marks schema parts of OpenAPI 3.1 schemas when `inputs` mix OpenAPI versions
+ */
+const OPEN_API_31_SCHEMA = Symbol("openApi31Schema");
+
 const PROJECT_VERSION = packageJson.version;
 
 const FILE_PREFIX = `/* eslint-disable */
@@ -45,11 +105,17 @@ module.exports = {
   PROJECT_VERSION,
   SCHEMA_TYPES,
   HTTP_CLIENT,
+  ENUM_STYLE,
+  INT64_TYPE,
+  RESULT_STYLE,
+  OPEN_API_31_SCHEMA,
   RESERVED_QUERY_ARG_NAMES,
   RESERVED_BODY_ARG_NAMES,
   RESERVED_REQ_PARAMS_ARG_NAMES,
   RESERVED_PATH_ARG_NAMES,
   RESERVED_HEADER_ARG_NAMES,
+  RESERVED_COOKIE_ARG_NAMES,
+  RESERVED_TYPE_NAMES,
   PRETTIER_OPTIONS: {
     printWidth: 120,
     tabWidth: 2,
@@ -1,4 +1,6 @@
 const _ = require("lodash");
+const { NameResolver } = require("./util/name-resolver");
+const { OPEN_API_31_SCHEMA } = require("./constants");
 
 class SchemaComponentsMap {
   /**
@@ -21,11 +23,46 @@ class SchemaComponentsMap {
     _.each(schema.components, (component, componentName) =>
       _.each(component, (rawTypeData, typeName) => this.createComponent(componentName, typeName, rawTypeData)),
     );
+
+    const defsNameResolver = new NameResolver(
+      this.filter("schemas").map((component) => component.typeName),
+      (variants) => {
+        let index = 1;
+        while (defsNameResolver.isReserved(`${variants[0]}${index}`)) index++;
+        return `${variants[0]}${index}`;
+      },
+    );
+
+    if (this.config.isOpenApi31) {
+      this.processSchemaDefs(defsNameResolver, schema.$defs, "#/$defs");
+    }
+
+    _.each(_.get(schema, "components.schemas"), (rawTypeData, typeName) => {
+      if (rawTypeData && (this.config.isOpenApi31 || rawTypeData[OPEN_API_31_SCHEMA])) {
+        this.processSchemaDefs(defsNameResolver, rawTypeData.$defs, `#/components/schemas/${typeName}/$defs`, typeName);
+      }
+    });
   }
 
-  createComponent(componentName, typeName, rawTypeData) {
-    const $ref = `#/components/${componentName}/${typeName}`;
+  /**
+   * JSON Schema 2020-12 `$defs` (OpenAPI 3.1) are registered as "schemas" components
+   * definitions get the name of the parent schema (root definitions get `Defs`) as prefix in case of conflicts
+   * @param nameResolver {NameResolver}
+   * @param defs {Record<string, any> | undefined}
+   * @param refPrefix {string}
+   * @param parentTypeName {string | undefined}
+   */
+  processSchemaDefs(nameResolver, defs, refPrefix, parentTypeName) {
+    _.each(defs, (rawTypeData, defName) => {
+      const typeName = nameResolver.resolve([defName, `${parentTypeName || "Defs"}${_.upperFirst(defName)}`]);
+      const $ref = `${refPrefix}/${defName}`;
+
+      this.createComponent("schemas", typeName, rawTypeData, $ref);
+      this.processSchemaDefs(nameResolver, rawTypeData && rawTypeData.$defs, `${$ref}/$defs`, typeName);
+    });
+  }
 
+  createComponent(componentName, typeName, rawTypeData, $ref = `#/components/${componentName}/${typeName}`) {
     const componentSchema = {
       $ref,
       typeName,
@@ -47,12 +84,87 @@ class SchemaComponentsMap {
    * @returns {SchemaComponent[]}
    */
   filter(componentName) {
-    return _.filter(this.data, (v, ref) => _.startsWith(ref, `#/components/${componentName}`));
+    return _.filter(
+      this.data,
+      (v, ref) => _.startsWith(ref, `#/components/${componentName}`) || v.componentName === componentName,
+    );
   }
 
   get(ref) {
     return this.data[ref] || null;
   }
+
+  /**
+   * returns component which contains schema part by ref (`#/components/schemas/Pet/properties/tag` -> `Pet`)
+   * @param ref {string}
+   * @returns {SchemaComponent | null}
+   */
+  getByNestedRef(ref) {
+    const segments = _.split(ref, "/");
+
+    while (segments.length > 1) {
+      const component = this.get(segments.join("/"));
+
+      if (component) return component;
+
+      segments.pop();
+    }
+
+    return null;
+  }
+
+  /**
+   * collects refs of components which are reachable from the values
+   * (nested schemas, allOf/oneOf/anyOf, discriminator mappings and subtypes, refs between components)
+   * @param values {any[]}
+   * @returns {Set<string>}
+   */
+  getReachableRefs(values) {
+    const reachableRefs = new Set();
+    const visitedValues = new Set();
+
+    const addRef = (ref) => {
+      const component = this.getByNestedRef(_.startsWith(ref, "#") ? ref : `#/components/schemas/${ref}`);
+
+      if (!component || reachableRefs.has(component.$ref)) return;
+
+      reachableRefs.add(component.$ref);
+      walk(component.rawTypeData);
+
+      // base schema with discriminator is the union of schemas which extend it
+      if (component.rawTypeData && component.rawTypeData.discriminator) {
+        _.each(this.filter("schemas"), (childComponent) => {
+          if (
+            _.some(_.get(childComponent.rawTypeData, "allOf"), (schema) => schema && schema.$ref === component.$ref)
+          ) {
+            addRef(childComponent.$ref);
+          }
+        });
+      }
+    };
+
+    const walk = (value) => {
+      if (!_.isObject(value) || visitedValues.has(value)) return;
+
+      visitedValues.add(value);
+
+      _.each(value, (child, key) => {
+        if (key === "$parsed") return;
+
+        if (key === "$ref" && _.isString(child)) {
+          addRef(child);
+        } else if (key === "discriminator" && _.isObject(child)) {
+          _.each(child.mapping, (mappingRef) => _.isString(mappingRef) && addRef(mappingRef));
+        } else {
+          walk(child);
+        }
+      });
+    };
+
+    _.each(values, walk);
+
+    return reachableRefs;
+  }
 }
 
 module.exports = {
@@ -0,0 +1,161 @@
+const _ = require("lodash");
+const { RESERVED_TYPE_NAMES, INT64_TYPE } = require("../constants.js");
+const { pascalCase } = require("../util/pascal-case");
+
+/**
+ * `brandedTypes` option
+ * string formats and `x-brand` vendor extension become branded types (`type Uuid = string & { __brand: "uuid" }`),
+ * data contracts get constructor (`toUuid`) and guard (`isUuid`) helpers for them
+ *
+ * `int64Type: "string"` option
+ * int64 numbers become branded `Int64` string (also without `brandedTypes` option)
+ */
+class SchemaBrands {
+  /**
+   * @type {CodeGenConfig}
+   */
+  config;
+  /**
+   * @type {SchemaComponentsMap}
+   */
+  schemaComponentsMap;
+  /**
+   * @type {SchemaParser}
+   */
+  schemaParser;
+  /**
+   * @type {TypeName}
+   */
+  typeName;
+  /**
+   * Record<brand, BrandType>
+   * @type {Record<string, { name: string, brand: string, baseType: string, format: string | null, constructorName: string, guardName: string, guard: string }>}
+   */
+  brandTypes = {};
+
+  /**
+   * string formats which are not branded (these formats are not `string` or can't be checked)
+   */
+  excludedFormats = ["binary", "file", "password"];
+
+  /**
+   * checks of the string formats in the generated guards
+   */
+  formatPatterns = {
+    uuid: "^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$",
+    email: "^[^\\s@]+@[^\\s@]+$",
+    uri: "^[a-z][a-z\\d+.-]*:",
+    url: "^[a-z][a-z\\d+.-]*:",
+    date: "^\\d{4}-\\d{2}-\\d{2}$",
+    "date-time": "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}",
+    ipv4: "^(\\d{1,3}\\.){3}\\d{1,3}$",
+    int64: "^-?\\d+$",
+  };
+
+  constructor(config, schemaComponentsMap, schemaParser, typeName) {
+    this.config = config;
+    this.schemaComponentsMap = schemaComponentsMap;
+    this.schemaParser = schemaParser;
+    this.typeName = typeName;
+  }
+
+  /**
+   * finds branded types in the swagger schemas before parsing (all brands should be known before rendering data contracts)
+   * @param usageSchemas {any[]}
+   */
+  collectBrandTypes = (usageSchemas) => {
+    const walk = (value) => {
+      if (_.isArray(value)) return _.each(value, walk);
+      if (!_.isPlainObject(value)) return;
+
+      if (value.format || value["x-brand"]) this.getBrandType(value);
+      _.each(_.omit(value, ["example", "examples", "x-example", "x-examples", "$parsed"]), walk);
+    };
+
+    _.each(usageSchemas, (usageSchema) => {
+      walk(usageSchema.components);
+      walk(usageSchema.paths);
+    });
+  };
+
+  /**
+   * @param schema {any}
+   * @param baseType {string} typescript type of the schema without brand (`string`)
+   * @returns {string | null} name of branded type (`Uuid`)
+   */
+  getBrandType = (schema, baseType = this.schemaParser.getTypeAlias(schema)) => {
+    if (!_.isPlainObject(schema) || schema.$ref) return null;
+
+    if (this.config.int64Type === INT64_TYPE.STRING && this.schemaParser.isInt64Schema(schema)) {
+      return this.createBrandType("int64", this.config.Ts.Keyword.String, "int64").name;
+    }
+
+    if (!this.config.brandedTypes) return null;
+
+    const { Keyword } = this.config.Ts;
+    const brand = schema["x-brand"];
+
+    if (_.isString(brand) && brand && _.includes(this.config.jsPrimitiveTypes, baseType)) {
+      return this.createBrandType(brand, baseType, schema.format || null).name;
+    }
+
+    if (
+      _.isString(schema.format) &&
+      baseType === Keyword.String &&
+      !_.includes(this.excludedFormats, schema.format) &&
+      this.schemaParser.stealTypeFromSchema(schema) === Keyword.String
+    ) {
+      return this.createBrandType(schema.format, baseType, schema.format).name;
+    }
+
+    return null;
+  };
+
+  createBrandType = (brand, baseType, format) => {
+    if (this.brandTypes[brand]) return this.brandTypes[brand];
+
+    const name = this.getBrandTypeName(brand);
+    const pattern = format && this.formatPatterns[format];
+
+    this.brandTypes[brand] = {
+      name,
+      brand,
+      baseType,
+      format,
+      constructorName: `to${name}`,
+      guardName: `is${name}`,
+      // `typeof value === "string" && /^...$/i.test(value)`
+      guard: _.compact([
+        `typeof value === ${this.config.Ts.StringValue(baseType)}`,
+        pattern && `/${pattern}/i.test(value)`,
+      ]).join(" && "),
+    };
+
+    return this.brandTypes[brand];
+  };
+
+  /**
+   * `uuid` -> `Uuid`, `order-id` -> `OrderId`, `UuidBrand` if there is data contract `Uuid`
+   */
+  getBrandTypeName = (brand) => {
+    const name = pascalCase(brand);
+    const usedNames = new Set([
+      ...RESERVED_TYPE_NAMES,
+      ..._.map(this.schemaComponentsMap.filter("schemas"), (component) => this.typeName.format(component.typeName)),
+      ..._.map(this.brandTypes, "name"),
+    ]);
+
+    return _.find([name, `${name}Brand`, ..._.range(2, 100).map((index) => `${name}Brand${index}`)], (variant) => {
+      return !usedNames.has(variant);
+    });
+  };
+
+  /**
+   * @returns {{ name: string, brand: string, baseType: string, format: string | null, constructorName: string, guardName: string, guard: string }[]}
+   */
+  getBrandTypes = () => _.sortBy(_.values(this.brandTypes), "name");
+}
+
+module.exports = {
+  SchemaBrands,
+};
@@ -0,0 +1,29 @@
+const _ = require("lodash");
+const { internalCase } = require("../util/internal-case");
+const { SchemaFields } = require("./schema-fields.js");
+
+/**
+ * `convertDates` option
+ * describes where date strings are located in the data (`DateFields` in the generated code):
+ * "date" | "date-time" - date string, { [property]: DateFields, $items: DateFields, $values: DateFields } - object/array,
+ * DateFields[] - combination of schemas (allOf, oneOf, anyOf), () => DateFields - data contract (`UserDateFields`)
+ */
+class SchemaDateFields extends SchemaFields {
+  fieldsNamePostfix = "DateFields";
+
+  getValueField = (schema) => {
+    const type = internalCase(this.schemaParser.stealTypeFromSchema(schema));
+
+    if (type !== "string" && !_.includes(schema.type, "string")) return null;
+
+    const typeAlias = this.schemaParser.getTypeAlias({ type: "string", format: schema.format });
+
+    if (typeAlias !== this.config.Ts.Keyword.Date) return null;
+
+    return schema.format === "date" ? "date" : "date-time";
+  };
+}
+
+module.exports = {
+  SchemaDateFields,
+};
@@ -0,0 +1,167 @@
+const _ = require("lodash");
+
+/**
+ * base class of descriptors which describe where special values (dates, int64 numbers) are located in the data:
+ * string - the value, { [property]: Fields, $items: Fields, $values: Fields } - object/array,
+ * Fields[] - combination of schemas (allOf, oneOf, anyOf), () => Fields - data contract (`UserDateFields`)
+ */
+class SchemaFields {
+  /**
+   * @type {CodeGenConfig}
+   */
+  config;
+  /**
+   * @type {SchemaComponentsMap}
+   */
+  schemaComponentsMap;
+  /**
+   * @type {SchemaParser}
+   */
+  schemaParser;
+  /**
+   * @type {TypeName}
+   */
+  typeName;
+  /**
+   * postfix of descriptor names of data contracts (`UserDateFields`)
+   * @type {string}
+   */
+  fieldsNamePostfix = "Fields";
+  /**
+   * refs of components which contain the values (also in referenced components)
+   * @type {Set<string> | null}
+   */
+  componentRefsWithFields = null;
+  /**
+   * count of components checked by `getComponentRefsWithFields` (components can be created while parsing routes)
+   * @type {number}
+   */
+  checkedComponentsCount = 0;
+
+  constructor(config, schemaComponentsMap, schemaParser, typeName) {
+    this.config = config;
+    this.schemaComponentsMap = schemaComponentsMap;
+    this.schemaParser = schemaParser;
+    this.typeName = typeName;
+  }
+
+  /**
+   * @param schema {any}
+   * @returns {string | null} descriptor of the value (`"date-time"`), null if schema is not the value
+   */
+  getValueField = (schema) => null;
+
+  getComponentRefsWithFields = () => {
+    const components = this.schemaComponentsMap.filter("schemas");
+
+    if (this.componentRefsWithFields && this.checkedComponentsCount === components.length) {
+      return this.componentRefsWithFields;
+    }
+
+    if (!this.componentRefsWithFields) this.componentRefsWithFields = new Set();
+    this.checkedComponentsCount = components.length;
+
+    let hasNewRefs = true;
+    while (hasNewRefs) {
+      hasNewRefs = false;
+      _.each(components, (component) => {
+        if (!this.componentRefsWithFields.has(component.$ref) && this.getFields(component.rawTypeData)) {
+          this.componentRefsWithFields.add(component.$ref);
+          hasNewRefs = true;
+        }
+      });
+    }
+
+    return this.componentRefsWithFields;
+  };
+
+  /**
+   * @param schema {any}
+   * @returns {any | null} null if schema doesn't contain the values
+   */
+  getFields = (schema) => {
+    if (!_.isObject(schema)) return null;
+
+    if (schema.$ref) {
+      const component = this.schemaComponentsMap.get(schema.$ref);
+
+      if (!component) return null;
+      if (component.componentName !== "schemas") return this.getFields(component.rawTypeData);
+
+      return this.getComponentRefsWithFields().has(component.$ref) ? { $$ref: component.$ref } : null;
+    }
+
+    const discriminatorUnionSchema = this.schemaParser.getDiscriminatorUnionSchema(schema);
+
+    if (discriminatorUnionSchema) return this.getFields(discriminatorUnionSchema);
+
+    const fields = _.compact([
+      this.getOwnFields(schema),
+      ..._.map(schema.allOf, (childSchema) =>
+        this.getFields(this.schemaParser.getDiscriminatorBaseChildSchema(schema, childSchema)),
+      ),
+      ..._.map(schema.oneOf, this.getFields),
+      ..._.map(schema.anyOf, this.getFields),
+    ]);
+
+    return fields.length > 1 ? fields : fields[0] || null;
+  };
+
+  getOwnFields = (schema) => {
+    const valueField = this.getValueField(schema);
+
+    if (valueField) return valueField;
+
+    const fields = {};
+
+    if (_.isObject(schema.items) && !_.isArray(schema.items)) {
+      fields.$items = this.getFields(schema.items);
+    }
+    if (_.isObject(schema.additionalProperties)) {
+      fields.$values = this.getFields(schema.additionalProperties);
+    }
+    _.each(schema.properties, (property, name) => {
+      fields[name] = this.getFields(property);
+    });
+
+    const result = _.omitBy(fields, _.isNull);
+
+    return _.isEmpty(result) ? null : result;
+  };
+
+  /**
+   * @param component {SchemaComponent}
+   * @returns {string} `UserDateFields`
+   */
+  getFieldsName = (component) => `${this.typeName.format(component.typeName)}${this.fieldsNamePostfix}`;
+
+  /**
+   * @param fields {any}
+   * @returns {string} typescript code
+   */
+  formatFields = (fields) => {
+    if (_.isString(fields)) return this.config.Ts.StringValue(fields);
+    if (_.isArray(fields)) return `[${_.map(fields, this.formatFields).join(", ")}]`;
+    if (fields.$$ref) return `() => ${this.getFieldsName(this.schemaComponentsMap.get(fields.$$ref))}`;
+
+    return `{ ${_.map(
+      fields,
+      (value, key) =>
+        `${this.typeName.isValidName(key) ? key : this.config.Ts.StringValue(key)}: ${this.formatFields(value)}`,
+    ).join(", ")} }`;
+  };
+
+  /**
+   * @param schema {any}
+   * @returns {string | null} typescript code
+   */
+  getFieldsContent = (schema) => {
+    const fields = this.getFields(schema);
+
+    return fields ? this.formatFields(fields) : null;
+  };
+}
+
+module.exports = {
+  SchemaFields,
+};
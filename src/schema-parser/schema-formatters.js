@@ -1,4 +1,4 @@
-const { SCHEMA_TYPES } = require("../constants");
+const { SCHEMA_TYPES, ENUM_STYLE, RESERVED_TYPE_NAMES } = require("../constants");
 const _ = require("lodash");
 
 class SchemaFormatters {
@@ -18,6 +18,11 @@ class SchemaFormatters {
    * @type {Templates}
    */
   templates;
+  /**
+   * names of arrays of enum values by names of enum data contracts
+   * @type {Record<string, string>}
+   */
+  enumValuesNames = {};
 
   constructor(config, logger, schemaParser, templates) {
     this.config = config;
@@ -29,13 +34,27 @@ class SchemaFormatters {
   base = {
     [SCHEMA_TYPES.ENUM]: (parsedSchema) => {
       const isNumberEnum = _.some(parsedSchema.content, (content) => typeof content.key === "number");
-      const formatAsUnionType = !!(isNumberEnum || this.config.generateUnionEnums);
+      const formatAsUnionType = !!(
+        isNumberEnum ||
+        this.config.enumStyle === ENUM_STYLE.UNION ||
+        parsedSchema.typeIdentifier === this.config.Ts.Keyword.Type
+      );
 
       if (formatAsUnionType) {
         return {
           ...parsedSchema,
           $content: parsedSchema.content,
-          content: this.config.Ts.UnionType(_.map(parsedSchema.content, ({ value }) => value)),
+          content: _.some(parsedSchema.content, "description")
+            ? this.config.Ts.DocumentedUnionType(parsedSchema.content)
+            : this.config.Ts.UnionType(_.map(parsedSchema.content, ({ value }) => value)),
+        };
+      }
+
+      if (this.config.enumStyle === ENUM_STYLE.CONST_OBJECT) {
+        return {
+          ...parsedSchema,
+          $content: parsedSchema.content,
+          content: this.config.Ts.ObjectWrapper(this.config.Ts.ConstObjectFieldsWrapper(parsedSchema.content)),
         };
       }
 
@@ -54,6 +73,17 @@ class SchemaFormatters {
       };
     },
     [SCHEMA_TYPES.PRIMITIVE]: (parsedSchema) => {
+      // allOf -> interface X extends A, B { ...own properties }
+      if (parsedSchema.$extends) {
+        return {
+          ...parsedSchema,
+          typeIdentifier: this.config.Ts.Keyword.Interface,
+          extends: parsedSchema.$extends.types,
+          $content: parsedSchema.$extends.content,
+          content: this.formatObjectContent(parsedSchema.$extends.content),
+        };
+      }
+
       return {
         ...parsedSchema,
         $content: parsedSchema.content,
@@ -96,6 +126,43 @@ class SchemaFormatters {
     },
   };
 
+  /**
+   * values of enum data contract (`Status.Active`, or `"active"` if it is union type)
+   * @param parsedSchema {any} formatted enum schema
+   * @param name {string} name of data contract
+   * @returns {string[]}
+   */
+  formatEnumValues = (parsedSchema, name) =>
+    _.map(parsedSchema.$content, ({ key, value }) =>
+      parsedSchema.typeIdentifier === this.config.Ts.Keyword.Type ? value : `${name}.${key}`,
+    );
+
+  /**
+   * `Status` -> `StatusValues`, `StatusValues2` if there is data contract `StatusValues`
+   * @param name {string} name of enum data contract
+   * @returns {string}
+   */
+  getEnumValuesName = (name) => {
+    if (this.enumValuesNames[name]) return this.enumValuesNames[name];
+
+    const valuesName = `${name}Values`;
+    const usedNames = new Set([
+      ...RESERVED_TYPE_NAMES,
+      ..._.map(this.schemaParser.schemaComponentsMap.filter("schemas"), (component) =>
+        this.schemaParser.typeName.format(component.typeName),
+      ),
+      ..._.map(this.schemaParser.schemaBrands.getBrandTypes(), "name"),
+      ..._.values(this.enumValuesNames),
+    ]);
+
+    this.enumValuesNames[name] = _.find(
+      [valuesName, ..._.range(2, 100).map((index) => `${valuesName}${index}`)],
+      (variant) => !usedNames.has(variant),
+    );
+
+    return this.enumValuesNames[name];
+  };
+
   formatDescription = (description, inline) => {
     if (!description) return "";
 
@@ -0,0 +1,311 @@
+const _ = require("lodash");
+const { getSchemaSignature } = require("../util/schema-signature");
+
+/**
+ * `extractGenericTypes` and `genericTypes` options
+ * component schemas which have the same shape and differ only in the type of one property
+ * (`PageUser`, `PageOrder`) get generic data contract (`Page<T>`),
+ * these components become its aliases (`type PageUser = Page<User>`)
+ */
+class SchemaGenerics {
+  /**
+   * @type {CodeGenConfig}
+   */
+  config;
+  /**
+   * @type {Logger}
+   */
+  logger;
+  /**
+   * @type {SchemaComponentsMap}
+   */
+  schemaComponentsMap;
+  /**
+   * @type {SchemaParser}
+   */
+  schemaParser;
+  /**
+   * @type {TypeName}
+   */
+  typeName;
+  /**
+   * Record<componentRef, { genericRef, typeArgument }>
+   * @type {Record<string, { genericRef: string, typeArgument: any }>}
+   */
+  instancesMap = {};
+
+  /**
+   * keys which don't affect the type of the schema
+   */
+  annotationKeys = ["description", "title", "example", "examples", "x-example", "x-examples", "externalDocs"];
+
+  constructor(config, logger, schemaComponentsMap, schemaParser, typeName) {
+    this.config = config;
+    this.logger = logger;
+    this.schemaComponentsMap = schemaComponentsMap;
+    this.schemaParser = schemaParser;
+    this.typeName = typeName;
+  }
+
+  /**
+   * creates generic components from `genericTypes` option and (with `extractGenericTypes` option) from found groups of components,
+   * should be called before parsing components
+   */
+  extractGenericTypes = () => {
+    this.instancesMap = {};
+
+    _.each(this.config.genericTypes, (genericType, name) => this.createConfiguredGenericType(name, genericType));
+
+    if (!this.config.extractGenericTypes) return;
+
+    const groups = {};
+
+    _.each(this.getCandidateComponents(), (component) => {
+      _.each(component.rawTypeData.properties, (property, propertyName) => {
+        const typeArgumentInfo = this.getTypeArgumentInfo(property);
+
+        if (!typeArgumentInfo || !this.schemaComponentsMap.get(typeArgumentInfo.typeArgument.$ref)) return;
+
+        const signature = `${propertyName}:${this.getShapeSignature({
+          ...component.rawTypeData,
+          properties: { ...component.rawTypeData.properties, [propertyName]: typeArgumentInfo.template },
+        })}`;
+
+        groups[signature] = groups[signature] || [];
+        groups[signature].push({ component, propertyName, ...typeArgumentInfo });
+      });
+    });
+
+    _.each(groups, (members) => {
+      const usageMembers = _.filter(members, (member) => !this.instancesMap[member.component.$ref]);
+
+      if (usageMembers.length < 2) return;
+
+      const names = _.uniq(
+        _.map(usageMembers, ({ component, typeArgument }) =>
+          this.getGenericTypeName(component.typeName, this.schemaComponentsMap.get(typeArgument.$ref).typeName),
+        ),
+      );
+
+      if (names.length !== 1 || !names[0]) return;
+
+      this.createGenericType(names[0], usageMembers[0].propertyName, usageMembers[0].template, usageMembers);
+    });
+  };
+
+  /**
+   * @param name {string}
+   * @param genericType {{ schemas: string[], property?: string }}
+   */
+  createConfiguredGenericType = (name, genericType) => {
+    const components = _.map(genericType.schemas, (typeName) =>
+      this.schemaComponentsMap.get(`#/components/schemas/${typeName}`),
+    );
+
+    if (
+      !components.length ||
+      !_.every(components, (component) => _.isPlainObject(component?.rawTypeData?.properties))
+    ) {
+      this.logger.warn(`generic type "${name}" is skipped, some of the schemas are not found or are not objects`);
+      return;
+    }
+
+    const propertyName = genericType.property || this.getDifferentPropertyName(components);
+    const hasProperty = _.every(components, (component) => !!component.rawTypeData.properties[propertyName]);
+    const shapeSignatures = _.uniq(
+      _.map(components, (component) =>
+        this.getShapeSignature({
+          ...component.rawTypeData,
+          properties: _.omit(component.rawTypeData.properties, propertyName),
+        }),
+      ),
+    );
+
+    if (!propertyName || !hasProperty || shapeSignatures.length !== 1) {
+      this.logger.warn(`generic type "${name}" is skipped, schemas should differ only in the type of one property`);
+      return;
+    }
+
+    const typeArgumentInfos = _.map(components, (component) =>
+      this.getTypeArgumentInfo(component.rawTypeData.properties[propertyName]),
+    );
+    const useWholeProperty =
+      !_.every(typeArgumentInfos, Boolean) ||
+      _.uniq(_.map(typeArgumentInfos, ({ template }) => this.getShapeSignature(template))).length !== 1;
+
+    const members = _.map(components, (component, index) =>
+      useWholeProperty
+        ? {
+            component,
+            typeArgument: _.omit(component.rawTypeData.properties[propertyName], this.annotationKeys),
+            template: { $$typeParameter: null },
+          }
+        : { component, ...typeArgumentInfos[index] },
+    );
+
+    this.createGenericType(name, propertyName, members[0].template, members);
+  };
+
+  /**
+   * @param name {string} `Page`
+   * @param propertyName {string} name of the property which type is the type parameter
+   * @param template {any} schema of the property where the type parameter is used
+   * @param members {{ component: SchemaComponent, typeArgument: any }[]}
+   */
+  createGenericType = (name, propertyName, template, members) => {
+    const typeName = this.config.componentTypeNameResolver.resolve([name, `${name}Generic`]);
+    const typeParameter = this.getTypeParameterName();
+    const rawTypeData = _.omit(_.cloneDeep(members[0].component.rawTypeData), this.annotationKeys);
+
+    rawTypeData.properties[propertyName] = this.setTypeParameter(
+      _.omit(_.cloneDeep(template), this.annotationKeys),
+      typeParameter,
+    );
+
+    const genericComponent = this.schemaComponentsMap.createComponent("schemas", typeName, rawTypeData);
+
+    genericComponent.typeParameters = [typeParameter];
+
+    _.each(members, ({ component, typeArgument }) => {
+      this.instancesMap[component.$ref] = { genericRef: genericComponent.$ref, typeArgument };
+    });
+  };
+
+  /**
+   * @param component {SchemaComponent}
+   * @returns {{ genericRef: string, typeArgument: any } | null}
+   */
+  getGenericInstance = (component) => this.instancesMap[component.$ref] || null;
+
+  /**
+   * @param component {SchemaComponent} `PageUser`
+   * @returns {string} `Page<User>`
+   */
+  getGenericInstanceContent = (component) => {
+    const { genericRef, typeArgument } = this.getGenericInstance(component);
+
+    return this.config.Ts.TypeWithGeneric(this.typeName.format(this.schemaComponentsMap.get(genericRef).typeName), [
+      this.schemaParser.getInlineParseContent(typeArgument),
+    ]);
+  };
+
+  /**
+   * generic components which instances are in the list of refs (needed for `pruneUnusedTypes` option)
+   * @param refs {Set<string>}
+   * @returns {string[]}
+   */
+  getGenericRefs = (refs) =>
+    _.uniq(
+      _.map(
+        _.filter(this.instancesMap, (instance, ref) => refs.has(ref)),
+        (instance) => instance.genericRef,
+      ),
+    );
+
+  /**
+   * object component schemas which can be instances of generic type
+   * @returns {SchemaComponent[]}
+   */
+  getCandidateComponents = () =>
+    _.filter(this.schemaComponentsMap.filter("schemas"), (component) => {
+      const schema = component.rawTypeData;
+
+      return (
+        _.isPlainObject(schema) &&
+        _.isPlainObject(schema.properties) &&
+        !_.isEmpty(schema.properties) &&
+        !schema.$ref &&
+        !schema.discriminator &&
+        !schema.allOf &&
+        !schema.oneOf &&
+        !schema.anyOf &&
+        !schema.not &&
+        !this.instancesMap[component.$ref]
+      );
+    });
+
+  /**
+   * `{ $ref: User }` -> `T`, `{ type: "array", items: { $ref: User } }` -> `T[]`,
+   * `{ type: "array", items: { type: "number" } }` -> `T[]` (type argument is the schema of items)
+   * @returns {{ template: any, typeArgument: any } | null}
+   */
+  getTypeArgumentInfo = (property) => {
+    if (!_.isPlainObject(property)) return null;
+
+    if (_.isString(property.$ref)) {
+      return {
+        template: { ..._.omit(property, "$ref"), $$typeParameter: null },
+        typeArgument: { $ref: property.$ref },
+      };
+    }
+
+    if (property.type === "array" && _.isPlainObject(property.items) && _.isString(property.items.$ref)) {
+      return {
+        template: { ...property, items: { ..._.omit(property.items, "$ref"), $$typeParameter: null } },
+        typeArgument: { $ref: property.items.$ref },
+      };
+    }
+
+    if (property.type === "array" && _.isPlainObject(property.items)) {
+      return {
+        template: { ...property, items: { $$typeParameter: null } },
+        typeArgument: _.omit(property.items, this.annotationKeys),
+      };
+    }
+
+    return null;
+  };
+
+  /**
+   * `PageUser` + `User` -> `Page`, `UserPage` + `User` -> `Page`
+   * @returns {string | null}
+   */
+  getGenericTypeName = (typeName, typeArgumentName) => {
+    if (typeName === typeArgumentName) return null;
+    if (_.endsWith(typeName, typeArgumentName)) return typeName.slice(0, -typeArgumentName.length);
+    if (_.startsWith(typeName, typeArgumentName)) return typeName.slice(typeArgumentName.length);
+
+    return null;
+  };
+
+  /**
+   * name of the property which has different types in the component schemas
+   * @param components {SchemaComponent[]}
+   * @returns {string | null}
+   */
+  getDifferentPropertyName = (components) => {
+    const propertyNames = _.uniq(_.flatMap(components, (component) => _.keys(component.rawTypeData.properties)));
+    const differentPropertyNames = _.filter(
+      propertyNames,
+      (propertyName) =>
+        _.uniq(_.map(components, (component) => this.getShapeSignature(component.rawTypeData.properties[propertyName])))
+          .length > 1,
+    );
+
+    return differentPropertyNames.length === 1 ? differentPropertyNames[0] : null;
+  };
+
+  /**
+   * `T`, or other name if there is data contract with this name
+   * @returns {string}
+   */
+  getTypeParameterName = () => {
+    const typeNames = _.map(this.schemaComponentsMap.filter("schemas"), (component) =>
+      this.typeName.format(component.typeName),
+    );
+
+    return _.find(["T", "TData", "TValue"], (name) => !typeNames.includes(name)) || "TGeneric";
+  };
+
+  setTypeParameter = (schema, typeParameter) => {
+    if (_.has(schema, "$$typeParameter")) return { ...schema, $$typeParameter: typeParameter };
+
+    return { ...schema, items: { ...schema.items, $$typeParameter: typeParameter } };
+  };
+
+  getShapeSignature = (schema) => getSchemaSignature(schema, this.annotationKeys);
+}
+
+module.exports = {
+  SchemaGenerics,
+};
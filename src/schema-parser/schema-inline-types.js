@@ -0,0 +1,313 @@
+const _ = require("lodash");
+const { SCHEMA_TYPES, RESERVED_TYPE_NAMES } = require("../constants.js");
+const { pascalCase } = require("../util/pascal-case");
+const { getSchemaSignature } = require("../util/schema-signature");
+
+/**
+ * `dedupeInlineTypes` option
+ * inline object and enum schemas which are repeated in the swagger schema are lifted into named components,
+ * inline copies of existing components are replaced with refs to them
+ *
+ * `extractInlineTypes` option
+ * nested inline object and enum schemas are lifted into named components (`Order.shipping.address` -> `OrderShippingAddress`)
+ */
+class SchemaInlineTypes {
+  /**
+   * @type {CodeGenConfig}
+   */
+  config;
+  /**
+   * @type {SchemaComponentsMap}
+   */
+  schemaComponentsMap;
+  /**
+   * @type {SchemaParser}
+   */
+  schemaParser;
+  /**
+   * @type {TypeName}
+   */
+  typeName;
+
+  /**
+   * keys which don't affect the type of the schema
+   */
+  annotationKeys = [
+    "description",
+    "title",
+    "example",
+    "examples",
+    "x-example",
+    "x-examples",
+    "externalDocs",
+    "deprecated",
+  ];
+  /**
+   * keys which stay in the place of the lifted schema (next to `$ref`)
+   */
+  usageKeys = [...this.annotationKeys, "readOnly", "writeOnly", "default", "nullable", "x-nullable"];
+
+  constructor(config, schemaComponentsMap, schemaParser, typeName) {
+    this.config = config;
+    this.schemaComponentsMap = schemaComponentsMap;
+    this.schemaParser = schemaParser;
+    this.typeName = typeName;
+  }
+
+  /**
+   * should be called before parsing components
+   * @param usageSchema {any} swagger schema which components are generated
+   * @param usageSchemas {any[]} swagger schemas which routes are generated
+   */
+  dedupeInlineTypes = (usageSchema, usageSchemas) => {
+    const signatures = new Map();
+    const locationsBySignature = {};
+    const componentsBySignature = {};
+
+    this.walkSchemas(usageSchemas, (schema, location) => {
+      if (!this.isInlineTypeSchema(schema)) return;
+
+      if (location.component) {
+        const signature = this.getSignature(_.omit(schema, this.annotationKeys));
+
+        componentsBySignature[signature] = componentsBySignature[signature] || location.component;
+      } else if (location.parent) {
+        const signature = this.getSignature(_.omit(schema, this.usageKeys));
+
+        signatures.set(schema, signature);
+        locationsBySignature[signature] = locationsBySignature[signature] || [];
+        locationsBySignature[signature].push({ ...location, schema });
+      }
+    });
+
+    this.walkSchemas(usageSchemas, (schema, location) => {
+      const signature = location.parent && signatures.get(schema);
+
+      if (!signature || (!componentsBySignature[signature] && locationsBySignature[signature].length < 2)) return;
+
+      if (!componentsBySignature[signature]) {
+        const locations = locationsBySignature[signature];
+
+        // titles of all copies are preferred over property names
+        componentsBySignature[signature] = this.createComponent(
+          usageSchema,
+          [..._.map(locations, "schema.title"), ..._.map(locations, "hint"), ..._.map(locations, "name")],
+          _.omit(schema, this.usageKeys),
+        );
+      }
+
+      this.replaceWithRef(location, schema, componentsBySignature[signature]);
+    });
+  };
+
+  /**
+   * should be called before parsing components (after `dedupeInlineTypes`)
+   * @param usageSchema {any} swagger schema which components are generated
+   * @param usageSchemas {any[]} swagger schemas which routes are generated
+   */
+  extractInlineTypes = (usageSchema, usageSchemas) => {
+    // request bodies are lifted while parsing routes (`extractRequestBody` option),
+    // their nested types are extracted there to be named after the request body data contract
+    this.walkSchemas(usageSchemas, this.createExtractCallback(usageSchema), {
+      skipRequestBodies: this.config.extractRequestBody,
+    });
+  };
+
+  /**
+   * extracts nested inline types of the schema which is lifted into the data contract `name`
+   * (`CreateOrderPayload.customer` -> `CreateOrderPayloadCustomer`)
+   * @param usageSchema {any}
+   * @param schema {any}
+   * @param name {string}
+   */
+  extractNestedInlineTypes = (usageSchema, schema, name) => {
+    this.walkSchema(schema, { name }, this.createExtractCallback(usageSchema));
+  };
+
+  createExtractCallback = (usageSchema) => {
+    const extractedComponents = new Map();
+
+    return (schema, location) => {
+      // top level schemas of components, request bodies, responses and parameters are not nested
+      if (!location.parent || location.isRoot || !this.isInlineTypeSchema(schema)) return;
+
+      if (!extractedComponents.has(schema)) {
+        extractedComponents.set(
+          schema,
+          this.createComponent(usageSchema, [location.name], _.omit(schema, this.usageKeys)),
+        );
+      }
+
+      this.replaceWithRef(location, schema, extractedComponents.get(schema));
+    };
+  };
+
+  /**
+   * @param location {{ parent: any, key: string | number }}
+   * @param schema {any}
+   * @param component {SchemaComponent}
+   */
+  replaceWithRef = (location, schema, component) => {
+    location.parent[location.key] = {
+      ..._.pick(schema, _.without(this.usageKeys, "title")),
+      $ref: component.$ref,
+    };
+  };
+
+  /**
+   * @param usageSchema {any}
+   * @param nameVariants {(string | null | undefined)[]}
+   * @param rawTypeData {any}
+   * @returns {SchemaComponent}
+   */
+  createComponent = (usageSchema, nameVariants, rawTypeData) => {
+    const variants = _.uniq(_.compact(_.map(nameVariants, (name) => name && pascalCase(name))));
+    // component names are reserved as is, but different names can be the same data contract name (`user`, `User`)
+    const dataContractNames = new Set([
+      ...RESERVED_TYPE_NAMES,
+      ..._.map(this.schemaComponentsMap.filter("schemas"), (component) => this.typeName.format(component.typeName)),
+    ]);
+    const typeName = this.config.componentTypeNameResolver.resolve(
+      _.filter(
+        [...variants, ..._.range(2, 100).map((index) => `${variants[0]}${index}`)],
+        (variant) => !dataContractNames.has(this.typeName.format(variant)),
+      ),
+    );
+
+    usageSchema.components = usageSchema.components || {};
+    usageSchema.components.schemas = usageSchema.components.schemas || {};
+    usageSchema.components.schemas[typeName] = rawTypeData;
+
+    return this.schemaComponentsMap.createComponent("schemas", typeName, rawTypeData);
+  };
+
+  /**
+   * inline object or enum schema
+   */
+  isInlineTypeSchema = (schema) => {
+    if (!_.isPlainObject(schema) || schema.$ref) return false;
+
+    const schemaType = this.schemaParser.getInternalSchemaType(schema);
+
+    return (
+      (schemaType === SCHEMA_TYPES.OBJECT && !_.isEmpty(schema.properties)) ||
+      (schemaType === SCHEMA_TYPES.ENUM && !_.isEmpty(this.schemaParser.getEnumValues(schema)))
+    );
+  };
+
+  /**
+   * calls `callback` for each schema of components and routes, nested schemas first
+   * `location.parent[location.key]` is the schema (not defined for components),
+   * `location.name` is the name of the schema based on its location (`OrderShippingAddress`),
+   * `location.hint` is the name of the property,
+   * `location.isRoot` is set for top level schemas of request bodies, responses, parameters and headers
+   * @param usageSchemas {any[]}
+   * @param callback {(schema: any, location: { parent?: any, key?: string | number, name: string, hint?: string, isRoot?: boolean, component?: SchemaComponent }) => void}
+   * @param options {{ skipRequestBodies?: boolean }}
+   */
+  walkSchemas = (usageSchemas, callback, options = {}) => {
+    _.each(this.schemaComponentsMap.filter("schemas"), (component) =>
+      this.walkSchema(component.rawTypeData, { name: component.typeName, component }, callback),
+    );
+
+    _.each(["parameters", "headers", "requestBodies", "responses"], (componentName) =>
+      _.each(this.schemaComponentsMap.filter(componentName), (component) =>
+        this.walkContainer(component.rawTypeData, component.typeName, callback),
+      ),
+    );
+
+    _.each(usageSchemas, (usageSchema) => {
+      _.each(usageSchema.paths, (pathInfo, path) => {
+        _.each(pathInfo && pathInfo.parameters, (parameter) => this.walkContainer(parameter, parameter.name, callback));
+
+        _.each(_.omit(pathInfo, ["parameters", "$ref"]), (operation, method) => {
+          if (!_.isPlainObject(operation)) return;
+
+          const operationName = operation.operationId || `${method} ${path}`;
+
+          _.each(operation.parameters, (parameter) => this.walkContainer(parameter, parameter.name, callback));
+          if (!options.skipRequestBodies) {
+            this.walkContainer(operation.requestBody, `${operationName} body`, callback);
+          }
+          _.each(operation.responses, (response, status) =>
+            this.walkContainer(response, `${operationName} response ${status}`, callback),
+          );
+        });
+      });
+    });
+  };
+
+  /**
+   * parameter, header, request body, response
+   */
+  walkContainer = (container, name, callback) => {
+    if (!_.isPlainObject(container) || container.$ref) return;
+
+    this.walkSchema(
+      container.schema,
+      { parent: container, key: "schema", name, hint: container.name, isRoot: true },
+      callback,
+    );
+
+    _.each(container.content, (mediaType) =>
+      this.walkSchema(
+        mediaType && mediaType.schema,
+        { parent: mediaType, key: "schema", name, isRoot: true },
+        callback,
+      ),
+    );
+    _.each(container.headers, (header, headerName) => this.walkContainer(header, `${name} ${headerName}`, callback));
+  };
+
+  walkSchema = (schema, location, callback) => {
+    if (!_.isPlainObject(schema) || schema.$ref) return;
+
+    const childLocation = (parent, key, suffix) => ({
+      parent,
+      key,
+      name: `${location.name} ${suffix}`,
+      hint: location.hint ? `${location.hint} ${suffix}` : suffix,
+    });
+
+    _.each(schema.properties, (property, propertyName) =>
+      this.walkSchema(
+        property,
+        { parent: schema.properties, key: propertyName, name: `${location.name} ${propertyName}`, hint: propertyName },
+        callback,
+      ),
+    );
+    _.each(schema.patternProperties, (property, pattern) =>
+      this.walkSchema(property, childLocation(schema.patternProperties, pattern, "value"), callback),
+    );
+
+    _.each(["additionalProperties", "unevaluatedProperties"], (key) =>
+      this.walkSchema(schema[key], childLocation(schema, key, "value"), callback),
+    );
+    _.each(["items", "additionalItems"], (key) => {
+      if (_.isArray(schema[key])) {
+        _.each(schema[key], (item, index) =>
+          this.walkSchema(item, childLocation(schema[key], index, "item"), callback),
+        );
+      } else {
+        this.walkSchema(schema[key], childLocation(schema, key, "item"), callback);
+      }
+    });
+    _.each(schema.prefixItems, (item, index) =>
+      this.walkSchema(item, childLocation(schema.prefixItems, index, "item"), callback),
+    );
+
+    // members of combined schemas are walked, but are not replaced
+    _.each(["allOf", "oneOf", "anyOf"], (key) =>
+      _.each(schema[key], (part) => this.walkSchema(part, { name: location.name, hint: location.hint }, callback)),
+    );
+    this.walkSchema(schema.not, { name: location.name, hint: location.hint }, callback);
+
+    callback(schema, location);
+  };
+
+  getSignature = (schema) => getSchemaSignature(schema, this.annotationKeys);
+}
+
+module.exports = {
+  SchemaInlineTypes,
+};
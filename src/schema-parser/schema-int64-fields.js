@@ -0,0 +1,19 @@
+const { INT64_TYPE } = require("../constants.js");
+const { SchemaFields } = require("./schema-fields.js");
+
+/**
+ * `int64Type` option
+ * describes where int64 numbers are located in the data (`Int64Fields` in the generated code):
+ * "int64" - int64 number, { [property]: Int64Fields, $items: Int64Fields, $values: Int64Fields } - object/array,
+ * Int64Fields[] - combination of schemas (allOf, oneOf, anyOf), () => Int64Fields - data contract (`UserInt64Fields`)
+ */
+class SchemaInt64Fields extends SchemaFields {
+  fieldsNamePostfix = "Int64Fields";
+
+  getValueField = (schema) =>
+    this.config.int64Type !== INT64_TYPE.NUMBER && this.schemaParser.isInt64Schema(schema) ? "int64" : null;
+}
+
+module.exports = {
+  SchemaInt64Fields,
+};
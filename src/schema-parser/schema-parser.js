@@ -1,6 +1,7 @@
-const { SCHEMA_TYPES } = require("../constants.js");
+const { SCHEMA_TYPES, ENUM_STYLE, OPEN_API_31_SCHEMA } = require("../constants.js");
 const _ = require("lodash");
 const { SchemaFormatters } = require("./schema-formatters");
+const { SchemaBrands } = require("./schema-brands");
 const { internalCase } = require("../util/internal-case");
 
 class SchemaParser {
@@ -9,6 +10,11 @@ class SchemaParser {
    */
   config;
 
+  /**
+   * @type {Logger}
+   */
+  logger;
+
   /**
    * @type {SchemaComponentsMap}
    */
@@ -21,19 +27,40 @@ class SchemaParser {
    * @type {SchemaFormatters}
    */
   schemaFormatters;
+  /**
+   * @type {SchemaBrands}
+   */
+  schemaBrands;
+  /**
+   * base schemas with discriminator which are converted into union of their subtypes
+   * Record<baseSchemaRef, SchemaComponent> (copy of the base schema without discriminator, `PetBase`)
+   * @type {Map<string, SchemaComponent>}
+   */
+  discriminatorBaseComponents = new Map();
+  /**
+   * refs of data contracts which properties are collected by `getObjectPropertiesInfo`
+   * @type {Set<string>}
+   */
+  objectPropertiesInfoRefs = new Set();
 
   constructor(config, logger, templates, schemaComponentsMap, typeName) {
     this.config = config;
+    this.logger = logger;
     this.schemaComponentsMap = schemaComponentsMap;
     this.typeName = typeName;
     this.schemaFormatters = new SchemaFormatters(config, logger, this, templates);
+    this.schemaBrands = new SchemaBrands(config, schemaComponentsMap, this, typeName);
   }
 
   complexSchemaParsers = {
     // T1 | T2
     [SCHEMA_TYPES.COMPLEX_ONE_OF]: (schema) => {
       const combined = _.map(schema.oneOf, (childSchema) =>
-        this.getInlineParseContent(this.makeAddRequiredToChildSchema(schema, childSchema)),
+        this.addDiscriminatorProperty(
+          schema.discriminator,
+          childSchema,
+          this.getInlineParseContent(this.makeAddRequiredToChildSchema(schema, childSchema)),
+        ),
       );
       const filtered = this.filterContents(combined, [this.config.Ts.Keyword.Any]);
 
@@ -43,12 +70,23 @@ class SchemaParser {
     },
     // T1 & T2
     [SCHEMA_TYPES.COMPLEX_ALL_OF]: (schema) => {
-      const combined = _.map(schema.allOf, (childSchema) =>
-        this.getInlineParseContent(this.makeAddRequiredToChildSchema(schema, childSchema)),
+      // { not: ... } members are applied to the intersection of other members (Exclude<T1 & T2, ...>)
+      const [notSchemas, childSchemas] = _.partition(
+        schema.allOf,
+        (childSchema) => childSchema && childSchema.not && !this.hasBaseType(_.omit(childSchema, "not")),
       );
-      const filtered = this.filterContents(combined, [...this.config.jsPrimitiveTypes, this.config.Ts.Keyword.Any]);
+      const combined = _.map(childSchemas, (childSchema) =>
+        this.getInlineParseContent(
+          this.makeAddRequiredToChildSchema(schema, this.getDiscriminatorBaseChildSchema(schema, childSchema)),
+        ),
+      );
+      const filtered = this.filterContents(combined, this.getIgnoredAllOfTypes());
 
-      const type = this.config.Ts.IntersectionType(filtered);
+      const type = _.reduce(
+        notSchemas,
+        (baseType, childSchema) => this.getNotSchemaType(schema, baseType, childSchema.not),
+        this.config.Ts.IntersectionType(filtered) || null,
+      );
 
       return this.checkAndAddNull(schema, type);
     },
@@ -68,10 +106,19 @@ class SchemaParser {
 
       return this.checkAndAddNull(schema, type);
     },
-    // TODO
+    // T (without not-schema part)
     [SCHEMA_TYPES.COMPLEX_NOT]: (schema) => {
-      // TODO
-      return this.config.Ts.Keyword.Any;
+      const baseSchema = _.omit(schema, _.keys(this.complexSchemaParsers));
+
+      if (!this.hasBaseType(baseSchema)) {
+        return this.getNotSchemaType(schema, null, schema.not);
+      }
+
+      if (this.isNullTypeSchema(schema.not)) {
+        return this.getInlineParseContent(_.omit(baseSchema, ["nullable", "x-nullable"]));
+      }
+
+      return this.getNotSchemaType(schema, this.getInlineParseContent(baseSchema), schema.not);
     },
   };
 
@@ -82,10 +129,15 @@ class SchemaParser {
       const enumNamesAsValues = this.config.enumNamesAsValues;
       const keyType = this.getType(schema);
       const enumNames = this.getEnumNames(schema);
+      const enumValues = this.getEnumValues(schema);
+      const enumDescriptions = this.getEnumDescriptions(schema);
       const isIntegerOrBooleanEnum =
         keyType === this.getTypeAlias({ type: "number" }) || keyType === this.getTypeAlias({ type: "boolean" });
       let content = null;
 
+      const enumTypeIdentifier =
+        this.config.enumStyle === ENUM_STYLE.CONST_OBJECT ? this.config.Ts.Keyword.Const : this.config.Ts.Keyword.Enum;
+
       const formatValue = (value) => {
         if (value === null) {
           return this.config.Ts.NullValue(value);
@@ -102,7 +154,7 @@ class SchemaParser {
 
       if (_.isArray(enumNames) && _.size(enumNames)) {
         content = _.map(enumNames, (enumName, index) => {
-          const enumValue = _.get(schema.enum, index);
+          const enumValue = _.get(enumValues, index);
           const formattedKey =
             (enumName && this.typeName.format(enumName, { ignorePrefix: true, ignoreSuffix: true })) ||
             this.typeName.format(enumValue, { ignorePrefix: true, ignoreSuffix: true });
@@ -122,7 +174,7 @@ class SchemaParser {
           };
         });
       } else {
-        content = _.map(schema.enum, (key) => {
+        content = _.map(enumValues, (key) => {
           return {
             key: isIntegerOrBooleanEnum ? key : this.typeName.format(key, { ignorePrefix: true, ignoreSuffix: true }),
             type: keyType,
@@ -131,6 +183,25 @@ class SchemaParser {
         });
       }
 
+      // different values can have the same formatted key (`+1`, `-1`)
+      const usedKeys = new Set();
+      content = _.map(content, (part, partIndex) => {
+        let key = part.key;
+
+        for (let index = 2; usedKeys.has(key); index++) {
+          key = `${part.key}${index}`;
+        }
+        usedKeys.add(key);
+
+        const description = _.get(enumDescriptions, partIndex);
+
+        return {
+          ...part,
+          key,
+          description: _.isString(description) ? this.schemaFormatters.formatDescription(description) : undefined,
+        };
+      });
+
       return this.attachParsedRef(schema, {
         ...(_.isObject(schema) ? schema : {}),
         $ref: $ref,
@@ -140,9 +211,9 @@ class SchemaParser {
         type: SCHEMA_TYPES.ENUM,
         keyType: keyType,
         typeIdentifier:
-          this.config.generateUnionEnums || (!enumNames && isIntegerOrBooleanEnum)
+          this.config.enumStyle === ENUM_STYLE.UNION || (!enumNames && isIntegerOrBooleanEnum)
             ? this.config.Ts.Keyword.Type
-            : this.config.Ts.Keyword.Enum,
+            : enumTypeIdentifier,
         name: typeName,
         description: this.schemaFormatters.formatDescription(schema.description),
         content,
@@ -175,6 +246,9 @@ class SchemaParser {
         type: SCHEMA_TYPES.PRIMITIVE,
         typeIdentifier: this.config.Ts.Keyword.Type,
         name: typeName,
+        // only data contracts can be interfaces
+        $extends:
+          typeName && complexType === SCHEMA_TYPES.COMPLEX_ALL_OF ? this.getAllOfInterfaceExtends(schema) : null,
         description: this.schemaFormatters.formatDescription(
           schema.description || _.compact(_.map(schema[complexType], "description"))[0] || "",
         ),
@@ -182,12 +256,25 @@ class SchemaParser {
           this.config.Ts.IntersectionType(
             _.compact([
               this.config.Ts.ExpressionGroup(complexSchemaContent),
-              this.getInternalSchemaType(simpleSchema) === SCHEMA_TYPES.OBJECT &&
+              complexType !== SCHEMA_TYPES.COMPLEX_NOT &&
+                this.getInternalSchemaType(simpleSchema) === SCHEMA_TYPES.OBJECT &&
                 this.config.Ts.ExpressionGroup(this.getInlineParseContent(simpleSchema)),
             ]),
           ) || this.config.Ts.Keyword.Any,
       });
     },
+    [SCHEMA_TYPES.CONST]: (schema, typeName) => {
+      return this.attachParsedRef(schema, {
+        ...(_.isObject(schema) ? schema : {}),
+        $parsedSchema: true,
+        schemaType: SCHEMA_TYPES.CONST,
+        type: SCHEMA_TYPES.PRIMITIVE,
+        typeIdentifier: this.config.Ts.Keyword.Type,
+        name: typeName,
+        description: this.schemaFormatters.formatDescription(schema.description),
+        content: this.checkAndAddNull(schema, this.formatConstValue(schema.const)),
+      });
+    },
     [SCHEMA_TYPES.PRIMITIVE]: (schema, typeName) => {
       let contentType = null;
       const { additionalProperties, type, description, $$requiredKeys } = schema || {};
@@ -196,7 +283,7 @@ class SchemaParser {
         const fieldType = _.isObject(additionalProperties)
           ? this.getInlineParseContent(additionalProperties)
           : this.config.Ts.Keyword.Any;
-        contentType = this.config.Ts.RecordType(this.config.Ts.Keyword.String, fieldType);
+        contentType = this.checkAndAddNull(schema, this.config.Ts.RecordType(this.config.Ts.Keyword.String, fieldType));
       }
 
       if (_.isArray(type) && type.length) {
@@ -220,17 +307,316 @@ class SchemaParser {
     },
   };
 
+  formatConstValue = (value) => {
+    if (value === null) return this.config.Ts.NullValue(this.config.Ts.Keyword.Null);
+    if (_.isNumber(value)) return this.config.Ts.NumberValue(value);
+    if (_.isBoolean(value)) return this.config.Ts.BooleanValue(value);
+    if (_.isString(value)) return this.config.Ts.StringValue(value);
+
+    return JSON.stringify(value);
+  };
+
+  /**
+   * @param discriminatorMappingValue {string} `#/components/schemas/Cat` or `Cat`
+   * @returns {string}
+   */
+  getDiscriminatorMappingRef = (discriminatorMappingValue) =>
+    _.startsWith(discriminatorMappingValue, "#")
+      ? discriminatorMappingValue
+      : `#/components/schemas/${discriminatorMappingValue}`;
+
+  /**
+   * T1 -> T1 & { discriminatorProperty: "mappingKey" }
+   * discriminator value is the key from `discriminator.mapping` or the name of the schema
+   */
+  addDiscriminatorProperty = (discriminator, childSchema, content) => {
+    const component = discriminator && discriminator.propertyName && this.getRefType(childSchema);
+
+    if (!component) return content;
+
+    const mappingKeys = _.keys(
+      _.pickBy(discriminator.mapping, (value) => this.getDiscriminatorMappingRef(value) === component.$ref),
+    );
+    const fieldName = this.typeName.isValidName(discriminator.propertyName)
+      ? discriminator.propertyName
+      : this.config.Ts.StringValue(discriminator.propertyName);
+
+    return this.config.Ts.ExpressionGroup(
+      this.config.Ts.IntersectionType([
+        content,
+        this.config.Ts.ObjectWrapper(
+          this.config.Ts.TypeField({
+            key: fieldName,
+            value: this.config.Ts.UnionType(
+              _.map(mappingKeys.length ? mappingKeys : [component.typeName], this.config.Ts.StringValue),
+            ),
+          }),
+        ),
+      ]),
+    );
+  };
+
+  /**
+   * refs of subtypes of the base schema with discriminator
+   * (values of `discriminator.mapping` and schemas which extend base schema using allOf)
+   * @param component {SchemaComponent}
+   * @returns {string[]}
+   */
+  getDiscriminatorSubtypeRefs = (component) => {
+    const { discriminator, oneOf, anyOf } = (component && component.rawTypeData) || {};
+
+    if (!discriminator || !discriminator.propertyName || oneOf || anyOf) return [];
+
+    const childRefs = _.map(
+      _.filter(this.schemaComponentsMap.filter("schemas"), (childComponent) =>
+        _.some(
+          childComponent.rawTypeData && childComponent.rawTypeData.allOf,
+          (childSchema) => childSchema && childSchema.$ref === component.$ref,
+        ),
+      ),
+      "$ref",
+    );
+
+    return _.filter(
+      _.uniq([..._.map(discriminator.mapping, this.getDiscriminatorMappingRef), ...childRefs]),
+      (ref) => ref !== component.$ref && !!this.schemaComponentsMap.get(ref),
+    );
+  };
+
+  /**
+   * Pet (with discriminator) -> (Cat & { petType: "cat" }) | (Dog & { petType: "dog" })
+   * @returns {Record<string, any> | null}
+   */
+  getDiscriminatorUnionSchema = (schema) => {
+    if (!schema.discriminator) return null;
+
+    const component = _.find(this.schemaComponentsMap.filter("schemas"), (c) => c.rawTypeData === schema);
+    const subtypeRefs = this.getDiscriminatorSubtypeRefs(component);
+
+    if (!subtypeRefs.length) return null;
+
+    return {
+      description: schema.description,
+      nullable: schema.nullable,
+      discriminator: schema.discriminator,
+      oneOf: _.map(subtypeRefs, ($ref) => ({ $ref })),
+    };
+  };
+
+  /**
+   * subtypes extend the copy of the base schema (`PetBase`) instead of the union type (`Pet`),
+   * otherwise types will have circular references (Pet = Cat | Dog, Cat = Pet & {...})
+   */
+  getDiscriminatorBaseChildSchema = (schema, childSchema) => {
+    const component = this.getRefType(childSchema);
+    const subtypeRefs = this.getDiscriminatorSubtypeRefs(component);
+
+    if (!_.some(subtypeRefs, (ref) => this.schemaComponentsMap.get(ref).rawTypeData === schema)) {
+      return childSchema;
+    }
+
+    if (!this.discriminatorBaseComponents.has(component.$ref)) {
+      const typeName = this.config.componentTypeNameResolver.resolve([
+        `${component.typeName}Base`,
+        `Base${component.typeName}`,
+      ]);
+
+      this.discriminatorBaseComponents.set(
+        component.$ref,
+        this.schemaComponentsMap.createComponent(
+          "schemas",
+          typeName,
+          _.omit(component.rawTypeData, ["discriminator", "$parsed"]),
+        ),
+      );
+    }
+
+    return { ...childSchema, $ref: this.discriminatorBaseComponents.get(component.$ref).$ref };
+  };
+
+  /**
+   * `allOf` of refs to object schemas and inline objects can be data contract interface
+   * `interface X extends A, UtilRequiredKeys<B, "id"> { ...own properties }`
+   * @param schema {Record<string, any>} schema which contains `allOf`
+   * @returns {{ types: string[], content: any[] } | null} null if `allOf` should be an intersection type
+   */
+  getAllOfInterfaceExtends = (schema) => {
+    const childSchemas = this.getAllOfChildSchemas(schema);
+    const baseSchemas = _.filter(childSchemas, this.isRef);
+
+    if (!baseSchemas.length || !this.getObjectPropertiesInfo(schema)) return null;
+
+    const ownSchemas = _.filter(childSchemas, (childSchema) => !this.isRef(childSchema) && childSchema.properties);
+
+    // index signatures of own properties would be lost
+    if (_.some(ownSchemas, (ownSchema) => ownSchema.additionalProperties || !_.isEmpty(ownSchema.patternProperties))) {
+      return null;
+    }
+
+    return {
+      types: _.map(baseSchemas, (baseSchema) => this.getInlineParseContent(baseSchema)),
+      content: this.getObjectSchemaContent({
+        properties: _.assign({}, ..._.map(ownSchemas, "properties")),
+        required: _.uniq(
+          _.flatMap(ownSchemas, (ownSchema) => (_.isArray(ownSchema.required) ? ownSchema.required : [])),
+        ),
+        additionalProperties: false,
+      }),
+    };
+  };
+
+  /**
+   * members of `allOf` with required keys from the parent schema and the object part of the parent schema
+   */
+  getAllOfChildSchemas = (schema) => {
+    const simpleSchema = _.omit(schema, _.keys(this.complexSchemaParsers));
+
+    return _.compact([
+      ..._.map(schema.allOf, (childSchema) =>
+        this.makeAddRequiredToChildSchema(schema, this.getDiscriminatorBaseChildSchema(schema, childSchema)),
+      ),
+      !_.isEmpty(simpleSchema.properties) && simpleSchema,
+    ]);
+  };
+
+  /**
+   * properties of the object schema which can be extended by interface (including inherited properties)
+   * @returns {Record<string, { type: string, required: boolean }> | null}
+   * null if schema is not an object type with statically known members or declarations of the same property conflict
+   */
+  getObjectPropertiesInfo = (schema) => {
+    if (!schema || this.isNeedToAddNull(schema)) return null;
+
+    const component = this.getRefType(schema);
+
+    if (component) {
+      // recursive data contracts
+      if (component.componentName !== "schemas" || this.objectPropertiesInfoRefs.has(component.$ref)) return null;
+
+      this.objectPropertiesInfoRefs.add(component.$ref);
+      const propertiesInfo = this.getObjectPropertiesInfo(component.rawTypeData);
+      this.objectPropertiesInfoRefs.delete(component.$ref);
+
+      return (
+        propertiesInfo &&
+        _.mapValues(propertiesInfo, (info, name) =>
+          _.includes(schema.$$requiredKeys, name) ? { ...info, required: true } : info,
+        )
+      );
+    }
+
+    if (schema.oneOf || schema.anyOf || schema.not || this.getDiscriminatorUnionSchema(schema)) return null;
+
+    if (schema.allOf) {
+      const childSchemas = _.filter(
+        this.getAllOfChildSchemas(schema),
+        (childSchema) =>
+          this.isRef(childSchema) ||
+          !_.isEmpty(this.filterContents([this.getInlineParseContent(childSchema)], this.getIgnoredAllOfTypes())),
+      );
+
+      return _.reduce(
+        childSchemas,
+        (propertiesInfo, childSchema) => {
+          const childPropertiesInfo = propertiesInfo && this.getObjectPropertiesInfo(childSchema);
+          const hasConflicts =
+            !childPropertiesInfo ||
+            _.some(
+              childPropertiesInfo,
+              (info, name) => _.has(propertiesInfo, name) && !_.isEqual(propertiesInfo[name], info),
+            );
+
+          return hasConflicts ? null : { ...propertiesInfo, ...childPropertiesInfo };
+        },
+        {},
+      );
+    }
+
+    if (this.getInternalSchemaType(schema) !== SCHEMA_TYPES.OBJECT) return null;
+
+    const hasTypedIndexSignature = _.some(
+      this.getObjectIndexSignatures(schema),
+      ({ value }) => value !== this.config.Ts.Keyword.Any && value !== this.config.Ts.Keyword.Unknown,
+    );
+
+    if (hasTypedIndexSignature) return null;
+
+    return _.mapValues(schema.properties, (property, name) => ({
+      type: this.getInlineParseContent(property),
+      required: this.isRequired(property, name, schema.required),
+    }));
+  };
+
+  /**
+   * types of `allOf` members which are not used in the intersection type
+   */
+  getIgnoredAllOfTypes = () => [...this.config.jsPrimitiveTypes, this.config.Ts.Keyword.Any];
+
+  hasBaseType = (schema) =>
+    this.isRef(schema) || !_.isEmpty(schema.enum) || !_.isUndefined(schema.const) || !!this.stealTypeFromSchema(schema);
+
+  isNullTypeSchema = (schema) => {
+    const { type, enum: enumValues } = schema || {};
+
+    return (
+      type === this.config.Ts.Keyword.Null ||
+      (_.isArray(type) && _.every(type, (t) => t === this.config.Ts.Keyword.Null)) ||
+      (_.isArray(enumValues) && _.every(enumValues, _.isNull)) ||
+      (_.has(schema, "const") && _.isNull(schema.const))
+    );
+  };
+
+  /**
+   * { not: { type: "null" } } -> NonNullable<T>
+   * T + { not: { enum: [...] } }, { not: { type: "..." } }, { not: { $ref: "..." } } -> Exclude<T, ...>
+   * other `not` schemas can't be expressed using TypeScript, schema is marked for JSDoc (`@not`) and T is used
+   * @param schema {Record<string, any>} schema which contains `not`
+   * @param baseType {string | null}
+   * @param notSchema {Record<string, any>}
+   * @returns {string}
+   */
+  getNotSchemaType = (schema, baseType, notSchema) => {
+    if (this.isNullTypeSchema(notSchema)) {
+      return this.config.Ts.TypeWithGeneric(this.config.Ts.Keyword.NonNullable, [
+        baseType || this.config.Ts.Keyword.Unknown,
+      ]);
+    }
+
+    const isTypeOnlySchema = _.isEmpty(_.omit(notSchema, ["type", "format", "title", "description"]));
+
+    if (
+      baseType &&
+      (this.isRef(notSchema) ||
+        !_.isEmpty(notSchema.enum) ||
+        !_.isUndefined(notSchema.const) ||
+        (notSchema.type && isTypeOnlySchema))
+    ) {
+      return this.config.Ts.TypeWithGeneric(this.config.Ts.Keyword.Exclude, [
+        baseType,
+        this.getInlineParseContent(notSchema),
+      ]);
+    }
+
+    schema.$$unsupportedNot = JSON.stringify(_.omit(notSchema, "$parsed"));
+    this.logger.warn(`"not" schema can't be expressed in TypeScript type:`, schema.$$unsupportedNot);
+
+    return baseType || this.config.Ts.Keyword.Any;
+  };
+
   filterContents = (contents, types) => _.uniq(_.filter(contents, (type) => !_.includes(types, type)));
 
   makeAddRequiredToChildSchema = (parentSchema, childSchema) => {
     if (!childSchema) return childSchema;
 
-    const required = _.uniq([...(parentSchema.required || []), ...(childSchema.required || [])]);
+    // `required: true` of swagger 2 parameters/properties is not a list of required keys
+    const required = _.uniq(
+      _.filter([parentSchema.required, childSchema.required], _.isArray).flatMap((requiredKeys) => requiredKeys),
+    );
 
     const refData = this.getRefType(childSchema);
 
     if (refData) {
-      const refObjectProperties = _.keys((refData.rawTypeData && refData.rawTypeData.properties) || {});
+      const refObjectProperties = this.getObjectPropertyNames(refData.rawTypeData);
       const existedRequiredKeys = refObjectProperties.filter((key) => required.includes(key));
 
       if (!existedRequiredKeys.length) return childSchema;
@@ -254,6 +640,27 @@ class SchemaParser {
     return childSchema;
   };
 
+  /**
+   * names of the object properties (including properties inherited using `allOf`)
+   * @returns {string[]}
+   */
+  getObjectPropertyNames = (schema, parentRefs = []) => {
+    if (!schema) return [];
+
+    const component = this.getRefType(schema);
+
+    if (component) {
+      return _.includes(parentRefs, component.$ref)
+        ? []
+        : this.getObjectPropertyNames(component.rawTypeData, [...parentRefs, component.$ref]);
+    }
+
+    return _.uniq([
+      ..._.keys(schema.properties),
+      ..._.flatMap(schema.allOf, (childSchema) => this.getObjectPropertyNames(childSchema, parentRefs)),
+    ]);
+  };
+
   attachParsedRef = (originalSchema, parsedSchema) => {
     const parsedSchemaAfterHook = this.config.hooks.onParseSchema(originalSchema, parsedSchema) || parsedSchema;
 
@@ -264,14 +671,27 @@ class SchemaParser {
     return parsedSchemaAfterHook;
   };
 
+  /**
+   * `{ type: "integer", format: "int64" }` (enums and constants are not int64 schemas, they keep their literal types)
+   */
+  isInt64Schema = (schema) => {
+    if (!_.isPlainObject(schema) || schema.format !== "int64" || schema.enum || _.has(schema, "const")) return false;
+
+    const type = internalCase(this.stealTypeFromSchema(schema));
+
+    return type === "integer" || type === "number";
+  };
+
   stealTypeFromSchema = (rawSchema) => {
     const schema = rawSchema || {};
 
     if (schema.type) {
       return schema.type;
     }
-    if (schema.enum) {
-      const enumFieldType = typeof schema.enum[0];
+    const enumValues = this.getEnumValues(schema);
+
+    if (enumValues) {
+      const enumFieldType = typeof enumValues[0];
       if (enumFieldType === this.config.Ts.Keyword.Undefined) return;
 
       return enumFieldType;
@@ -279,11 +699,55 @@ class SchemaParser {
     if (_.keys(schema.properties).length) {
       return SCHEMA_TYPES.OBJECT;
     }
-    if (!!schema.items) {
+    if (!!schema.items || !!schema.prefixItems) {
       return SCHEMA_TYPES.ARRAY;
     }
   };
 
+  /**
+   * tuple description of array schema with `prefixItems` or array-form `items`
+   * `items` - tuple elements (elements from `minItems` index are optional),
+   * `rest` - schema of the rest elements (`...T[]`), from `additionalItems` or `items` (`prefixItems`)
+   * @param schema {any}
+   * @returns {{ items: any[], minItems: number, rest: any | null } | null} null if schema is not a tuple
+   */
+  getTupleSchema = (schema) => {
+    const isPrefixItems = _.isArray(schema.prefixItems);
+
+    if (!isPrefixItems && (!_.isArray(schema.items) || this.isListItems(schema))) return null;
+
+    const additionalItems =
+      isPrefixItems && _.isUndefined(schema.additionalItems) ? schema.items : schema.additionalItems;
+    const maxItems = _.isNumber(schema.maxItems) ? schema.maxItems : Infinity;
+    const items = _.take(isPrefixItems ? schema.prefixItems : schema.items, maxItems);
+    let rest = null;
+
+    if (items.length < maxItems) {
+      if (additionalItems === true) rest = {};
+      if (_.isPlainObject(additionalItems)) rest = additionalItems;
+    }
+
+    const minItems = _.isNumber(schema.minItems) ? Math.min(schema.minItems, maxItems) : items.length;
+
+    // rest elements which are required by `minItems`
+    while (rest && items.length < minItems) {
+      items.push(rest);
+    }
+
+    return { items, minItems: Math.min(minItems, items.length), rest };
+  };
+
+  /**
+   * `items: [A]` without `additionalItems` is commonly used as a list of `A` (not a tuple)
+   */
+  isListItems = (schema) =>
+    _.isArray(schema.items) && schema.items.length === 1 && _.isUndefined(schema.additionalItems);
+
+  /**
+   * schema of the array elements (`items: [A]` -> `A`)
+   */
+  getArrayItems = (schema) => (this.isListItems(schema) ? schema.items[0] : schema.items);
+
   getTypeAlias = (rawSchema) => {
     const schema = rawSchema || {};
     const type = internalCase(this.stealTypeFromSchema(schema));
@@ -300,13 +764,88 @@ class SchemaParser {
   };
 
   getEnumNames = (schema) => {
-    return schema["x-enumNames"] || schema["xEnumNames"] || schema["x-enumnames"] || schema["x-enum-varnames"];
+    const enumNames =
+      schema["x-enumNames"] || schema["xEnumNames"] || schema["x-enumnames"] || schema["x-enum-varnames"];
+
+    if (enumNames) return enumNames;
+
+    // oneOf: [{ const: 1, title: "Low" }, { const: 2, title: "High" }]
+    const constEnumMembers = this.getConstEnumMembers(schema);
+
+    return constEnumMembers && _.some(constEnumMembers, "title") ? _.map(constEnumMembers, "title") : undefined;
+  };
+
+  /**
+   * @returns {any[] | undefined}
+   */
+  getEnumValues = (schema) => {
+    if (!_.isEmpty(schema.enum)) return schema.enum;
+
+    const constEnumMembers = this.getConstEnumMembers(schema);
+
+    return constEnumMembers
+      ? _.map(constEnumMembers, (member) => (_.isUndefined(member.const) ? member.enum[0] : member.const))
+      : schema.enum;
+  };
+
+  /**
+   * descriptions of enum members from `x-enum-descriptions` (array, or object with values/names as keys)
+   * or from descriptions of `oneOf` members with `const`
+   * @returns {(string | undefined)[]}
+   */
+  getEnumDescriptions = (schema) => {
+    const constEnumMembers = this.getConstEnumMembers(schema);
+
+    if (constEnumMembers) return _.map(constEnumMembers, "description");
+
+    const descriptions = schema["x-enum-descriptions"] || schema["x-enumDescriptions"] || schema["x-enum-comments"];
+
+    if (!_.isPlainObject(descriptions)) return _.isArray(descriptions) ? descriptions : [];
+
+    const enumNames = this.getEnumNames(schema);
+
+    return _.map(this.getEnumValues(schema), (value, index) => {
+      const enumName = _.get(enumNames, index);
+
+      return _.isUndefined(descriptions[enumName]) ? descriptions[value] : descriptions[enumName];
+    });
+  };
+
+  /**
+   * description of the first member of combined schema,
+   * descriptions of `oneOf` members with `const` describe enum members, not the schema
+   * @returns {string | undefined}
+   */
+  getMembersDescription = (schema) =>
+    this.getConstEnumMembers(schema)
+      ? undefined
+      : _.compact(_.map(schema[this.getComplexType(schema)], "description"))[0];
+
+  /**
+   * members of `oneOf: [{ const: "a", description: "..." }, { const: "b" }]` enum pattern
+   * @returns {any[] | null}
+   */
+  getConstEnumMembers = (schema) => {
+    if (!_.isArray(schema.oneOf) || _.isEmpty(schema.oneOf) || schema.discriminator) return null;
+
+    const isConstMember = (member) =>
+      _.isPlainObject(member) &&
+      !member.$ref &&
+      (_.isUndefined(member.const)
+        ? _.isArray(member.enum) && member.enum.length === 1 && !_.isObject(member.enum[0])
+        : !_.isObject(member.const));
+
+    return _.every(schema.oneOf, isConstMember) ? schema.oneOf : null;
   };
 
   getInternalSchemaType = (schema) => {
-    if (!_.isEmpty(schema.enum) || !_.isEmpty(this.getEnumNames(schema))) return SCHEMA_TYPES.ENUM;
+    if (this.isOpenApi31Schema(schema) && !_.isUndefined(schema.const) && _.isEmpty(schema.enum))
+      return SCHEMA_TYPES.CONST;
+    if ((!_.isEmpty(this.getEnumValues(schema)) || !_.isEmpty(this.getEnumNames(schema))) && !schema.not) {
+      return SCHEMA_TYPES.ENUM;
+    }
     if (schema.allOf || schema.oneOf || schema.anyOf || schema.not) return SCHEMA_TYPES.COMPLEX;
-    if (!_.isEmpty(schema.properties)) return SCHEMA_TYPES.OBJECT;
+    if (!_.isEmpty(schema.properties) || !_.isEmpty(schema.patternProperties)) return SCHEMA_TYPES.OBJECT;
 
     return SCHEMA_TYPES.PRIMITIVE;
   };
@@ -367,9 +906,16 @@ class SchemaParser {
       );
     }
 
+    // type parameter of generic data contract (`extractGenericTypes` option)
+    if (schema.$$typeParameter) {
+      return this.checkAndAddNull(schema, schema.$$typeParameter);
+    }
+
     const primitiveType = this.getTypeAlias(schema);
+    const brandType = primitiveType && this.schemaBrands.getBrandType(schema, primitiveType);
+
     return primitiveType
-      ? this.checkAndAddRequiredKeys(schema, this.checkAndAddNull(schema, primitiveType))
+      ? this.checkAndAddRequiredKeys(schema, this.checkAndAddNull(schema, brandType || primitiveType))
       : this.config.Ts.Keyword.Any;
   };
 
@@ -391,7 +937,7 @@ class SchemaParser {
   };
 
   getObjectSchemaContent = (schema) => {
-    const { properties, additionalProperties, required: requiredProperties } = schema || {};
+    const { properties, additionalProperties, patternProperties, required: requiredProperties } = schema || {};
 
     const propertiesContent = _.map(properties, (property, name) => {
       const required = this.isRequired(property, name, requiredProperties);
@@ -407,9 +953,9 @@ class SchemaParser {
         title: property.title,
         description:
           property.description ||
-          _.compact(_.map(property[this.getComplexType(property)], "description"))[0] ||
+          this.getMembersDescription(property) ||
           rawTypeData.description ||
-          _.compact(_.map(rawTypeData[this.getComplexType(rawTypeData)], "description"))[0] ||
+          this.getMembersDescription(rawTypeData) ||
           "",
         isRequired: required,
         isNullable: nullable,
@@ -424,18 +970,123 @@ class SchemaParser {
       };
     });
 
-    if (additionalProperties) {
+    _.each(this.getObjectIndexSignatures(schema), ({ key, value }) => {
       propertiesContent.push({
-        $$raw: { additionalProperties },
+        $$raw: { additionalProperties, patternProperties },
         description: "",
         isRequired: false,
-        field: this.config.Ts.InterfaceDynamicField(this.config.Ts.Keyword.String, this.config.Ts.Keyword.Any),
+        field: this.config.Ts.InterfaceDynamicField(key, value),
       });
-    }
+    });
 
     return propertiesContent;
   };
 
+  /**
+   * index signatures of the object from `additionalProperties` and `patternProperties`
+   * (`additionalProperties: false` and absent `additionalProperties` are the same until `strictAdditionalProperties`)
+   * value types are widened with the types of declared properties, so the interface compiles
+   * @param schema {any}
+   * @returns {{ key: string, value: string }[]}
+   */
+  getObjectIndexSignatures = (schema) => {
+    const { properties, additionalProperties, patternProperties, required: requiredProperties } = schema;
+    const { Keyword } = this.config.Ts;
+    const getValueType = (valueSchema) =>
+      _.isObject(valueSchema) ? this.getInlineParseContent(valueSchema) : Keyword.Any;
+
+    const stringSignature = { key: Keyword.String, regExp: null, valueTypes: [] };
+    const patternSignatures = [];
+
+    if (additionalProperties) {
+      stringSignature.valueTypes.push(getValueType(additionalProperties));
+    } else if (this.config.strictAdditionalProperties && _.isUndefined(additionalProperties)) {
+      stringSignature.valueTypes.push(Keyword.Unknown);
+    }
+
+    const hasStringSignature =
+      !!stringSignature.valueTypes.length ||
+      _.some(_.keys(patternProperties), (pattern) => !this.getPatternPropertyKeyType(pattern));
+
+    _.each(patternProperties, (valueSchema, pattern) => {
+      const keyType = this.getPatternPropertyKeyType(pattern);
+      const valueType = getValueType(valueSchema);
+
+      if (keyType) {
+        patternSignatures.push({ key: keyType, regExp: new RegExp(pattern), valueTypes: [valueType] });
+      }
+      // string index signature should accept values of the other index signatures
+      stringSignature.valueTypes.push(valueType);
+    });
+
+    const signatures = [...patternSignatures, ...(hasStringSignature ? [stringSignature] : [])];
+
+    _.each(properties, (property, name) => {
+      const propertyType = this.getInlineParseContent(property);
+      const propertyTypes = this.isRequired(property, name, requiredProperties)
+        ? [propertyType]
+        : [propertyType, Keyword.Undefined];
+
+      _.each(signatures, (signature) => {
+        if (!signature.regExp || signature.regExp.test(name)) {
+          signature.valueTypes.push(...propertyTypes);
+        }
+      });
+    });
+
+    return _.map(signatures, ({ key, valueTypes }) => ({
+      key,
+      value: _.includes(valueTypes, Keyword.Any)
+        ? Keyword.Any
+        : _.includes(valueTypes, Keyword.Unknown)
+        ? Keyword.Unknown
+        : this.config.Ts.UnionType(valueTypes),
+    }));
+  };
+
+  /**
+   * template literal type for the key of `patternProperties` (`^x-` -> `x-${string}`)
+   * only literal characters, `.*`, `.+` and `^`/`$` anchors are supported
+   * @param pattern {string}
+   * @returns {string | null} null if pattern can't be described by template literal type
+   */
+  getPatternPropertyKeyType = (pattern) => {
+    let source = pattern;
+    const isStartAnchored = _.startsWith(source, "^");
+    const isEndAnchored = /(^|[^\\])\$$/.test(source);
+
+    if (isStartAnchored) source = source.slice(1);
+    if (isEndAnchored) source = source.slice(0, -1);
+
+    // null is a wildcard (`${string}`)
+    const parts = isStartAnchored ? [] : [null];
+
+    while (source) {
+      const wildcard = /^\.[*+]/.exec(source);
+      const literal = /^(?:[\w-]|\\[^\w\s])/.exec(source);
+
+      if (wildcard) {
+        parts.push(null);
+        source = source.slice(wildcard[0].length);
+      } else if (literal) {
+        parts.push(_.last(literal[0]));
+        source = source.slice(literal[0].length);
+      } else {
+        return null;
+      }
+    }
+
+    if (!isEndAnchored) parts.push(null);
+
+    const templateParts = _.filter(parts, (part, index) => part !== null || parts[index - 1] !== null);
+
+    if (!_.includes(templateParts, null) || _.every(templateParts, _.isNull)) return null;
+
+    return `\`${_.map(templateParts, (part) =>
+      part === null ? `\${${this.config.Ts.Keyword.String}}` : part.replace(/[`$\\]/g, "\\$&"),
+    ).join("")}\``;
+  };
+
   getComplexType = (schema) => {
     if (schema.oneOf) return SCHEMA_TYPES.COMPLEX_ONE_OF;
     if (schema.allOf) return SCHEMA_TYPES.COMPLEX_ALL_OF;
@@ -446,6 +1097,34 @@ class SchemaParser {
     return SCHEMA_TYPES.COMPLEX_UNKNOWN;
   };
 
+  /**
+   * OpenAPI version is tracked per schema part when `inputs` mix OpenAPI 3.1 with older versions
+   */
+  isOpenApi31Schema = (schema) => this.config.isOpenApi31 || !!(schema && schema[OPEN_API_31_SCHEMA]);
+
+  /**
+   * JSON Schema 2020-12 keywords (OpenAPI 3.1) -> OpenAPI 3.0 keywords
+   * `type: ["string", "null"]` -> `type: "string", nullable: true`
+   * `unevaluatedProperties` -> `additionalProperties`
+   * @param schema {any}
+   */
+  normalizeOpenApi31Schema = (schema) => {
+    if (_.isArray(schema.type) && schema.type.includes(this.config.Ts.Keyword.Null)) {
+      const types = _.without(schema.type, this.config.Ts.Keyword.Null);
+
+      if (types.length) {
+        schema.nullable = true;
+        schema.type = types.length === 1 ? types[0] : types;
+      }
+    }
+
+    if (!_.isUndefined(schema.unevaluatedProperties) && _.isUndefined(schema.additionalProperties)) {
+      schema.additionalProperties = schema.unevaluatedProperties;
+    }
+
+    return schema;
+  };
+
   /**
    *
    * @param schema {any}
@@ -471,12 +1150,24 @@ class SchemaParser {
         typeName = this.getType(schema);
       }
 
-      if (schema.items && !schema.type) {
+      if (this.isOpenApi31Schema(schema)) {
+        this.normalizeOpenApi31Schema(schema);
+      }
+
+      if ((schema.items || schema.prefixItems) && !schema.type) {
         schema.type = SCHEMA_TYPES.ARRAY;
       }
 
-      schemaType = this.getInternalSchemaType(schema);
-      parsedSchema = this.baseSchemaParsers[schemaType](schema, typeName);
+      const discriminatorUnionSchema = this.getDiscriminatorUnionSchema(schema);
+
+      if (discriminatorUnionSchema) {
+        schemaType = this.getInternalSchemaType(discriminatorUnionSchema);
+        parsedSchema = this.baseSchemaParsers[schemaType](discriminatorUnionSchema, typeName);
+        schema.$parsed = parsedSchema;
+      } else {
+        schemaType = this.getInternalSchemaType(schema);
+        parsedSchema = this.baseSchemaParsers[schemaType](schema, typeName);
+      }
     }
 
     const formatterFn =
@@ -0,0 +1,188 @@
+const _ = require("lodash");
+
+/**
+ * `splitReadWriteModels` option
+ * components with `readOnly`/`writeOnly` properties get request variant (`UserInput`, without `readOnly` properties)
+ * and response variant (`User`, without `writeOnly` properties)
+ */
+class SchemaReadWriteModels {
+  /**
+   * @type {CodeGenConfig}
+   */
+  config;
+  /**
+   * @type {SchemaComponentsMap}
+   */
+  schemaComponentsMap;
+  /**
+   * Record<componentRef, inputComponentRef>
+   * @type {Record<string, string>}
+   */
+  inputRefsMap = {};
+
+  constructor(config, schemaComponentsMap) {
+    this.config = config;
+    this.schemaComponentsMap = schemaComponentsMap;
+  }
+
+  /**
+   * creates request variants of the components and removes `writeOnly` properties from the components
+   * should be called before parsing components
+   */
+  splitComponents = () => {
+    this.inputRefsMap = {};
+
+    const components = this.schemaComponentsMap.filter("schemas");
+    const splitRefs = new Set(
+      _.map(
+        _.filter(components, (component) => this.hasReadWriteProperties(component.rawTypeData)),
+        "$ref",
+      ),
+    );
+
+    // components which contain refs to split components need request variant too
+    let hasNewSplitRefs = !!splitRefs.size;
+    while (hasNewSplitRefs) {
+      hasNewSplitRefs = false;
+      _.each(components, (component) => {
+        if (
+          !splitRefs.has(component.$ref) &&
+          _.some(this.getRefs(component.rawTypeData), (ref) => splitRefs.has(ref))
+        ) {
+          splitRefs.add(component.$ref);
+          hasNewSplitRefs = true;
+        }
+      });
+    }
+
+    const splitComponents = _.filter(components, (component) => splitRefs.has(component.$ref));
+
+    _.each(splitComponents, (component) => {
+      const typeName = this.config.componentTypeNameResolver.resolve([
+        `${component.typeName}Input`,
+        `${component.typeName}Request`,
+      ]);
+
+      this.inputRefsMap[component.$ref] = `#/components/schemas/${typeName}`;
+    });
+
+    const inputSchemas = _.map(splitComponents, (component) =>
+      this.getSchemaWithoutProperties(component.rawTypeData, "readOnly"),
+    );
+
+    _.each(splitComponents, (component, index) => {
+      const outputSchema = this.getSchemaWithoutProperties(component.rawTypeData, "writeOnly", {});
+
+      // original schema object is also used in `usageSchema`, so it should be updated in place
+      _.each(_.keys(component.rawTypeData), (key) => delete component.rawTypeData[key]);
+      Object.assign(component.rawTypeData, outputSchema);
+
+      this.schemaComponentsMap.createComponent(
+        "schemas",
+        _.last(_.split(this.inputRefsMap[component.$ref], "/")),
+        inputSchemas[index],
+      );
+    });
+  };
+
+  /**
+   * request body without `readOnly` properties, refs are replaced with refs to request variants
+   */
+  getRequestInfo = (requestInfo) =>
+    this.getSchemaWithoutProperties(this.resolveRequestInfoRef(requestInfo), "readOnly");
+
+  /**
+   * responses without `writeOnly` properties
+   */
+  getResponseInfos = (responses) =>
+    _.mapValues(responses, (response) =>
+      this.getSchemaWithoutProperties(this.resolveRequestInfoRef(response), "writeOnly", {}),
+    );
+
+  /**
+   * `#/components/requestBodies/Foo`, `#/components/responses/Foo` -> raw request body/response
+   */
+  resolveRequestInfoRef = (requestInfo) => {
+    const component = requestInfo && this.schemaComponentsMap.get(requestInfo.$ref);
+
+    if (!component || component.componentName === "schemas") return requestInfo;
+
+    return { ..._.omit(requestInfo, "$ref"), ...component.rawTypeData };
+  };
+
+  hasReadWriteProperties = (schema) => {
+    if (!_.isObject(schema)) return false;
+
+    return _.some(schema, (value, key) => {
+      if (key === "$parsed") return false;
+      if (key === "properties" && _.isPlainObject(value)) {
+        return _.some(
+          value,
+          (property) =>
+            (property && (property.readOnly === true || property.writeOnly === true)) ||
+            this.hasReadWriteProperties(property),
+        );
+      }
+
+      return this.hasReadWriteProperties(value);
+    });
+  };
+
+  getRefs = (schema) => {
+    if (!_.isObject(schema)) return [];
+
+    return _.flatMap(_.entries(schema), ([key, value]) => {
+      if (key === "$parsed") return [];
+      if (key === "$ref" && _.isString(value)) return [value];
+
+      return this.getRefs(value);
+    });
+  };
+
+  /**
+   * copy of the schema without properties marked by `readOnly`/`writeOnly` (also in nested schemas)
+   * @param schema {any}
+   * @param propertyFlag {"readOnly" | "writeOnly"}
+   * @param refsMap {Record<string, string>} refs which should be replaced
+   * @returns {any}
+   */
+  getSchemaWithoutProperties = (schema, propertyFlag, refsMap = this.inputRefsMap) => {
+    if (_.isArray(schema)) {
+      return _.map(schema, (part) => this.getSchemaWithoutProperties(part, propertyFlag, refsMap));
+    }
+    if (!_.isPlainObject(schema)) return schema;
+
+    let removedProperties = [];
+
+    const result = _.reduce(
+      schema,
+      (acc, value, key) => {
+        if (key === "$parsed") return acc;
+
+        if (key === "$ref" && refsMap[value]) {
+          acc[key] = refsMap[value];
+        } else if (key === "properties" && _.isPlainObject(value)) {
+          removedProperties = _.keys(_.pickBy(value, (property) => property && property[propertyFlag] === true));
+          acc[key] = _.mapValues(_.omit(value, removedProperties), (property) =>
+            this.getSchemaWithoutProperties(property, propertyFlag, refsMap),
+          );
+        } else {
+          acc[key] = this.getSchemaWithoutProperties(value, propertyFlag, refsMap);
+        }
+
+        return acc;
+      },
+      {},
+    );
+
+    if (removedProperties.length && _.isArray(result.required)) {
+      result.required = _.without(result.required, ...removedProperties);
+    }
+
+    return result;
+  };
+}
+
+module.exports = {
+  SchemaReadWriteModels,
+};
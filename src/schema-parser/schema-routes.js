@@ -3,12 +3,17 @@ const { generateId } = require("../util/id.js");
 const { SpecificArgNameResolver } = require("../util/name-resolver.js");
 const {
   DEFAULT_BODY_ARG_NAME,
+  INT64_TYPE,
+  RESULT_STYLE,
   RESERVED_BODY_ARG_NAMES,
+  RESERVED_COOKIE_ARG_NAMES,
   RESERVED_HEADER_ARG_NAMES,
   RESERVED_PATH_ARG_NAMES,
   RESERVED_QUERY_ARG_NAMES,
+  SCHEMA_TYPES,
 } = require("../constants.js");
 const { pascalCase } = require("../util/pascal-case");
+const { globToRegExp } = require("../util/glob");
 
 const CONTENT_KIND = {
   JSON: "JSON",
@@ -18,6 +23,13 @@ const CONTENT_KIND = {
   OTHER: "OTHER",
 };
 
+/** members of `ContentType` enum of http client which are generated for any schema */
+const DEFAULT_CONTENT_TYPE_NAMES = {
+  "application/json": "Json",
+  "multipart/form-data": "FormData",
+  "application/x-www-form-urlencoded": "UrlEncoded",
+};
+
 class SchemaRoutes {
   /**
    * @type {CodeGenConfig}
@@ -43,6 +55,26 @@ class SchemaRoutes {
    * @type {Templates}
    */
   templates;
+  /**
+   * @type {SchemaReadWriteModels}
+   */
+  schemaReadWriteModels;
+  /**
+   * @type {SchemaDateFields}
+   */
+  schemaDateFields;
+  /**
+   * @type {SchemaInt64Fields}
+   */
+  schemaInt64Fields;
+  /**
+   * @type {SchemaZod}
+   */
+  schemaZod;
+  /**
+   * @type {SchemaInlineTypes}
+   */
+  schemaInlineTypes;
 
   FORM_DATA_TYPES = [];
 
@@ -50,9 +82,35 @@ class SchemaRoutes {
   hasSecurityRoutes = false;
   hasQueryRoutes = false;
   hasFormDataRoutes = false;
-
-  constructor(config, schemaParser, schemaComponentMap, logger, templates, typeName) {
+  hasParamStylesRoutes = false;
+  hasHeaderParamsRoutes = false;
+  hasTypedHeadersRoutes = false;
+  hasContentVariantsRoutes = false;
+  /**
+   * media types which are not default members of `ContentType` enum
+   * @type {{ name: string, value: string, contentKind: string }[]}
+   */
+  contentTypes = [];
+
+  constructor(
+    config,
+    schemaParser,
+    schemaComponentMap,
+    logger,
+    templates,
+    typeName,
+    schemaReadWriteModels,
+    schemaDateFields,
+    schemaInt64Fields,
+    schemaZod,
+    schemaInlineTypes,
+  ) {
     this.config = config;
+    this.schemaInlineTypes = schemaInlineTypes;
+    this.schemaReadWriteModels = schemaReadWriteModels;
+    this.schemaDateFields = schemaDateFields;
+    this.schemaInt64Fields = schemaInt64Fields;
+    this.schemaZod = schemaZod;
     this.schemaParser = schemaParser;
     this.typeName = typeName;
     this.schemaComponentMap = schemaComponentMap;
@@ -177,6 +235,8 @@ class SchemaRoutes {
       if (routeParam.in === "path") {
         if (!routeParam.name) return;
 
+        // original name is used by `matrix` style (`;user_id=1`)
+        routeParam.$originalName = routeParam.name;
         routeParam.name = _.camelCase(routeParam.name);
       }
 
@@ -197,6 +257,76 @@ class SchemaRoutes {
     return routeParams;
   };
 
+  /**
+   * OpenAPI `style`/`explode` (swagger 2 `collectionFormat`) of query and path params,
+   * only params which http client can't serialize using default rules are listed
+   * (query - `key=a&key=b`, path - `a,b` for arrays and primitive values)
+   * @returns {{ query: Record<string, { style: string, explode: boolean }> | null, path: Record<string, { name: string, style: string, explode: boolean }> | null } | null}
+   */
+  getRouteParamStyles = (routeParams) => {
+    const getParamStyle = (routeParam, defaultStyle) => {
+      // swagger2openapi keeps `tsv` collection format as is, it doesn't have OpenAPI 3 style
+      const style = routeParam["x-collectionFormat"] === "tsv" ? "tabDelimited" : routeParam.style || defaultStyle;
+
+      return {
+        style,
+        explode: _.isBoolean(routeParam.explode) ? routeParam.explode : style === "form",
+      };
+    };
+
+    const query = _.reduce(
+      routeParams.query,
+      (result, routeParam) => {
+        const paramStyle = getParamStyle(routeParam, "form");
+        const valueKind = this.getParamValueKind(routeParam);
+        const isDefault = paramStyle.style === "form" && paramStyle.explode;
+
+        if (valueKind === SCHEMA_TYPES.OBJECT || (valueKind === SCHEMA_TYPES.ARRAY && !isDefault)) {
+          result[routeParam.name] = paramStyle;
+        }
+
+        return result;
+      },
+      {},
+    );
+    const path = _.reduce(
+      routeParams.path,
+      (result, routeParam) => {
+        const paramStyle = getParamStyle(routeParam, "simple");
+
+        if (paramStyle.style !== "simple" || this.getParamValueKind(routeParam) === SCHEMA_TYPES.OBJECT) {
+          result[routeParam.name] = { name: routeParam.$originalName || routeParam.name, ...paramStyle };
+        }
+
+        return result;
+      },
+      {},
+    );
+
+    if (_.isEmpty(query) && _.isEmpty(path)) return null;
+
+    return {
+      query: _.isEmpty(query) ? null : query,
+      path: _.isEmpty(path) ? null : path,
+    };
+  };
+
+  /**
+   * @returns {"object" | "array" | null} kind of param value which affects its serialization
+   */
+  getParamValueKind = (routeParam) => {
+    const refTypeInfo = this.schemaParser.getRefType(routeParam);
+    const schema = refTypeInfo ? refTypeInfo.rawTypeData : routeParam;
+    const type = this.schemaParser.stealTypeFromSchema(schema);
+
+    if (type === SCHEMA_TYPES.ARRAY || _.includes(type, SCHEMA_TYPES.ARRAY)) return SCHEMA_TYPES.ARRAY;
+    if (type === SCHEMA_TYPES.OBJECT || _.includes(type, SCHEMA_TYPES.OBJECT) || schema.additionalProperties) {
+      return SCHEMA_TYPES.OBJECT;
+    }
+
+    return null;
+  };
+
   getContentTypes = (requestInfo, extraContentTypes) =>
     _.uniq(
       _.compact([
@@ -228,10 +358,35 @@ class SchemaRoutes {
     return CONTENT_KIND.OTHER;
   };
 
+  /**
+   * @returns {string | null} member of `ContentType` enum (`TextCsv` for `text/csv`),
+   * media ranges (`image/*`) are not members of the enum
+   */
+  getContentTypeName = (contentType) => {
+    if (DEFAULT_CONTENT_TYPE_NAMES[contentType]) return DEFAULT_CONTENT_TYPE_NAMES[contentType];
+    if (_.includes(contentType, "*")) return null;
+
+    const existing = _.find(this.contentTypes, { value: contentType });
+
+    if (existing) return existing.name;
+
+    const baseName = pascalCase(contentType);
+    const usedNames = [..._.values(DEFAULT_CONTENT_TYPE_NAMES), ..._.map(this.contentTypes, "name")];
+    let name = baseName;
+
+    for (let index = 2; _.includes(usedNames, name); index++) {
+      name = `${baseName}${index}`;
+    }
+
+    this.contentTypes.push({ name, value: contentType, contentKind: this.getContentKind([contentType]) });
+
+    return name;
+  };
+
   isSuccessStatus = (status) =>
     (this.config.defaultResponseAsSuccess && status === "default") ||
     (+status >= this.config.successResponseStatusRange[0] && +status <= this.config.successResponseStatusRange[1]) ||
-    status === "2xx";
+    _.toLower(status) === "2xx";
 
   getSchemaFromRequestType = (requestInfo) => {
     const content = _.get(requestInfo, "content");
@@ -328,8 +483,72 @@ class SchemaRoutes {
       [],
     );
 
+  /**
+   * request body or success response which has several media types in `content`
+   * @returns {{ contentType: string, name: string, contentKind: string, isBinaryContent: boolean, type: string }[] | null}
+   * `name` - member of `ContentType` enum, the first variant is the default one (`defaultType`),
+   * it has content kind which is used by http client when media type is not selected (`defaultContentKind`),
+   * request body and response data of other media types than JSON are strings (except binary schemas)
+   */
+  getContentVariants = ({ requestInfo, parsedSchemas, operationId, defaultType, defaultContentKind, isResponse }) => {
+    if (!this.config.contentTypeVariants) return null;
+
+    const refTypeInfo = this.schemaParser.getRefType(requestInfo);
+    const resolvedRequestInfo =
+      refTypeInfo && refTypeInfo.componentName !== "schemas" ? refTypeInfo.rawTypeData : requestInfo;
+    const content = _.pickBy(
+      _.get(resolvedRequestInfo, "content"),
+      (mediaTypeInfo) => mediaTypeInfo && mediaTypeInfo.schema,
+    );
+    const contentTypes = _.keys(content);
+    const variantContentTypes = contentTypes.filter((contentType) => this.getContentTypeName(contentType));
+
+    if (variantContentTypes.length < 2) return null;
+
+    const contentKinds = _.map(variantContentTypes, (contentType) => this.getContentKind([contentType]));
+    // content kind of request info with `$ref` is unknown (`OTHER`)
+    const defaultKind =
+      defaultContentKind !== CONTENT_KIND.OTHER && _.includes(contentKinds, defaultContentKind)
+        ? defaultContentKind
+        : this.getContentKind(variantContentTypes);
+    const defaultContentType = variantContentTypes[_.indexOf(contentKinds, defaultKind)];
+
+    return _.map(_.uniq([defaultContentType, ...variantContentTypes]), (contentType, index) => {
+      const contentKind = this.getContentKind([contentType]);
+      const isBinaryContent =
+        contentType === "application/octet-stream" || _.get(content[contentType], "schema.format") === "binary";
+      let type = defaultType;
+
+      if (index && contentKind === CONTENT_KIND.OTHER && !isBinaryContent) {
+        type = this.config.Ts.Keyword.String;
+      } else if (index && contentKind === CONTENT_KIND.OTHER && isResponse) {
+        type = "Blob";
+      } else if (index) {
+        type = this.schemaParser.checkAndAddNull(
+          resolvedRequestInfo,
+          this.getTypeFromRequestInfo({
+            requestInfo: { content: _.pick(content, contentType) },
+            parsedSchemas,
+            operationId,
+          }),
+        );
+      }
+
+      return {
+        contentType,
+        name: this.getContentTypeName(contentType),
+        contentKind,
+        isBinaryContent,
+        type,
+      };
+    });
+  };
+
   getResponseBodyInfo = (routeInfo, routeParams, parsedSchemas) => {
-    const { produces, operationId, responses } = routeInfo;
+    const { produces, operationId } = routeInfo;
+    const responses = this.config.splitReadWriteModels
+      ? this.schemaReadWriteModels.getResponseInfos(routeInfo.responses)
+      : routeInfo.responses;
 
     const contentTypes = this.getContentTypes(responses, [...(produces || []), routeInfo["x-accepts"]]);
 
@@ -345,6 +564,18 @@ class SchemaRoutes {
       (response) => !response.isSuccess && response.type !== this.config.Ts.Keyword.Any,
     );
 
+    const successVariants =
+      successResponse && this.config.resultStyle !== RESULT_STYLE.STATUS_UNION
+        ? this.getContentVariants({
+            requestInfo: successResponse,
+            parsedSchemas,
+            operationId,
+            defaultType: successResponse.type,
+            defaultContentKind: successResponse.contentKind,
+            isResponse: true,
+          })
+        : null;
+
     const handleResponseHeaders = (src) => {
       if (!src) {
         return "headers: {},";
@@ -363,9 +594,16 @@ class SchemaRoutes {
     return {
       contentTypes,
       responses: responseInfos,
+      typedHeaders: this.config.typedResponseHeaders
+        ? this.getRouteTypedHeaders(responseInfos)
+        : { type: null, types: null },
+      statusResult: {
+        type: this.config.resultStyle === RESULT_STYLE.STATUS_UNION ? this.getStatusResultType(responseInfos) : null,
+      },
       success: {
         schema: successResponse,
         type: (successResponse && successResponse.type) || this.config.Ts.Keyword.Any,
+        variants: successVariants,
       },
       error: {
         schemas: errorResponses,
@@ -385,6 +623,225 @@ class SchemaRoutes {
     };
   };
 
+  /**
+   * `resultStyle: "status-union"` option
+   * `{ status: 200; data: A; headers: {...} } | { status: 404; error: B; headers: {...} }` result of the route,
+   * `2XX`-like and `default` responses get statuses which are not declared explicitly (`HttpStatus`, `HttpStatusRange` types of http client),
+   * responses with 2xx statuses have `data`, other responses have `error` (as in http client)
+   */
+  getStatusResultType = (responseInfos) => {
+    const { Ts } = this.config;
+    const getRange = (status) => String(status)[0];
+    const getRangeType = (range) => `HttpStatusRange<"${range}">`;
+    const excludeStatuses = (type, statuses) =>
+      statuses.length ? `Exclude<${type}, ${Ts.UnionType(statuses)}>` : type;
+    const headersKeys = this.getResponseHeadersKeys(responseInfos);
+    const createResult = (status, isSuccess, responseInfo) => {
+      const responseHeaders = this.config.typedResponseHeaders
+        ? this.getResponseHeaders(responseInfo, headersKeys)
+        : [];
+
+      return `{ status: ${status}; ${isSuccess ? "data" : "error"}: ${
+        responseInfo ? responseInfo.type : Ts.Keyword.Any
+      }; headers: ${this.getStatusResultHeadersType(responseInfo)}${
+        responseHeaders.length
+          ? `; typedHeaders: ${this.getTypedHeadersType(responseHeaders, [{ headers: responseHeaders }])}`
+          : ""
+      } }`;
+    };
+
+    const statusResponses = responseInfos.filter((responseInfo) => _.isNumber(responseInfo.status));
+    const rangeResponses = responseInfos.filter((responseInfo) => /^[1-5]xx$/i.test(responseInfo.status));
+    const defaultResponse = responseInfos.find((responseInfo) => responseInfo.status === "default");
+    const declaredRanges = rangeResponses.map((responseInfo) => getRange(responseInfo.status));
+    const getDeclaredStatuses = (isSuccessRange) =>
+      statusResponses
+        .map((responseInfo) => responseInfo.status)
+        .filter((status) => (getRange(status) === "2") === isSuccessRange);
+
+    const results = [
+      ...statusResponses.map((responseInfo) =>
+        createResult(responseInfo.status, getRange(responseInfo.status) === "2", responseInfo),
+      ),
+      ...rangeResponses.map((responseInfo) => {
+        const range = getRange(responseInfo.status);
+        const declaredStatuses = statusResponses
+          .map((statusResponse) => statusResponse.status)
+          .filter((status) => getRange(status) === range);
+
+        return createResult(excludeStatuses(getRangeType(range), declaredStatuses), range === "2", responseInfo);
+      }),
+    ];
+
+    // `default` response (or any response if route doesn't have responses) covers all other statuses
+    if (defaultResponse || !responseInfos.length) {
+      if (!_.includes(declaredRanges, "2")) {
+        results.push(
+          createResult(excludeStatuses(getRangeType("2"), getDeclaredStatuses(true)), true, defaultResponse),
+        );
+      }
+      results.push(
+        createResult(
+          excludeStatuses("HttpStatus", [
+            getRangeType("2"),
+            ..._.without(declaredRanges, "2").map(getRangeType),
+            ...getDeclaredStatuses(false),
+          ]),
+          false,
+          defaultResponse,
+        ),
+      );
+    }
+
+    return Ts.UnionType(results);
+  };
+
+  /**
+   * `resultStyle: "status-union"` option
+   * response headers declared in the spec (names in lower case, as in http client) + other headers (`ResponseHeaders`)
+   */
+  getStatusResultHeadersType = (responseInfo) => {
+    const { Ts } = this.config;
+    const responseHeaders = this.getResponseHeaders(responseInfo);
+
+    if (!responseHeaders.length) return "ResponseHeaders";
+
+    return Ts.ObjectWrapper(
+      [
+        ...responseHeaders.map(({ name, required }) =>
+          Ts.TypeField({ key: JSON.stringify(_.toLower(name)), optional: !required, value: Ts.Keyword.String }),
+        ),
+        Ts.InterfaceDynamicField(Ts.Keyword.String, Ts.UnionType([Ts.Keyword.String, Ts.Keyword.Undefined])),
+      ].join(";\n"),
+    );
+  };
+
+  /**
+   * `headers` of response object (`#/components/responses/Foo` is resolved)
+   */
+  getResponseHeadersObject = (responseInfo) => {
+    const refTypeInfo = responseInfo && this.schemaParser.getRefType(responseInfo);
+
+    return _.get(refTypeInfo ? refTypeInfo.rawTypeData : responseInfo, "headers");
+  };
+
+  /**
+   * properties of `typedHeaders` of the route (`X-Total-Count` -> `xTotalCount`),
+   * headers which names have the same camel cased key (`X-Rate-Limit`, `x-rate-limit`) keep their names
+   * @returns {Record<string, string>} header name -> key
+   */
+  getResponseHeadersKeys = (responseInfos) => {
+    const names = _.uniq(
+      _.flatMap(responseInfos, (responseInfo) => _.keys(this.getResponseHeadersObject(responseInfo))),
+    );
+    const namesByKey = _.groupBy(names, (name) => _.camelCase(name));
+
+    return _.reduce(
+      names,
+      (keys, name) => {
+        const key = _.camelCase(name);
+        keys[name] = namesByKey[key].length > 1 ? name : key;
+        return keys;
+      },
+      {},
+    );
+  };
+
+  /**
+   * headers of the response (`headers` of response object, `#/components/headers/Foo`),
+   * `key` - property of `typedHeaders` (`getResponseHeadersKeys`), `type` - type of parsed header value
+   * @returns {{ key: string, name: string, type: "string" | "number" | "boolean" | "string[]" | "number[]" | "boolean[]", required: boolean, description: string }[]}
+   */
+  getResponseHeaders = (responseInfo, headersKeys = {}) => {
+    const headers = this.getResponseHeadersObject(responseInfo);
+
+    const getValueType = (schema) => {
+      const schemaRefTypeInfo = this.schemaParser.getRefType(schema);
+      const types = _.castArray(
+        this.schemaParser.stealTypeFromSchema(schemaRefTypeInfo ? schemaRefTypeInfo.rawTypeData : schema),
+      );
+
+      if (_.includes(types, "integer") || _.includes(types, "number")) return "number";
+      if (_.includes(types, "boolean")) return "boolean";
+
+      return "string";
+    };
+
+    return _.map(headers, (header, name) => {
+      const headerRefTypeInfo = this.schemaParser.getRefType(header);
+      const headerInfo = (headerRefTypeInfo ? headerRefTypeInfo.rawTypeData : header) || {};
+      const schemaRefTypeInfo = this.schemaParser.getRefType(headerInfo.schema);
+      const schema = (schemaRefTypeInfo ? schemaRefTypeInfo.rawTypeData : headerInfo.schema) || headerInfo;
+
+      return {
+        key: headersKeys[name] || _.camelCase(name),
+        name,
+        type: _.includes(_.castArray(this.schemaParser.stealTypeFromSchema(schema)), SCHEMA_TYPES.ARRAY)
+          ? `${getValueType(schema.items)}[]`
+          : getValueType(schema),
+        required: !!headerInfo.required,
+        description: headerInfo.description || schema.description || "",
+      };
+    });
+  };
+
+  /**
+   * typed response headers of the route (`response.typedHeaders`)
+   * @returns {{ type: string | null, types: Record<string, { name: string, type: string }> | null }}
+   * `type` - type of headers of success responses (`{ xTotalCount: number; eTag?: string }`),
+   * `types` - types of headers of all responses which are used by http client to parse header values
+   */
+  getRouteTypedHeaders = (responseInfos) => {
+    const headersKeys = this.getResponseHeadersKeys(responseInfos);
+    const responsesHeaders = responseInfos.map((responseInfo) => ({
+      isSuccess: responseInfo.isSuccess,
+      headers: this.getResponseHeaders(responseInfo, headersKeys),
+    }));
+    const successResponsesHeaders = _.filter(responsesHeaders, "isSuccess");
+    const successHeaders = _.uniqBy(_.flatMap(successResponsesHeaders, "headers"), "key");
+    const allHeaders = _.uniqBy(_.flatMap(responsesHeaders, "headers"), "key");
+
+    if (!allHeaders.length) return { type: null, types: null };
+
+    return {
+      type: successHeaders.length ? this.getTypedHeadersType(successHeaders, successResponsesHeaders) : null,
+      types: _.reduce(
+        allHeaders,
+        (types, { key, name, type }) => {
+          types[key] = { name, type };
+          return types;
+        },
+        {},
+      ),
+    };
+  };
+
+  /**
+   * `{ xTotalCount: number; eTag?: string }`, header is required if it is required in all responses
+   */
+  getTypedHeadersType = (headers, responsesHeaders) => {
+    const { Ts } = this.config;
+
+    return Ts.ObjectWrapper(
+      headers
+        .map(({ key, type, description }) => {
+          const required = _.every(responsesHeaders, (responseHeaders) =>
+            _.some(responseHeaders.headers, (header) => header.key === key && header.required),
+          );
+
+          return [
+            ...(description ? Ts.MultilineComment(_.split(description, "\n")) : []),
+            Ts.TypeField({
+              key: this.typeName.isValidName(key) ? key : Ts.StringValue(key),
+              optional: !required,
+              value: type,
+            }),
+          ].join("");
+        })
+        .join(";\n"),
+    );
+  };
+
   convertRouteParamsIntoObject = (params) => {
     return _.reduce(
       params,
@@ -410,7 +867,10 @@ class SchemaRoutes {
   };
 
   getRequestBodyInfo = (routeInfo, routeParams, parsedSchemas, routeName) => {
-    const { requestBody, consumes, requestBodyName, operationId } = routeInfo;
+    const { consumes, requestBodyName, operationId } = routeInfo;
+    const requestBody = this.config.splitReadWriteModels
+      ? this.schemaReadWriteModels.getRequestInfo(routeInfo.requestBody)
+      : routeInfo.requestBody;
     let schema = null;
     let type = null;
 
@@ -425,6 +885,16 @@ class SchemaRoutes {
         pascalCase(`${routeName.usage} Body`),
         pascalCase(`${routeName.usage} Input`),
       ]);
+
+      if (this.config.extractInlineTypes && requestBody && !requestBody.$ref) {
+        _.each(requestBody.content, (mediaType) =>
+          this.schemaInlineTypes.extractNestedInlineTypes(
+            this.config.swaggerSchema,
+            mediaType && mediaType.schema,
+            typeName,
+          ),
+        );
+      }
     }
 
     if (routeParams.formData.length) {
@@ -459,10 +929,22 @@ class SchemaRoutes {
       type = this.schemaParser.getInlineParseContent(schema);
     }
 
+    const variants =
+      requestBody && !routeParams.formData.length
+        ? this.getContentVariants({
+            requestInfo: requestBody,
+            parsedSchemas,
+            operationId,
+            defaultType: type,
+            defaultContentKind: contentKind,
+          })
+        : null;
+
     return {
       paramName: requestBodyName || (requestBody && requestBody.name) || DEFAULT_BODY_ARG_NAME,
       contentTypes,
       contentKind,
+      variants,
       schema,
       type,
       required: requestBody && (typeof requestBody.required === "undefined" || !!requestBody.required),
@@ -473,10 +955,11 @@ class SchemaRoutes {
     queryParams,
     queryObjectSchema,
     pathArgsSchemas,
+    extractedParams,
     extractRequestParams,
     routeName,
   }) => {
-    if (!queryParams || !queryParams.length) return null;
+    if (_.isEmpty(queryParams) && _.isEmpty(extractedParams)) return null;
 
     const pathParams = _.reduce(
       pathArgsSchemas,
@@ -508,11 +991,22 @@ class SchemaRoutes {
       {},
     );
 
+    const headerAndCookieParams = _.reduce(
+      extractedParams,
+      (acc, extractedParam) => {
+        acc[extractedParam.name] = extractedParam.schema;
+
+        return acc;
+      },
+      {},
+    );
+
     const schema = {
       ...queryObjectSchema,
       properties: {
         ...fixedQueryParams,
         ...pathParams,
+        ...headerAndCookieParams,
       },
     };
 
@@ -529,6 +1023,126 @@ class SchemaRoutes {
     return schema;
   };
 
+  /**
+   * `extractRequestParams` and `generateHeaderParams` options
+   * header and cookie params which are merged into request params object with query and path params
+   * (request params object is created for routes without query params too),
+   * they are not merged when their names conflict with other params
+   * @returns {{ name: string, in: "header" | "cookie", argName: string | null, schema: object }[] | null}
+   * `argName` - name of variable in the destructuring pattern of request params object (`{ "X-Tenant-Id": xTenantId }`)
+   */
+  getExtractedParams = (routeParams) => {
+    const params = [...routeParams.header, ...routeParams.cookie];
+
+    if (!params.length) return null;
+
+    const paramNames = _.map([...routeParams.query, ...routeParams.path, ...params], "name");
+
+    if (_.uniq(paramNames).length !== paramNames.length) return null;
+
+    return _.map(params, (routeParam) => ({
+      name: routeParam.name,
+      in: routeParam.in,
+      argName: null,
+      schema: {
+        ...routeParam,
+        ...(routeParam.schema || {}),
+      },
+    }));
+  };
+
+  /**
+   * `#/components/requestBodies/Foo`, `#/components/responses/Foo`, request info with `content` -> schema
+   */
+  getRequestInfoSchema = (requestInfo) => {
+    const refTypeInfo = this.schemaParser.getRefType(requestInfo);
+
+    if (refTypeInfo && refTypeInfo.componentName !== "schemas") {
+      return this.getSchemaFromRequestType(refTypeInfo.rawTypeData);
+    }
+
+    return this.getSchemaFromRequestType(requestInfo) || (refTypeInfo ? requestInfo : null);
+  };
+
+  /**
+   * `convertDates` option
+   * @returns {{ query: string | null, body: string | null, response: string | null }} `DateFields` of the route
+   */
+  getRouteDateFields = (routeInfo, queryObjectSchema, requestBodyInfo, responseBodyInfo) => {
+    const successResponse = responseBodyInfo.success.schema;
+    const requestBodySchema = requestBodyInfo.schema || this.getRequestInfoSchema(routeInfo.requestBody);
+
+    return {
+      query: this.schemaDateFields.getFieldsContent(queryObjectSchema),
+      body:
+        requestBodyInfo.contentKind === CONTENT_KIND.FORM_DATA
+          ? null
+          : this.schemaDateFields.getFieldsContent(requestBodySchema),
+      response: successResponse
+        ? this.schemaDateFields.getFieldsContent(this.getRequestInfoSchema(successResponse))
+        : null,
+    };
+  };
+
+  /**
+   * `int64Type` option (int64 numbers in query params don't need conversion)
+   * @returns {{ body: string | null, response: string | null }} `Int64Fields` of the route
+   */
+  getRouteInt64Fields = (routeInfo, requestBodyInfo, responseBodyInfo) => {
+    const successResponse = responseBodyInfo.success.schema;
+    const requestBodySchema = requestBodyInfo.schema || this.getRequestInfoSchema(routeInfo.requestBody);
+
+    return {
+      body:
+        requestBodyInfo.contentKind === CONTENT_KIND.JSON
+          ? this.schemaInt64Fields.getFieldsContent(requestBodySchema)
+          : null,
+      response: successResponse
+        ? this.schemaInt64Fields.getFieldsContent(this.getRequestInfoSchema(successResponse))
+        : null,
+    };
+  };
+
+  /**
+   * `generateZodSchemas` option
+   * @returns {{ pathParams: string | null, query: string | null, body: string | null, response: string | null }}
+   * zod schemas of the route
+   */
+  getRouteZodSchemas = (
+    routeInfo,
+    routeParams,
+    pathObjectSchema,
+    queryObjectSchema,
+    requestBodyInfo,
+    responseBodyInfo,
+  ) => {
+    const successResponse = responseBodyInfo.success.schema;
+    const requestBodySchema = requestBodyInfo.type
+      ? requestBodyInfo.schema || this.getRequestInfoSchema(routeInfo.requestBody)
+      : null;
+    const responseBodySchema = successResponse ? this.getRequestInfoSchema(successResponse) : null;
+
+    return {
+      pathParams: routeParams.path.length ? this.schemaZod.getZodSchema(pathObjectSchema) : null,
+      query: routeParams.query.length ? this.schemaZod.getZodSchema(queryObjectSchema) : null,
+      body: requestBodySchema ? this.getRouteZodSchema(requestBodySchema, requestBodyInfo.type) : null,
+      response: responseBodySchema ? this.getRouteZodSchema(responseBodySchema, responseBodyInfo.success.type) : null,
+    };
+  };
+
+  /**
+   * request/response type can be replaced with data contract found by name or content (see `getTypeFromRequestInfo`),
+   * zod schema should describe the same type
+   */
+  getRouteZodSchema = (schema, type) => {
+    const component = _.find(
+      this.schemaComponentMap.filter("schemas"),
+      (component) => this.typeName.format(component.typeName) === type,
+    );
+
+    return this.schemaZod.getZodSchema(component ? { $ref: component.$ref } : schema);
+  };
+
   extractResponseBodyIfItNeeded = (routeInfo, responseBodyInfo, routeName) => {
     if (responseBodyInfo.responses.length && responseBodyInfo.success && responseBodyInfo.success.schema) {
       const typeName = this.config.componentTypeNameResolver.resolve([
@@ -625,7 +1239,7 @@ class SchemaRoutes {
     return this.config.hooks.onCreateRouteName(routeNameInfo, rawRouteInfo) || routeNameInfo;
   };
 
-  parseRouteInfo = (rawRouteName, routeInfo, method, usageSchema, parsedSchemas) => {
+  parseRouteInfo = (rawRouteName, routeInfo, method, usageSchema, parsedSchemas, serviceNamespace) => {
     const { security: globalSecurity } = usageSchema;
     const { moduleNameIndex, moduleNameFirstTag, extractRequestParams } = this.config;
     const {
@@ -646,10 +1260,16 @@ class SchemaRoutes {
 
     const routeId = generateId();
     const firstTag = tags && tags.length > 0 ? tags[0] : null;
-    const moduleName =
-      moduleNameFirstTag && firstTag
-        ? _.camelCase(firstTag)
-        : _.camelCase(_.compact(_.split(route, "/"))[moduleNameIndex]);
+    let moduleName = null;
+
+    if (serviceNamespace) {
+      moduleName = _.camelCase(serviceNamespace);
+    } else {
+      moduleName =
+        moduleNameFirstTag && firstTag
+          ? _.camelCase(firstTag)
+          : _.camelCase(_.compact(_.split(route, "/"))[moduleNameIndex]);
+    }
     let hasSecurity = !!(globalSecurity && globalSecurity.length);
     if (security) {
       hasSecurity = security.length > 0;
@@ -682,20 +1302,26 @@ class SchemaRoutes {
       produces,
       requestBody,
       consumes,
+      parameters,
     };
 
     const queryObjectSchema = this.convertRouteParamsIntoObject(routeParams.query);
     const pathObjectSchema = this.convertRouteParamsIntoObject(routeParams.path);
     const headersObjectSchema = this.convertRouteParamsIntoObject(routeParams.header);
+    const cookiesObjectSchema = this.convertRouteParamsIntoObject(routeParams.cookie);
 
     const routeName = this.getRouteName(rawRouteInfo);
 
     const requestBodyInfo = this.getRequestBodyInfo(routeInfo, routeParams, parsedSchemas, routeName);
 
+    const extractedParams =
+      extractRequestParams && this.config.generateHeaderParams ? this.getExtractedParams(routeParams) : null;
+
     const requestParamsSchema = this.createRequestParamsSchema({
       queryParams: routeParams.query,
       pathArgsSchemas: routeParams.path,
       queryObjectSchema,
+      extractedParams,
       extractRequestParams,
       routeName,
     });
@@ -710,6 +1336,7 @@ class SchemaRoutes {
     const queryType = routeParams.query.length ? this.schemaParser.getInlineParseContent(queryObjectSchema) : null;
     const pathType = routeParams.path.length ? this.schemaParser.getInlineParseContent(pathObjectSchema) : null;
     const headersType = routeParams.header.length ? this.schemaParser.getInlineParseContent(headersObjectSchema) : null;
+    const cookiesType = routeParams.cookie.length ? this.schemaParser.getInlineParseContent(cookiesObjectSchema) : null;
 
     const nameResolver = new SpecificArgNameResolver(pathArgsNames);
 
@@ -742,8 +1369,19 @@ class SchemaRoutes {
             type: headersType,
           }
         : void 0,
+      cookies: cookiesType
+        ? {
+            name: nameResolver.resolve(RESERVED_COOKIE_ARG_NAMES),
+            optional: this.schemaParser.parseSchema(cookiesObjectSchema, null).allFieldsAreOptional,
+            type: cookiesType,
+          }
+        : void 0,
     };
 
+    _.each(extractedParams, (extractedParam) => {
+      extractedParam.argName = nameResolver.resolve([_.camelCase(extractedParam.name)]);
+    });
+
     return {
       id: routeId,
       namespace: _.replace(moduleName, /^(\d)/, "v$1"),
@@ -755,8 +1393,27 @@ class SchemaRoutes {
       queryObjectSchema,
       pathObjectSchema,
       headersObjectSchema,
+      cookiesObjectSchema,
       responseBodySchema: responseBodyInfo.success.schema,
       requestBodySchema: requestBodyInfo.schema,
+      dateFields: this.config.convertDates
+        ? this.getRouteDateFields(routeInfo, queryObjectSchema, requestBodyInfo, responseBodyInfo)
+        : null,
+      paramStyles: this.getRouteParamStyles(routeParams),
+      int64Fields:
+        this.config.int64Type !== INT64_TYPE.NUMBER
+          ? this.getRouteInt64Fields(routeInfo, requestBodyInfo, responseBodyInfo)
+          : null,
+      zodSchemas: this.config.generateZodSchemas
+        ? this.getRouteZodSchemas(
+            routeInfo,
+            routeParams,
+            pathObjectSchema,
+            queryObjectSchema,
+            requestBodyInfo,
+            responseBodyInfo,
+          )
+        : null,
       specificArgNameResolver: nameResolver,
       request: {
         contentTypes: requestBodyInfo.contentTypes,
@@ -772,45 +1429,155 @@ class SchemaRoutes {
         query: specificArgs.query,
         pathParams: specificArgs.pathParams,
         headers: specificArgs.headers,
+        cookies: specificArgs.cookies,
+        extractedParams,
+        variants: requestBodyInfo.variants,
       },
       response: {
         contentTypes: responseBodyInfo.contentTypes,
         type: responseBodyInfo.success.type,
         errorType: responseBodyInfo.error.type,
         fullTypes: responseBodyInfo.full.types,
+        statusResultType: responseBodyInfo.statusResult.type,
+        typedHeaders: responseBodyInfo.typedHeaders,
+        variants: responseBodyInfo.success.variants,
       },
       raw: rawRouteInfo,
     };
   };
 
-  attachSchema = ({ usageSchema, parsedSchemas }) => {
+  /**
+   * @param usageSchema {Record<string, any>}
+   * @param parsedSchemas {Record<string, any>[]}
+   * @param services {{ usageSchema: Record<string, any>, namespace: string | null }[] | undefined} routes of each service
+   * are grouped by service namespace (`inputs` option)
+   */
+  attachSchema = ({ usageSchema, parsedSchemas, services }) => {
     this.config.routeNameDuplicatesMap.clear();
 
+    _.forEach(services || [{ usageSchema, namespace: null }], (service) => {
+      this.attachServiceRoutes(service.usageSchema, parsedSchemas, service.namespace);
+      this.createWebhooksPayloadComponents(service.usageSchema);
+    });
+  };
+
+  attachServiceRoutes = (usageSchema, parsedSchemas, serviceNamespace) => {
     const pathsEntries = _.entries(usageSchema.paths);
 
     _.forEach(pathsEntries, ([rawRouteName, routeInfoByMethodsMap]) => {
       const routeInfosMap = this.createRequestsMap(routeInfoByMethodsMap);
 
       _.forEach(routeInfosMap, (routeInfo, method) => {
-        const parsedRouteInfo = this.parseRouteInfo(rawRouteName, routeInfo, method, usageSchema, parsedSchemas);
+        if (!this.isRouteIncluded(rawRouteName, routeInfo, method)) return;
+
+        const parsedRouteInfo = this.parseRouteInfo(
+          rawRouteName,
+          routeInfo,
+          method,
+          usageSchema,
+          parsedSchemas,
+          serviceNamespace,
+        );
         const processedRouteInfo = this.config.hooks.onCreateRoute(parsedRouteInfo);
+
+        if (processedRouteInfo === false) return;
+
         const route = processedRouteInfo || parsedRouteInfo;
 
         if (!this.hasSecurityRoutes && route.security) {
           this.hasSecurityRoutes = route.security;
         }
-        if (!this.hasQueryRoutes && route.hasQuery) {
-          this.hasQueryRoutes = route.hasQuery;
+        if (!this.hasQueryRoutes && !_.isEmpty(route.routeParams && route.routeParams.query)) {
+          this.hasQueryRoutes = true;
         }
         if (!this.hasFormDataRoutes && route.hasFormDataParams) {
           this.hasFormDataRoutes = route.hasFormDataParams;
         }
+        if (!this.hasParamStylesRoutes && route.paramStyles) {
+          this.hasParamStylesRoutes = true;
+        }
+        if (
+          this.config.generateHeaderParams &&
+          !this.hasHeaderParamsRoutes &&
+          (route.request.headers || route.request.cookies)
+        ) {
+          this.hasHeaderParamsRoutes = true;
+        }
+        if (!this.hasTypedHeadersRoutes && route.response.typedHeaders && route.response.typedHeaders.types) {
+          this.hasTypedHeadersRoutes = true;
+        }
+        if (!this.hasContentVariantsRoutes && (route.request.variants || route.response.variants)) {
+          this.hasContentVariantsRoutes = true;
+        }
+
+        if (this.config.contentTypeVariants) {
+          _.forEach([...route.request.contentTypes, ...route.response.contentTypes], this.getContentTypeName);
+        }
 
         this.routes.push(route);
       });
     });
   };
 
+  /**
+   * checks route using `include*`/`exclude*` filters from config,
+   * excluded routes are skipped before creating route names and types
+   */
+  isRouteIncluded = (rawRouteName, routeInfo, method) => {
+    const {
+      includePaths,
+      excludePaths,
+      includeTags,
+      excludeTags,
+      includeMethods,
+      excludeMethods,
+      includeOperationIds,
+      excludeOperationIds,
+    } = this.config;
+    const tags = routeInfo.tags || [];
+    const operationId = routeInfo.operationId || "";
+
+    const matchers = [
+      [includePaths, excludePaths, (pattern) => globToRegExp(pattern).test(rawRouteName)],
+      [includeTags, excludeTags, (tag) => tags.includes(tag)],
+      [includeMethods, excludeMethods, (filterMethod) => _.toLower(filterMethod) === _.toLower(method)],
+      [includeOperationIds, excludeOperationIds, (regExp) => !!operationId && new RegExp(regExp).test(operationId)],
+    ];
+
+    return _.every(
+      matchers,
+      ([includes, excludes, isMatched]) =>
+        (_.isEmpty(includes) || _.some(includes, isMatched)) && !_.some(excludes, isMatched),
+    );
+  };
+
+  /**
+   * OpenAPI 3.1 `webhooks` are not part of the api client,
+   * but their inline request bodies are extracted into data contracts
+   */
+  createWebhooksPayloadComponents = (usageSchema) => {
+    _.forEach(usageSchema.webhooks, (rawWebhookInfoByMethodsMap, webhookName) => {
+      const webhookRefTypeInfo = this.schemaParser.getRefType(rawWebhookInfoByMethodsMap);
+      const webhookInfoByMethodsMap = webhookRefTypeInfo ? webhookRefTypeInfo.rawTypeData : rawWebhookInfoByMethodsMap;
+
+      _.forEach(this.createRequestsMap(webhookInfoByMethodsMap), (webhookInfo, method) => {
+        const requestBodyRefTypeInfo = this.schemaParser.getRefType(webhookInfo.requestBody);
+        const schema = this.getSchemaFromRequestType(
+          requestBodyRefTypeInfo ? requestBodyRefTypeInfo.rawTypeData : webhookInfo.requestBody,
+        );
+
+        if (!schema || schema.$ref) return;
+
+        const typeName = this.config.componentTypeNameResolver.resolve([
+          pascalCase(`${webhookName} Webhook`),
+          pascalCase(`${webhookName} ${method} Webhook`),
+        ]);
+
+        this.schemaComponentMap.createComponent("schemas", typeName, _.omit(schema, "dataType"));
+      });
+    });
+  };
+
   getGroupedRoutes = () => {
     const groupedRoutes = this.routes.reduce(
       (modules, route) => {
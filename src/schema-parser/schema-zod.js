@@ -0,0 +1,455 @@
+const _ = require("lodash");
+const { SCHEMA_TYPES } = require("../constants.js");
+
+/**
+ * `generateZodSchemas` option
+ * swagger schema -> zod schema (typescript code), data contracts are referenced as `z.lazy(() => UserSchema)`
+ */
+class SchemaZod {
+  /**
+   * @type {CodeGenConfig}
+   */
+  config;
+  /**
+   * @type {Logger}
+   */
+  logger;
+  /**
+   * @type {SchemaComponentsMap}
+   */
+  schemaComponentsMap;
+  /**
+   * @type {SchemaParser}
+   */
+  schemaParser;
+  /**
+   * @type {TypeName}
+   */
+  typeName;
+
+  /**
+   * string formats -> zod string methods
+   */
+  stringFormats = {
+    "date-time": ".datetime({ offset: true })",
+    date: ".date()",
+    time: ".time()",
+    email: ".email()",
+    uuid: ".uuid()",
+    uri: ".url()",
+    url: ".url()",
+    ipv4: '.ip({ version: "v4" })',
+    ipv6: '.ip({ version: "v6" })',
+    byte: ".base64()",
+  };
+
+  constructor(config, logger, schemaComponentsMap, schemaParser, typeName) {
+    this.config = config;
+    this.logger = logger;
+    this.schemaComponentsMap = schemaComponentsMap;
+    this.schemaParser = schemaParser;
+    this.typeName = typeName;
+  }
+
+  /**
+   * @param component {SchemaComponent}
+   * @returns {string} `UserSchema`
+   */
+  getZodSchemaName = (component) => `${this.typeName.format(component.typeName)}Schema`;
+
+  /**
+   * @param modelType {{ typeIdentifier: string, name: string }} data contract (`modelTypes` item)
+   * @param component {SchemaComponent}
+   * @returns {string} typescript code
+   */
+  getDataContractZodSchema = (modelType, component) => {
+    if (
+      modelType.typeIdentifier === this.config.Ts.Keyword.Enum ||
+      modelType.typeIdentifier === this.config.Ts.Keyword.Const
+    ) {
+      return `z.nativeEnum(${modelType.name})`;
+    }
+
+    return this.getZodSchema(component.rawTypeData);
+  };
+
+  /**
+   * @param schema {any}
+   * @returns {string} typescript code
+   */
+  getZodSchema = (schema) => {
+    if (!_.isObject(schema)) return "z.any()";
+
+    const refTypeInfo = this.schemaParser.getRefType(schema);
+
+    if (refTypeInfo) {
+      if (refTypeInfo.componentName !== "schemas") return this.getZodSchema(refTypeInfo.rawTypeData);
+
+      return this.addNullable(
+        schema,
+        this.addRequiredKeys(schema, refTypeInfo, `z.lazy(() => ${this.getZodSchemaName(refTypeInfo)})`),
+      );
+    }
+
+    const discriminatorUnionSchema = this.schemaParser.getDiscriminatorUnionSchema(schema);
+
+    if (discriminatorUnionSchema) return this.getZodSchema(discriminatorUnionSchema);
+
+    const tsType = this.schemaParser.getInlineParseContent(schema);
+
+    if (tsType === this.config.Ts.Keyword.Any) return "z.any()";
+    if (tsType === this.config.Ts.Keyword.Unknown) return "z.unknown()";
+
+    switch (this.schemaParser.getInternalSchemaType(schema)) {
+      case SCHEMA_TYPES.CONST:
+        return this.addNullable(schema, this.getLiteralZodSchema(schema.const, tsType));
+      case SCHEMA_TYPES.ENUM:
+        return this.getEnumZodSchema(schema);
+      case SCHEMA_TYPES.COMPLEX:
+        return this.getComplexZodSchema(schema, tsType);
+      case SCHEMA_TYPES.OBJECT:
+        return this.addNullable(schema, this.getObjectZodSchema(schema), tsType);
+      default:
+        return this.addNullable(schema, this.getPrimitiveZodSchema(schema, tsType), tsType);
+    }
+  };
+
+  /**
+   * @param tsType {string | undefined} typescript type of the schema,
+   * `checkAndAddNull` doesn't add `| null` to the types which already contain `null` (object with nullable property),
+   * zod schema should be the same
+   */
+  addNullable = (schema, zodSchema, tsType) => {
+    const { nullable, type } = schema || {};
+    const { Null } = this.config.Ts.Keyword;
+    const isNullableTsType = !tsType || tsType === Null || _.endsWith(tsType, ` | ${Null}`);
+
+    return (nullable || !!_.get(schema, "x-nullable") || type === Null) && isNullableTsType
+      ? `${zodSchema}.nullable()`
+      : zodSchema;
+  };
+
+  /**
+   * `$$requiredKeys` (allOf with `required`) -> UserSchema.and(z.object({ requiredKey: ... }))
+   */
+  addRequiredKeys = (schema, refTypeInfo, zodSchema) => {
+    if (_.isEmpty(schema.$$requiredKeys)) return zodSchema;
+
+    const properties = _.get(refTypeInfo.rawTypeData, "properties", {});
+
+    return `${zodSchema}.and(z.object({ ${_.map(
+      schema.$$requiredKeys,
+      (key) => `${this.formatKey(key)}: ${this.getZodSchema(properties[key])}`,
+    ).join(", ")} }))`;
+  };
+
+  formatKey = (key) => (this.typeName.isValidName(key) ? key : this.config.Ts.StringValue(key));
+
+  getLiteralZodSchema = (value, tsType) => {
+    if (value === null) return "z.null()";
+    if (_.isObject(value)) {
+      return `z.custom<${tsType}>((value) => JSON.stringify(value) === ${JSON.stringify(JSON.stringify(value))})`;
+    }
+
+    return `z.literal(${this.schemaParser.formatConstValue(value)})`;
+  };
+
+  getEnumZodSchema = (schema) => {
+    const { content } = this.schemaParser.parseSchema(schema, null);
+    const values = _.map(content, "value");
+    const nonNullValues = _.reject(values, (value) => _.isNull(value) || value === this.config.Ts.Keyword.Null);
+    const nullable = nonNullValues.length !== values.length;
+    let zodSchema;
+
+    if (!nonNullValues.length) {
+      zodSchema = "z.null()";
+    } else if (nonNullValues.length === 1) {
+      zodSchema = `z.literal(${nonNullValues[0]})`;
+    } else if (_.every(nonNullValues, (value) => _.startsWith(value, '"'))) {
+      zodSchema = `z.enum([${nonNullValues.join(", ")}])`;
+    } else {
+      zodSchema = `z.union([${_.map(nonNullValues, (value) => `z.literal(${value})`).join(", ")}])`;
+    }
+
+    return nullable && nonNullValues.length ? `${zodSchema}.nullable()` : this.addNullable(schema, zodSchema);
+  };
+
+  getUnionZodSchema = (zodSchemas) => {
+    if (zodSchemas.length === 1) return zodSchemas[0];
+
+    return `z.union([${zodSchemas.join(", ")}])`;
+  };
+
+  getIntersectionZodSchema = (zodSchemas) =>
+    _.reduce(_.tail(zodSchemas), (result, zodSchema) => `${result}.and(${zodSchema})`, _.head(zodSchemas));
+
+  /**
+   * oneOf member with `discriminator` -> CatSchema.and(z.object({ petType: z.literal("cat") }))
+   */
+  addDiscriminatorProperty = (discriminator, childSchema, zodSchema) => {
+    const component = discriminator && discriminator.propertyName && this.schemaParser.getRefType(childSchema);
+
+    if (!component) return zodSchema;
+
+    const mappingKeys = _.keys(
+      _.pickBy(
+        discriminator.mapping,
+        (value) => this.schemaParser.getDiscriminatorMappingRef(value) === component.$ref,
+      ),
+    );
+    const values = _.map(mappingKeys.length ? mappingKeys : [component.typeName], this.config.Ts.StringValue);
+
+    return `${zodSchema}.and(z.object({ ${this.formatKey(discriminator.propertyName)}: ${
+      values.length === 1 ? `z.literal(${values[0]})` : `z.enum([${values.join(", ")}])`
+    } }))`;
+  };
+
+  getComplexZodSchema = (schema, tsType) => {
+    const complexType = this.schemaParser.getComplexType(schema);
+    const simpleSchema = _.omit(_.clone(schema), _.keys(this.schemaParser.complexSchemaParsers));
+    const isIgnoredType = (childSchema) =>
+      _.includes(
+        [...this.config.jsPrimitiveTypes, this.config.Ts.Keyword.Any],
+        this.schemaParser.getInlineParseContent(childSchema),
+      );
+    let zodSchema;
+
+    switch (complexType) {
+      case SCHEMA_TYPES.COMPLEX_ONE_OF:
+      case SCHEMA_TYPES.COMPLEX_ANY_OF: {
+        const childSchemas = _.map(schema[complexType], (childSchema) =>
+          this.schemaParser.makeAddRequiredToChildSchema(schema, childSchema),
+        );
+
+        const unionZodSchemas = _.uniq(
+          _.map(
+            complexType === SCHEMA_TYPES.COMPLEX_ANY_OF
+              ? _.reject(childSchemas, isIgnoredType)
+              : _.reject(
+                  childSchemas,
+                  (childSchema) => this.schemaParser.getInlineParseContent(childSchema) === this.config.Ts.Keyword.Any,
+                ),
+            (childSchema) =>
+              this.addDiscriminatorProperty(
+                complexType === SCHEMA_TYPES.COMPLEX_ONE_OF && schema.discriminator,
+                childSchema,
+                this.getZodSchema(childSchema),
+              ),
+          ),
+        );
+
+        // typescript type of the union without members is empty (`null` for nullable schema)
+        zodSchema = unionZodSchemas.length
+          ? this.getUnionZodSchema(unionZodSchemas)
+          : this.schemaParser.isNeedToAddNull(schema) && "z.null()";
+        break;
+      }
+      case SCHEMA_TYPES.COMPLEX_ALL_OF: {
+        const [notSchemas, childSchemas] = _.partition(
+          schema.allOf,
+          (childSchema) => childSchema && childSchema.not && !this.schemaParser.hasBaseType(_.omit(childSchema, "not")),
+        );
+        const intersection = this.getIntersectionZodSchema(
+          _.uniq(
+            _.map(
+              _.reject(
+                _.map(childSchemas, (childSchema) =>
+                  this.schemaParser.makeAddRequiredToChildSchema(
+                    schema,
+                    this.schemaParser.getDiscriminatorBaseChildSchema(schema, childSchema),
+                  ),
+                ),
+                isIgnoredType,
+              ),
+              this.getZodSchema,
+            ),
+          ),
+        );
+
+        zodSchema = notSchemas.length
+          ? this.getNotZodSchema(intersection || "z.any()", _.map(notSchemas, "not"), tsType)
+          : intersection;
+        break;
+      }
+      case SCHEMA_TYPES.COMPLEX_NOT: {
+        const baseSchema = _.omit(schema, _.keys(this.schemaParser.complexSchemaParsers));
+
+        return this.getNotZodSchema(
+          this.schemaParser.hasBaseType(baseSchema)
+            ? this.getZodSchema(
+                this.schemaParser.isNullTypeSchema(schema.not)
+                  ? _.omit(baseSchema, ["nullable", "x-nullable"])
+                  : baseSchema,
+              )
+            : "z.any()",
+          [schema.not],
+          tsType,
+        );
+      }
+      default:
+        return "z.any()";
+    }
+
+    const hasObjectSchema = this.schemaParser.getInternalSchemaType(simpleSchema) === SCHEMA_TYPES.OBJECT;
+
+    if (!zodSchema && !hasObjectSchema) return "z.any()";
+
+    if (hasObjectSchema) {
+      zodSchema = this.getIntersectionZodSchema(_.compact([zodSchema, this.getObjectZodSchema(simpleSchema)]));
+    }
+
+    return this.addNullable(schema, zodSchema, tsType);
+  };
+
+  /**
+   * value should not match `not` schemas, typescript type (`NonNullable<T>`, `Exclude<T, ...>`) is used for zod schema
+   */
+  getNotZodSchema = (zodSchema, notSchemas, tsType) =>
+    `(${zodSchema}.refine((value) => ${_.map(notSchemas, (notSchema) =>
+      this.schemaParser.isNullTypeSchema(notSchema)
+        ? "value !== null && value !== undefined"
+        : `!${this.getZodSchema(notSchema)}.safeParse(value).success`,
+    ).join(" && ")}) as unknown as z.ZodType<${tsType}>)`;
+
+  getObjectZodSchema = (schema) => {
+    const { properties, required: requiredProperties } = schema;
+
+    const fields = _.map(properties, (property, name) => {
+      const zodSchema = this.getZodSchema(property);
+
+      return `${this.formatKey(name)}: ${
+        this.schemaParser.isRequired(property, name, requiredProperties) ? zodSchema : `${zodSchema}.optional()`
+      }`;
+    });
+
+    return `z.object({ ${fields.join(", ")} })${this.getUnknownKeysZodSchema(schema)}`;
+  };
+
+  getUnknownKeysZodSchema = ({ additionalProperties, patternProperties }) => {
+    // zod object can't describe keys by pattern, so values of unknown keys are not validated
+    if (!_.isEmpty(patternProperties)) return ".catchall(z.any())";
+    if (_.isObject(additionalProperties) && !_.isEmpty(additionalProperties)) {
+      return `.catchall(${this.getZodSchema(additionalProperties)})`;
+    }
+    if (additionalProperties) return ".passthrough()";
+    if (!this.config.strictAdditionalProperties) return "";
+
+    return additionalProperties === false ? ".strict()" : ".passthrough()";
+  };
+
+  getPrimitiveZodSchema = (schema, tsType, withBrand = true) => {
+    const { type, additionalProperties } = schema;
+
+    if (_.isArray(type) && type.length) {
+      return this.getUnionZodSchema(_.map(type, (childType) => this.getZodSchema({ type: childType })));
+    }
+
+    if (type === SCHEMA_TYPES.OBJECT && additionalProperties) {
+      return `z.record(z.string(), ${
+        _.isObject(additionalProperties) ? this.getZodSchema(additionalProperties) : "z.any()"
+      })`;
+    }
+
+    if (type === SCHEMA_TYPES.ARRAY) return this.getArrayZodSchema(schema);
+
+    const typeAlias = this.schemaParser.getTypeAlias(_.omit(schema, ["nullable", "x-nullable"]));
+    const brandType = withBrand && this.schemaParser.schemaBrands.getBrandType(schema, typeAlias);
+
+    // branded type (`brandedTypes` option) is checked by zod schema of its base type
+    if (brandType) {
+      const baseZodSchema = this.getPrimitiveZodSchema(schema, tsType, false);
+
+      return `z.custom<${brandType}>((value) => ${baseZodSchema}.safeParse(value).success)`;
+    }
+
+    switch (typeAlias) {
+      case this.config.Ts.Keyword.String:
+        return `z.string()${this.getStringChecks(schema)}`;
+      case this.config.Ts.Keyword.Number:
+        return `z.number()${this.getNumberChecks(schema)}`;
+      case this.config.Ts.Keyword.BigInt:
+        return "z.bigint()";
+      case this.config.Ts.Keyword.Boolean:
+        return "z.boolean()";
+      case this.config.Ts.Keyword.Null:
+        return "z.null()";
+      case this.config.Ts.Keyword.Date:
+        return "z.coerce.date()";
+      case this.config.Ts.Keyword.File:
+        return `z.custom<${this.config.Ts.Keyword.File}>((value) => value instanceof Blob)`;
+      case this.config.Ts.Keyword.Object:
+        return "z.record(z.string(), z.any())";
+      case this.config.Ts.Keyword.Any:
+        return "z.any()";
+      case this.config.Ts.Keyword.Unknown:
+        return "z.unknown()";
+      default:
+        return `z.custom<${typeAlias || tsType}>()`;
+    }
+  };
+
+  getArrayZodSchema = (schema) => {
+    const { minItems, maxItems } = schema;
+    const tupleSchema = this.schemaParser.getTupleSchema(schema);
+
+    if (tupleSchema) {
+      const itemZodSchemas = _.map(tupleSchema.items, this.getZodSchema);
+      const restZodSchema = tupleSchema.rest && this.getZodSchema(tupleSchema.rest);
+      // zod tuple doesn't support optional elements, so each allowed tuple length is a separate tuple
+      const tupleZodSchemas = _.map(
+        _.range(tupleSchema.minItems, itemZodSchemas.length + 1),
+        (length) =>
+          `z.tuple([${_.take(itemZodSchemas, length).join(", ")}])${
+            restZodSchema && length === itemZodSchemas.length ? `.rest(${restZodSchema})` : ""
+          }`,
+      );
+
+      return tupleZodSchemas.length > 1 ? `z.union([${tupleZodSchemas.join(", ")}])` : tupleZodSchemas[0];
+    }
+
+    return `z.array(${this.getZodSchema(this.schemaParser.getArrayItems(schema))})${_.compact([
+      _.isNumber(minItems) && `.min(${minItems})`,
+      _.isNumber(maxItems) && `.max(${maxItems})`,
+    ]).join("")}`;
+  };
+
+  getStringChecks = (schema) => {
+    const { format, minLength, maxLength, pattern } = schema;
+
+    return _.compact([
+      this.stringFormats[format],
+      _.isNumber(minLength) && `.min(${minLength})`,
+      _.isNumber(maxLength) && `.max(${maxLength})`,
+      this.isValidPattern(pattern) && `.regex(new RegExp(${JSON.stringify(pattern)}))`,
+    ]).join("");
+  };
+
+  isValidPattern = (pattern) => {
+    if (!_.isString(pattern)) return false;
+
+    try {
+      new RegExp(pattern);
+      return true;
+    } catch (e) {
+      this.logger.warn(`pattern "${pattern}" is not valid JavaScript regular expression, zod schema skips it`);
+      return false;
+    }
+  };
+
+  getNumberChecks = (schema) => {
+    const { type, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf } = schema;
+
+    return _.compact([
+      type === "integer" && ".int()",
+      _.isNumber(minimum) && (exclusiveMinimum === true ? `.gt(${minimum})` : `.gte(${minimum})`),
+      _.isNumber(exclusiveMinimum) && `.gt(${exclusiveMinimum})`,
+      _.isNumber(maximum) && (exclusiveMaximum === true ? `.lt(${maximum})` : `.lte(${maximum})`),
+      _.isNumber(exclusiveMaximum) && `.lt(${exclusiveMaximum})`,
+      _.isNumber(multipleOf) && `.multipleOf(${multipleOf})`,
+    ]).join("");
+  };
+}
+
+module.exports = {
+  SchemaZod,
+};
@@ -1,7 +1,11 @@
 const _ = require("lodash");
 const converter = require("swagger2openapi");
 const yaml = require("js-yaml");
+const path = require("path");
 const { Request } = require("./util/request");
+const { NameResolver, ComponentTypeNameResolver } = require("./util/name-resolver");
+const { pascalCase } = require("./util/pascal-case");
+const { OPEN_API_31_SCHEMA } = require("./constants");
 
 class SwaggerSchemaResolver {
   /**
@@ -30,13 +34,33 @@ class SwaggerSchemaResolver {
 
   /**
    *
-   * @returns {Promise<{usageSchema: Record<string, *>, originalSchema: Record<string, *>}>}
+   * @returns {Promise<{usageSchema: Record<string, *>, originalSchema: Record<string, *>, services?: SwaggerService[]}>}
    */
   async create() {
-    const { spec, patch, input, url, disableStrictSSL, disableProxy, authorizationToken } = this.config;
+    const { spec, patch, input, url, inputs } = this.config;
 
-    if (this.config.spec) {
-      return await this.convertSwaggerObject(spec, { patch });
+    if (!_.isEmpty(inputs)) {
+      return await this.createFromMultipleInputs(inputs);
+    }
+
+    const swagger = await this.convertSwaggerObject(await this.getSwaggerSchemaObject({ spec, input, url }), { patch });
+
+    this.config.update({ isOpenApi31: swagger.isOpenApi31 });
+
+    return swagger;
+  }
+
+  /**
+   * @param spec {Record<string, any> | null}
+   * @param input {string}
+   * @param url {string}
+   * @returns {Promise<Record<string, any>>}
+   */
+  async getSwaggerSchemaObject({ spec, input, url }) {
+    const { disableStrictSSL, disableProxy, authorizationToken } = this.config;
+
+    if (spec) {
+      return await this.bundleExternalRefs(spec, this.getSchemaLocation(input, null));
     }
 
     const swaggerSchemaFile = await this.fetchSwaggerSchemaFile(
@@ -47,14 +71,418 @@ class SwaggerSchemaResolver {
       authorizationToken,
     );
     const swaggerSchemaObject = this.processSwaggerSchemaFile(swaggerSchemaFile);
-    return await this.convertSwaggerObject(swaggerSchemaObject, { patch });
+    return await this.bundleExternalRefs(swaggerSchemaObject, this.getSchemaLocation(input, url));
+  }
+
+  /**
+   * Creates one usage schema from the list of swagger schemas (`inputs` option)
+   * components are merged into one schema with non-conflicting names,
+   * routes are kept per service to be grouped by service namespace
+   *
+   * @param inputs {{ input?: string, url?: string, spec?: Record<string, any>, namespace?: string, typePrefix?: string }[]}
+   * @returns {Promise<{usageSchema: Record<string, *>, originalSchema: Record<string, *>, services: SwaggerService[]}>}
+   */
+  async createFromMultipleInputs(inputs) {
+    const { patch } = this.config;
+    const services = [];
+
+    for (const inputInfo of inputs) {
+      const swaggerSchemaObject = await this.getSwaggerSchemaObject(inputInfo);
+      const swagger = await this.convertSwaggerObject(swaggerSchemaObject, { patch });
+
+      services.push({
+        ...swagger,
+        namespace: inputInfo.namespace || null,
+        typePrefix: inputInfo.typePrefix || "",
+      });
+    }
+
+    const isOpenApi31 = _.every(services, (service) => service.isOpenApi31);
+
+    this.config.update({ isOpenApi31 });
+
+    // OpenAPI version is tracked per service when versions are mixed
+    if (!isOpenApi31) {
+      _.forEach(services, (service) => {
+        if (!service.isOpenApi31) return;
+
+        this.hoistSchemaDefs(service.usageSchema);
+        this.markOpenApi31Schema(service.usageSchema);
+      });
+    }
+
+    const [firstService] = services;
+    const usageSchema = {
+      ..._.omit(firstService.usageSchema, ["paths", "webhooks", "components", "$defs"]),
+      paths: {},
+      components: {},
+    };
+    const componentNameResolvers = {
+      schemas: this.config.componentTypeNameResolver,
+    };
+
+    _.forEach(services, (service) => {
+      const renamedRefs = {};
+
+      _.forEach(service.usageSchema.components, (component, componentName) => {
+        if (!_.isPlainObject(component)) return;
+
+        if (!componentNameResolvers[componentName]) {
+          componentNameResolvers[componentName] = new ComponentTypeNameResolver([]);
+        }
+
+        const mergedComponent = usageSchema.components[componentName] || (usageSchema.components[componentName] = {});
+
+        _.forEach(component, (rawTypeData, typeName) => {
+          const prefixedTypeName = `${service.typePrefix}${typeName}`;
+
+          if (_.has(mergedComponent, prefixedTypeName) && _.isEqual(mergedComponent[prefixedTypeName], rawTypeData)) {
+            renamedRefs[
+              `#/components/${componentName}/${typeName}`
+            ] = `#/components/${componentName}/${prefixedTypeName}`;
+            return;
+          }
+
+          const usageTypeName = componentNameResolvers[componentName].resolve([
+            prefixedTypeName,
+            service.namespace && pascalCase(`${service.namespace} ${prefixedTypeName}`),
+          ]);
+
+          if (usageTypeName !== prefixedTypeName) {
+            this.logger.warn(
+              `component "${typeName}" from ${service.namespace ? `"${service.namespace}" ` : ""}schema`,
+              `has been renamed to "${usageTypeName}" to solve conflict names`,
+            );
+          }
+
+          renamedRefs[`#/components/${componentName}/${typeName}`] = `#/components/${componentName}/${usageTypeName}`;
+          mergedComponent[usageTypeName] = rawTypeData;
+        });
+      });
+
+      this.replaceRefs(service.usageSchema, renamedRefs);
+    });
+
+    return {
+      usageSchema,
+      originalSchema: firstService.originalSchema,
+      services,
+    };
+  }
+
+  /**
+   * moves root `$defs` of OpenAPI 3.1 schema into "schemas" components,
+   * names which conflict with existing components get `Defs` prefix
+   * @param schema {Record<string, any>}
+   */
+  hoistSchemaDefs(schema) {
+    if (_.isEmpty(schema.$defs)) return;
+
+    const schemas = _.get(schema, "components.schemas") || _.set(schema, "components.schemas", {}).components.schemas;
+    const nameResolver = new NameResolver(_.keys(schemas), (variants) => {
+      let index = 1;
+      while (nameResolver.isReserved(`${variants[0]}${index}`)) index++;
+      return `${variants[0]}${index}`;
+    });
+    const hoistedRefs = {};
+
+    _.forEach(schema.$defs, (rawTypeData, defName) => {
+      const typeName = nameResolver.resolve([defName, `Defs${_.upperFirst(defName)}`]);
+
+      schemas[typeName] = rawTypeData;
+      hoistedRefs[`#/$defs/${defName}`] = `#/components/schemas/${typeName}`;
+    });
+
+    delete schema.$defs;
+
+    const walk = (node) => {
+      if (!_.isObject(node)) return;
+
+      if (_.isString(node.$ref)) {
+        const [, defRef, restPath] = node.$ref.match(/^(#\/\$defs\/[^/]+)(.*)$/) || [];
+
+        if (defRef && hoistedRefs[defRef]) {
+          node.$ref = `${hoistedRefs[defRef]}${restPath}`;
+        }
+      }
+
+      _.forEach(node, walk);
+    };
+
+    walk(schema);
+  }
+
+  /**
+   * marks all parts of the OpenAPI 3.1 schema, see `SchemaParser.isOpenApi31Schema`
+   * @param schema {Record<string, any>}
+   */
+  markOpenApi31Schema(schema) {
+    const walk = (node) => {
+      if (!_.isObject(node) || node[OPEN_API_31_SCHEMA]) return;
+
+      node[OPEN_API_31_SCHEMA] = true;
+      _.forEach(node, walk);
+    };
+
+    walk(schema);
+  }
+
+  /**
+   * @param schema {Record<string, any>}
+   * @param refsMap {Record<string, string>} { "#/components/schemas/Foo": "#/components/schemas/ServiceFoo" }
+   */
+  replaceRefs(schema, refsMap) {
+    const walk = (node) => {
+      if (!_.isObject(node)) return;
+
+      if (_.isString(node.$ref)) {
+        const [, componentRef, restPath] = node.$ref.match(/^(#\/components\/[^/]+\/[^/]+)(.*)$/) || [];
+
+        if (componentRef && refsMap[componentRef]) {
+          node.$ref = `${refsMap[componentRef]}${restPath}`;
+        }
+      }
+
+      _.forEach(node, walk);
+    };
+
+    walk(schema);
+  }
+
+  getSchemaLocation(pathToSwagger, urlToSwagger) {
+    if (this.fileSystem.pathIsExist(pathToSwagger)) {
+      return path.resolve(pathToSwagger);
+    }
+    if (this.isUrl(urlToSwagger)) {
+      return urlToSwagger;
+    }
+
+    return path.resolve(process.cwd(), "./__schema__");
+  }
+
+  isUrl = (location) => /^https?:\/\//i.test(location || "");
+
+  /**
+   * Follows `$ref`s pointing to other files or urls (`./models/user.yaml#/User`)
+   * and hoists referenced parts into components of the root schema
+   *
+   * @param swaggerSchema {Record<string, any>}
+   * @param location {string} path or url of the root schema
+   * @returns {Promise<Record<string, any>>}
+   */
+  async bundleExternalRefs(swaggerSchema, location) {
+    if (!_.isObject(swaggerSchema)) return swaggerSchema;
+
+    const result = _.cloneDeep(swaggerSchema);
+    const isSwagger2 = !result.openapi;
+    /** { [absoluteLocation]: Promise<document | null> } */
+    const documents = { [location]: Promise.resolve(result) };
+    /** { [`${absoluteLocation}#${pointer}`]: "#/components/schemas/Foo" } */
+    const hoistedRefs = {};
+    const componentsNameResolver = new NameResolver(this.getComponentNames(result), (variants) => {
+      let index = 1;
+      while (componentsNameResolver.isReserved(`${variants[0]}${index}`)) index++;
+      return `${variants[0]}${index}`;
+    });
+
+    const loadDocument = (documentLocation) => {
+      if (!documents[documentLocation]) {
+        documents[documentLocation] = this.fetchExternalDocument(documentLocation);
+      }
+      return documents[documentLocation];
+    };
+
+    const hoistRef = async (refInfo, componentName) => {
+      const refKey = `${refInfo.location}#${refInfo.pointer}`;
+
+      if (hoistedRefs[refKey]) return hoistedRefs[refKey];
+
+      const document = await loadDocument(refInfo.location);
+      const target = document && this.getByJsonPointer(document, refInfo.pointer);
+
+      if (_.isNil(target)) {
+        this.logger.error(
+          `can't resolve external $ref "${refInfo.ref}"`,
+          `\n${document ? `"${refInfo.pointer}" not found in` : "unable to load"} "${refInfo.location}"`,
+        );
+        return null;
+      }
+
+      const documentName = pascalCase(this.fileSystem.cropExtension(path.basename(refInfo.location)));
+      const rawTypeName = _.last(this.parseJsonPointer(refInfo.pointer)) || documentName;
+      const typeName = componentsNameResolver.resolve([rawTypeName, pascalCase(`${documentName} ${rawTypeName}`)]);
+      const componentPath = this.getComponentPath(componentName, isSwagger2);
+      const content = _.cloneDeep(target);
+
+      hoistedRefs[refKey] = `#/${[...componentPath, typeName].join("/")}`;
+      _.set(result, [...componentPath, typeName], content);
+
+      await walk(content, refInfo.location, [...componentPath, typeName]);
+
+      return hoistedRefs[refKey];
+    };
+
+    const walk = async (node, nodeLocation, keyPath) => {
+      if (!_.isObject(node) || this.isDataKeyPath(keyPath)) return;
+
+      if (_.isString(node.$ref) && (nodeLocation !== location || !_.startsWith(node.$ref, "#"))) {
+        const refInfo = this.parseExternalRef(node.$ref, nodeLocation);
+
+        if (this.isPathItemKeyPath(keyPath)) {
+          const document = await loadDocument(refInfo.location);
+          const target = document && this.getByJsonPointer(document, refInfo.pointer);
+
+          if (_.isNil(target)) {
+            this.logger.error(`can't resolve external path item $ref "${node.$ref}"`, `\nfrom "${nodeLocation}"`);
+            return;
+          }
+
+          delete node.$ref;
+          Object.assign(node, _.cloneDeep(target));
+          return await walk(node, refInfo.location, keyPath);
+        }
+
+        const localRef = await hoistRef(refInfo, this.getComponentNameByKeyPath(keyPath));
+
+        if (localRef) {
+          node.$ref = localRef;
+        }
+        return;
+      }
+
+      for (const [key, value] of _.entries(node)) {
+        await walk(value, nodeLocation, [...keyPath, key]);
+      }
+    };
+
+    await walk(result, location, []);
+
+    return result;
+  }
+
+  getComponentNames(swaggerSchema) {
+    return _.flatten(
+      _.map([swaggerSchema.components, swaggerSchema], (components) =>
+        _.flatten(_.map(components, (component) => (_.isPlainObject(component) ? _.keys(component) : []))),
+      ),
+    );
+  }
+
+  getComponentPath(componentName, isSwagger2) {
+    if (!isSwagger2) return ["components", componentName];
+
+    switch (componentName) {
+      case "parameters":
+      case "responses":
+        return [componentName];
+      default:
+        return ["definitions"];
+    }
+  }
+
+  /**
+   * examples, default values etc. are plain data, `$ref` inside them is not a reference
+   */
+  isDataKeyPath(keyPath) {
+    const [parentKey, key] = keyPath.slice(-2);
+
+    if (this.isNamedEntitiesKeyPath(keyPath.slice(0, -1))) return false;
+    if (["example", "default", "enum", "const"].includes(key) || _.startsWith(key, "x-example")) return true;
+    // Example Object value (`examples: { foo: { value: {...} } }`)
+    if (key === "value" && keyPath[keyPath.length - 3] === "examples") return true;
+    // JSON Schema `examples` (array of values)
+    return parentKey === "examples" && /^\d+$/.test(key);
+  }
+
+  /**
+   * maps of named entities (`properties: { default: ... }`, `definitions: { example: ... }`),
+   * their keys are names, not schema keywords
+   */
+  isNamedEntitiesKeyPath(keyPath) {
+    const lastKey = _.last(keyPath);
+
+    if (keyPath.length <= 1) return true;
+    if (keyPath.length === 2 && keyPath[0] === "components") return true;
+
+    return ["properties", "patternProperties", "responses", "headers", "definitions", "$defs", "paths"].includes(
+      lastKey,
+    );
+  }
+
+  isPathItemKeyPath(keyPath) {
+    return keyPath.length === 2 && keyPath[0] === "paths";
+  }
+
+  getComponentNameByKeyPath(keyPath) {
+    const [parentKey, key] = keyPath.slice(-2);
+
+    if (keyPath.length === 3 && keyPath[0] === "components") return keyPath[1];
+    if (keyPath.length === 2 && ["parameters", "responses"].includes(parentKey)) return parentKey;
+    if (parentKey === "headers") return "headers";
+    if (parentKey === "parameters" && /^\d+$/.test(key)) return "parameters";
+    if (parentKey === "responses") return "responses";
+    if (key === "requestBody") return "requestBodies";
+
+    return "schemas";
+  }
+
+  parseExternalRef(ref, fromLocation) {
+    const [rawLocation, pointer = ""] = ref.split("#");
+    let location = fromLocation;
+
+    if (rawLocation) {
+      if (this.isUrl(rawLocation)) {
+        location = rawLocation;
+      } else if (this.isUrl(fromLocation)) {
+        location = new URL(rawLocation, fromLocation).href;
+      } else {
+        location = path.resolve(path.dirname(fromLocation), rawLocation);
+      }
+    }
+
+    return { ref, location, pointer };
+  }
+
+  parseJsonPointer(pointer) {
+    return _.compact(_.split(pointer, "/")).map((part) =>
+      decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"),
+    );
+  }
+
+  getByJsonPointer(document, pointer) {
+    const pointerParts = this.parseJsonPointer(pointer);
+    return pointerParts.length ? _.get(document, pointerParts) : document;
+  }
+
+  async fetchExternalDocument(location) {
+    try {
+      if (this.isUrl(location)) {
+        this.logger.log(`try to get external schema part by URL "${location}"`);
+        const { disableStrictSSL, disableProxy, authorizationToken } = this.config;
+        const file = await this.request.download({
+          url: location,
+          disableStrictSSL,
+          authToken: authorizationToken,
+          disableProxy,
+        });
+        return this.getExternalDocumentObject(this.processSwaggerSchemaFile(file));
+      }
+
+      if (!this.fileSystem.pathIsExist(location)) return null;
+
+      this.logger.log(`try to get external schema part by path "${location}"`);
+      return this.getExternalDocumentObject(this.processSwaggerSchemaFile(this.fileSystem.getFileContent(location)));
+    } catch (e) {
+      this.logger.error(`error while reading external schema part "${location}"`, e);
+      return null;
+    }
   }
 
   /**
    *
    * @param swaggerSchema {Record<string, any>}
    * @param converterOptions {{ patch?: boolean }}
-   * @returns {Promise<{ usageSchema: Record<string, any>, originalSchema: Record<string, any>}>}
+   * @returns {Promise<{ usageSchema: Record<string, any>, originalSchema: Record<string, any>, isOpenApi31: boolean }>}
    */
   convertSwaggerObject(swaggerSchema, converterOptions) {
     return new Promise((resolve) => {
@@ -69,6 +497,7 @@ class SwaggerSchemaResolver {
 
       if (!result.openapi) {
         result.paths = _.merge({}, result.paths);
+        this.convertTupleItems(result);
 
         converter.convertObj(
           result,
@@ -87,6 +516,7 @@ class SwaggerSchemaResolver {
             resolve({
               usageSchema: parsedSwaggerSchema,
               originalSchema: result,
+              isOpenApi31: false,
             });
           },
         );
@@ -94,11 +524,37 @@ class SwaggerSchemaResolver {
         resolve({
           usageSchema: result,
           originalSchema: _.cloneDeep(result),
+          isOpenApi31: _.startsWith(result.openapi, "3.1"),
         });
       }
     });
   }
 
+  /**
+   * swagger2openapi converts array-form `items` (tuples) into `anyOf`, so they are moved to `prefixItems`
+   * (`items: [A]` without `additionalItems` is kept as a list of `A`),
+   * examples and default values are plain data and they are not changed
+   *
+   * @param swaggerSchema {Record<string, any>}
+   */
+  convertTupleItems(swaggerSchema) {
+    const walk = (node, keyPath) => {
+      if (!_.isObject(node) || this.isDataKeyPath(keyPath)) return;
+
+      const isTupleItems = _.isArray(node.items) && (node.items.length !== 1 || !_.isUndefined(node.additionalItems));
+
+      if (isTupleItems && !_.isArray(node.prefixItems)) {
+        node.prefixItems = node.items;
+        node.additionalItems = _.isUndefined(node.additionalItems) ? false : node.additionalItems;
+        delete node.items;
+      }
+
+      _.forEach(node, (value, key) => walk(value, [...keyPath, key]));
+    };
+
+    walk(swaggerSchema, []);
+  }
+
   async fetchSwaggerSchemaFile(pathToSwagger, urlToSwagger, disableStrictSSL, disableProxy, authToken) {
     if (this.fileSystem.pathIsExist(pathToSwagger)) {
       this.logger.log(`try to get swagger by path "${pathToSwagger}"`);
@@ -114,6 +570,10 @@ class SwaggerSchemaResolver {
     }
   }
 
+  getExternalDocumentObject(document) {
+    return _.isObject(document) ? document : null;
+  }
+
   processSwaggerSchemaFile(file) {
     if (typeof file !== "string") return file;
 
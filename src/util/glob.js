@@ -0,0 +1,22 @@
+const _ = require("lodash");
+
+/**
+ * converts glob pattern into RegExp
+ * `**` - any characters, `*` - any characters except `/`, `?` - any single character except `/`,
+ * trailing `/**` matches the path itself too (`/pet/**` matches `/pet` and `/pet/{id}`)
+ * @param pattern {string}
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  const isTrailingGlobstar = _.endsWith(pattern, "/**");
+  const parts = _.split(isTrailingGlobstar ? pattern.slice(0, -3) : pattern, "**");
+  const source = _.map(parts, (part) =>
+    _.escapeRegExp(part).replace(/\\\*/g, "[^/]*").replace(/\\\?/g, "[^/]"),
+  ).join(".*");
+
+  return new RegExp(`^${source}${isTrailingGlobstar ? "(/.*)?" : ""}$`);
+};
+
+module.exports = {
+  globToRegExp,
+};
@@ -0,0 +1,31 @@
+const _ = require("lodash");
+
+/**
+ * copy of the schema without `keys` (also in nested schemas), property names are kept
+ */
+const omitSchemaKeys = (schema, keys, isPropertiesMap = false) => {
+  if (_.isArray(schema)) return _.map(schema, (part) => omitSchemaKeys(part, keys));
+  if (!_.isPlainObject(schema)) return schema;
+
+  return _.reduce(
+    schema,
+    (acc, value, key) => {
+      if (key === "$parsed" || (!isPropertiesMap && keys.includes(key))) return acc;
+
+      acc[key] = omitSchemaKeys(value, keys, !isPropertiesMap && (key === "properties" || key === "patternProperties"));
+
+      return acc;
+    },
+    {},
+  );
+};
+
+module.exports = {
+  /**
+   * string which is the same for schemas which describe the same type
+   * @param schema {any}
+   * @param annotationKeys {string[]} keys which don't affect the type of the schema
+   * @returns {string}
+   */
+  getSchemaSignature: (schema, annotationKeys) => JSON.stringify(omitSchemaKeys(schema, annotationKeys)) || "",
+};
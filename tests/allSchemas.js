@@ -10,4 +10,8 @@ module.exports = [
     absolutePathToSchemas: resolve(__dirname, "./schemas/v3.0"),
     absoluteOutputPath: resolve(__dirname, "./generated/v3.0"),
   }),
+  ...createSchemaInfos({
+    absolutePathToSchemas: resolve(__dirname, "./schemas/v3.1"),
+    absoluteOutputPath: resolve(__dirname, "./generated/v3.1"),
+  }),
 ];
@@ -20,14 +20,20 @@ export interface NewPet {
   tag?: string;
 }
 
-export type Pet = NewPet & {
+export interface Pet extends NewPet {
   /** @format int64 */
   id: number;
-};
+}
 
 export type QueryParamsType = Record<string | number, any>;
 export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
 
+/** OpenAPI serialization of query and path params */
+export interface ParamStyle {
+  style: "form" | "spaceDelimited" | "pipeDelimited" | "tabDelimited" | "deepObject" | "simple" | "label" | "matrix";
+  explode: boolean;
+}
+
 export interface FullRequestParams extends Omit<RequestInit, "body"> {
   /** set parameter to `true` for call `securityWorker` for this request */
   secure?: boolean;
@@ -37,6 +43,8 @@ export interface FullRequestParams extends Omit<RequestInit, "body"> {
   type?: ContentType;
   /** query params */
   query?: QueryParamsType;
+  /** serialization of query params which are not serialized as `key=a&key=b` */
+  queryStyles?: Record<string, ParamStyle>;
   /** format of response (i.e. response.json() -> format: "json") */
   format?: ResponseFormat;
   /** request body */
@@ -105,11 +113,66 @@ export class HttpClient<SecurityDataType = unknown> {
     return value.map((v: any) => this.encodeQueryParam(key, v)).join("&");
   }
 
-  protected toQueryString(rawQuery?: QueryParamsType): string {
+  /** serializes query param using OpenAPI `style` and `explode` */
+  protected serializeQueryParam(key: string, value: any, { style, explode }: ParamStyle): string {
+    const encode = (item: any) => encodeURIComponent(typeof item === "number" ? item : `${item}`);
+    const encodedKey = encode(key);
+    const delimiter =
+      ({ spaceDelimited: "%20", pipeDelimited: "|", tabDelimited: "%09" } as Record<string, string>)[style] || ",";
+
+    if (Array.isArray(value)) {
+      return explode
+        ? value.map((item) => `${encodedKey}=${encode(item)}`).join("&")
+        : `${encodedKey}=${value.map(encode).join(delimiter)}`;
+    }
+    if (value !== null && typeof value === "object") {
+      const keys = Object.keys(value).filter((objectKey) => typeof value[objectKey] !== "undefined");
+
+      if (style === "deepObject") {
+        return keys.map((objectKey) => `${encodedKey}[${encode(objectKey)}]=${encode(value[objectKey])}`).join("&");
+      }
+      return explode
+        ? keys.map((objectKey) => `${encode(objectKey)}=${encode(value[objectKey])}`).join("&")
+        : `${encodedKey}=${keys
+            .map((objectKey) => `${encode(objectKey)}${delimiter}${encode(value[objectKey])}`)
+            .join(delimiter)}`;
+    }
+
+    return `${encodedKey}=${encode(value)}`;
+  }
+
+  /** serializes path param using OpenAPI `style` (`simple`, `label`, `matrix`) and `explode` */
+  public serializePathParam(name: string, value: any, { style, explode }: ParamStyle): string {
+    const encode = (item: any) => encodeURIComponent(`${item}`);
+    const prefix = ({ label: ".", matrix: ";" } as Record<string, string>)[style] || "";
+    const namePrefix = style === "matrix" ? `;${encode(name)}=` : prefix;
+
+    if (Array.isArray(value)) {
+      if (!explode || style === "simple") return `${namePrefix}${value.map(encode).join(",")}`;
+      return value.map((item) => `${namePrefix}${encode(item)}`).join("");
+    }
+    if (value !== null && typeof value === "object") {
+      const keys = Object.keys(value).filter((objectKey) => typeof value[objectKey] !== "undefined");
+
+      return explode
+        ? `${prefix}${keys.map((objectKey) => `${encode(objectKey)}=${encode(value[objectKey])}`).join(prefix || ",")}`
+        : `${namePrefix}${keys.map((objectKey) => `${encode(objectKey)},${encode(value[objectKey])}`).join(",")}`;
+    }
+
+    return `${namePrefix}${encode(value)}`;
+  }
+
+  protected toQueryString(rawQuery?: QueryParamsType, queryStyles?: Record<string, ParamStyle>): string {
     const query = rawQuery || {};
     const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
     return keys
-      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .map((key) =>
+        queryStyles && queryStyles[key]
+          ? this.serializeQueryParam(key, query[key], queryStyles[key])
+          : Array.isArray(query[key])
+          ? this.addArrayQueryParam(query, key)
+          : this.addQueryParam(query, key),
+      )
       .join("&");
   }
 
@@ -182,6 +245,7 @@ export class HttpClient<SecurityDataType = unknown> {
     format,
     baseUrl,
     cancelToken,
+    queryStyles,
     ...params
   }: FullRequestParams): Promise<HttpResponse<T, E>> => {
     const secureParams =
@@ -190,7 +254,7 @@ export class HttpClient<SecurityDataType = unknown> {
         (await this.securityWorker(this.securityData))) ||
       {};
     const requestParams = this.mergeRequestParams(params, secureParams);
-    const queryString = query && this.toQueryString(query);
+    const queryString = query && this.toQueryString(query, queryStyles);
     const payloadFormatter = this.contentFormatters[type || ContentType.Json];
     const responseFormat = format || requestParams.format;
 
@@ -268,6 +332,7 @@ export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDa
         path: `/pets`,
         method: "GET",
         query: query,
+        queryStyles: { tags: { style: "form", explode: false } },
         format: "json",
         ...params,
       }),
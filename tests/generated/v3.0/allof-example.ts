@@ -9,17 +9,25 @@
  * ---------------------------------------------------------------
  */
 
-export type Cat = Pet & {
+export interface Cat extends PetBase {
   hunts?: boolean;
   age?: number;
-};
+}
 
-export type Dog = Pet & {
+export interface Dog extends PetBase {
   bark?: boolean;
   breed: "Dingo" | "Husky" | "Retriever" | "Shepherd";
-};
+}
+
+export type Pet =
+  | (Dog & {
+      pet_type: "Dog";
+    })
+  | (Cat & {
+      pet_type: "Cat";
+    });
 
-export interface Pet {
+export interface PetBase {
   pet_type: string;
 }
 
@@ -243,7 +251,16 @@ export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDa
      * @name PetsPartialUpdate
      * @request PATCH:/pets
      */
-    petsPartialUpdate: (data: Cat | Dog, params: RequestParams = {}) =>
+    petsPartialUpdate: (
+      data:
+        | (Cat & {
+            pet_type: "Cat";
+          })
+        | (Dog & {
+            pet_type: "Dog";
+          }),
+      params: RequestParams = {},
+    ) =>
       this.request<void, any>({
         path: `/pets`,
         method: "PATCH",
@@ -3164,7 +3164,7 @@ export interface Integration {
     metadata?: string;
     contents?: string;
     deployments?: string;
-    [key: string]: any;
+    [key: string]: string | undefined;
   };
   /**
    * The slug name of the GitHub app
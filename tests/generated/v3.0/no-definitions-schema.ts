@@ -19,9 +19,9 @@ export interface BasicErrorModel {
   message: string;
 }
 
-export type ExtendedErrorModel = BasicErrorModel & {
+export interface ExtendedErrorModel extends BasicErrorModel {
   rootCause: string;
-};
+}
 
 export type QueryParamsType = Record<string | number, any>;
 export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
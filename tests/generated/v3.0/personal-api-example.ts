@@ -11,10 +11,10 @@
 
 export type AuthUserType = OmitIdUserType;
 
-export type ExtractedProjectType = OmitProjectTypeJob & {
+export interface ExtractedProjectType extends OmitProjectTypeJob {
   /** Information about job */
   job: JobType;
-};
+}
 
 /** Information about job */
 export interface FooBar {
@@ -178,13 +178,13 @@ export interface ProjectType {
 
 export type ProjectUpdateType = OmitIdProjectType;
 
-export type TestAllOfDc = (FooBarBaz & FooBar) & {
+export interface TestAllOfDc extends FooBarBaz, FooBar {
   prop?: string;
-};
+}
 
-export type TestAllOfDc2 = FooBarBaz & {
+export interface TestAllOfDc2 extends FooBarBaz {
   prop?: string;
-};
+}
 
 export type TestAnyOfDc = (FooBarBaz | FooBar | (FooBarBaz & FooBar)) & {
   prop?: string;
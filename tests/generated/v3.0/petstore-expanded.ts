@@ -20,10 +20,10 @@ export interface NewPet {
   tag?: string;
 }
 
-export type Pet = NewPet & {
+export interface Pet extends NewPet {
   /** @format int64 */
   id: number;
-};
+}
 
 export type QueryParamsType = Record<string | number, any>;
 export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
@@ -13,10 +13,10 @@ const compilerOptions = {
   noEmit: true,
 };
 
-function compile(fileNames) {
+function compile(fileNames, options) {
   console.log(`compiling ${fileNames.join(", ")}`);
 
-  let program = ts.createProgram(fileNames, compilerOptions);
+  let program = ts.createProgram(fileNames, { ...compilerOptions, ...options });
   let emitResult = program.emit();
 
   let allDiagnostics = ts.getPreEmitDiagnostics(program).concat(emitResult.diagnostics);
@@ -45,8 +45,12 @@ function compile(fileNames) {
   };
 }
 
-module.exports = (pathToFile) => {
-  const { diagnostics, code } = compile([pathToFile]);
+/**
+ * @param pathToFile {string}
+ * @param options {ts.CompilerOptions | undefined} overrides of compiler options (`target`)
+ */
+module.exports = (pathToFile, options) => {
+  const { diagnostics, code } = compile([pathToFile], options);
   // const relativePathToFile = relative("", pathToFile);
 
   // console.log(`validating ${relativePathToFile}: errors ${diagnostics.length}`);
@@ -11,7 +11,7 @@
 
 export interface MyObject1 {
   id?: string;
-  [key: string]: any;
+  [key: string]: object | string | undefined;
 }
 
 export interface MyObject2 {
@@ -0,0 +1,54 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Pet {
+  name: string;
+  [key: string]: unknown;
+}
+
+export interface PetsByOwner {
+  total: number;
+  updatedAt?: string;
+  [key: string]: Pet | number | string | undefined;
+}
+
+export type Flags = Record<string, boolean>;
+
+export interface AnyExtra {
+  id?: string;
+  [key: string]: any;
+}
+
+export interface Closed {
+  id?: string;
+}
+
+export interface Open {
+  id?: string;
+  [key: string]: unknown;
+}
+
+export interface Extensible {
+  id: string;
+  "x-internal"?: boolean;
+  [key: `x-${string}`]: string | boolean | undefined;
+  [key: `${string}-id`]: number;
+  [key: string]: Pet | string | number | boolean | undefined;
+}
+
+export interface Headers {
+  [key: `X-Custom-${string}`]: string;
+  [key: string]: unknown;
+}
+
+export interface Codes {
+  [key: string]: unknown;
+}
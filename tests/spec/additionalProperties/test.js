@@ -0,0 +1,35 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all([
+    generateApiForTest({
+      testName: "additional properties test",
+      silent: true,
+      name: apiFileName,
+      input: absolutePath,
+      output: resolve(__dirname, "./base"),
+      generateClient: false,
+    }),
+    generateApiForTest({
+      testName: "--strict-additional-properties option test",
+      silent: true,
+      name: apiFileName,
+      input: absolutePath,
+      output: resolve(__dirname, "./strict"),
+      generateClient: false,
+      strictAdditionalProperties: true,
+    }),
+  ]).then(() => {
+    validateGeneratedModule(resolve(__dirname, `./base/${apiFileName}`));
+    assertGeneratedModule(resolve(__dirname, `./base/${apiFileName}`), resolve(__dirname, `./base/expected.ts`));
+
+    validateGeneratedModule(resolve(__dirname, `./strict/${apiFileName}`));
+    assertGeneratedModule(resolve(__dirname, `./strict/${apiFileName}`), resolve(__dirname, `./strict/expected.ts`));
+  });
+});
@@ -0,0 +1,55 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+type UtilRequiredKeys<T, K extends keyof T> = Omit<T, K> & Required<Pick<T, K>>;
+
+export interface Entity {
+  id: string;
+  createdAt?: string;
+}
+
+export interface Named {
+  name?: string;
+}
+
+/** multiple bases and own properties */
+export interface User extends Entity, Named {
+  email: string;
+}
+
+/** inherited required keys */
+export interface Admin extends UtilRequiredKeys<User, "name"> {
+  permissions?: string[];
+}
+
+/** recursive data contract */
+export interface Folder extends Entity {
+  children?: Folder[];
+}
+
+export interface NumericId {
+  id?: number;
+}
+
+/** bases declare the same property with different types (intersection) */
+export type Conflict = Entity & NumericId;
+
+export type Labels = Record<string, string>;
+
+/** base is not an object type with known members (intersection) */
+export type Labeled = Entity & Labels;
+
+/** nullable (intersection) */
+export type NullableEntity =
+  | (Entity & {
+      deletedAt?: string;
+    })
+  | null;
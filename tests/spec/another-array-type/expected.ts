@@ -12,3 +12,10 @@
 export type AnotherArrayType1 = Array<string>;
 
 export type AnotherArrayType2 = Array<string>;
+
+export type AnotherArrayType3 = [string, ...Array<number>];
+
+/** @example {"items":["first","second"]} */
+export interface AnotherArrayType4 {
+  items?: Array<string>;
+}
@@ -1055,7 +1055,7 @@ export interface OrgTeamsPost {
 }
 
 /** A GitHub organization */
-export type Organization = Actor;
+export interface Organization extends Actor {}
 
 export interface OrganizationAsTeamMember {
   errors?: {
@@ -1879,7 +1879,7 @@ export interface Trees {
 }
 
 /** A GitHub user */
-export type User = Actor;
+export interface User extends Actor {}
 
 export type UserEmails = string[];
 
@@ -1911,6 +1911,12 @@ import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, HeadersDefault
 
 export type QueryParamsType = Record<string | number, any>;
 
+/** OpenAPI serialization of query and path params */
+export interface ParamStyle {
+  style: "form" | "spaceDelimited" | "pipeDelimited" | "tabDelimited" | "deepObject" | "simple" | "label" | "matrix";
+  explode: boolean;
+}
+
 export interface FullRequestParams extends Omit<AxiosRequestConfig, "data" | "params" | "url" | "responseType"> {
   /** set parameter to `true` for call `securityWorker` for this request */
   secure?: boolean;
@@ -1997,6 +2003,49 @@ export class HttpClient<SecurityDataType = unknown> {
     }, new FormData());
   }
 
+  /** serializes query param using OpenAPI `style` and `explode` */
+  protected serializeQueryParam(key: string, value: any, { style, explode }: ParamStyle): string {
+    const encode = (item: any) => encodeURIComponent(typeof item === "number" ? item : `${item}`);
+    const encodedKey = encode(key);
+    const delimiter =
+      ({ spaceDelimited: "%20", pipeDelimited: "|", tabDelimited: "%09" } as Record<string, string>)[style] || ",";
+
+    if (Array.isArray(value)) {
+      return explode
+        ? value.map((item) => `${encodedKey}=${encode(item)}`).join("&")
+        : `${encodedKey}=${value.map(encode).join(delimiter)}`;
+    }
+    if (value !== null && typeof value === "object") {
+      const keys = Object.keys(value).filter((objectKey) => typeof value[objectKey] !== "undefined");
+
+      if (style === "deepObject") {
+        return keys.map((objectKey) => `${encodedKey}[${encode(objectKey)}]=${encode(value[objectKey])}`).join("&");
+      }
+      return explode
+        ? keys.map((objectKey) => `${encode(objectKey)}=${encode(value[objectKey])}`).join("&")
+        : `${encodedKey}=${keys
+            .map((objectKey) => `${encode(objectKey)}${delimiter}${encode(value[objectKey])}`)
+            .join(delimiter)}`;
+    }
+
+    return `${encodedKey}=${encode(value)}`;
+  }
+
+  /** serializes query like axios (`null` values are skipped, dates are ISO strings), but arrays are `key=a&key=b` by default */
+  protected serializeQuery(query: QueryParamsType, queryStyles?: Record<string, ParamStyle>): string {
+    return Object.keys(query)
+      .filter((key) => query[key] !== null && typeof query[key] !== "undefined")
+      .map((key) => {
+        const value = query[key] instanceof Date ? query[key].toISOString() : query[key];
+        return this.serializeQueryParam(
+          key,
+          value,
+          (queryStyles && queryStyles[key]) || { style: "form", explode: true },
+        );
+      })
+      .join("&");
+  }
+
   public request = async <T = any, _E = any>({
     secure,
     path,
@@ -2025,6 +2074,7 @@ export class HttpClient<SecurityDataType = unknown> {
         ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
       },
       params: query,
+      paramsSerializer: { serialize: (params: QueryParamsType) => this.serializeQuery(params) },
       responseType: responseFormat,
       data: body,
       url: path,
@@ -0,0 +1,344 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+import { z } from "zod";
+
+export type CentsBrand = number & { __brand: "Cents" };
+/** Creates `CentsBrand` from the value (the value is not checked) */
+export const toCentsBrand = (value: number): CentsBrand => value as CentsBrand;
+/** Checks that the value is `CentsBrand` */
+export const isCentsBrand = (value: unknown): value is CentsBrand => typeof value === "number";
+
+export type Email = string & { __brand: "email" };
+/** Creates `Email` from the value (the value is not checked) */
+export const toEmail = (value: string): Email => value as Email;
+/** Checks that the value is `Email` */
+export const isEmail = (value: unknown): value is Email =>
+  typeof value === "string" && /^[^\s@]+@[^\s@]+$/i.test(value);
+
+export type OrderId = string & { __brand: "OrderId" };
+/** Creates `OrderId` from the value (the value is not checked) */
+export const toOrderId = (value: string): OrderId => value as OrderId;
+/** Checks that the value is `OrderId` */
+export const isOrderId = (value: unknown): value is OrderId => typeof value === "string";
+
+export type Uri = string & { __brand: "uri" };
+/** Creates `Uri` from the value (the value is not checked) */
+export const toUri = (value: string): Uri => value as Uri;
+/** Checks that the value is `Uri` */
+export const isUri = (value: unknown): value is Uri => typeof value === "string" && /^[a-z][a-z\d+.-]*:/i.test(value);
+
+export type UserId = string & { __brand: "UserId" };
+/** Creates `UserId` from the value (the value is not checked) */
+export const toUserId = (value: string): UserId => value as UserId;
+/** Checks that the value is `UserId` */
+export const isUserId = (value: unknown): value is UserId =>
+  typeof value === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+export type Uuid = string & { __brand: "uuid" };
+/** Creates `Uuid` from the value (the value is not checked) */
+export const toUuid = (value: string): Uuid => value as Uuid;
+/** Checks that the value is `Uuid` */
+export const isUuid = (value: unknown): value is Uuid =>
+  typeof value === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+export type Cents = CentsBrand;
+
+export interface User {
+  /** @format uuid */
+  id: UserId;
+  /** @format email */
+  email: Email;
+  /** @format uri */
+  website?: Uri | null;
+  /** @format password */
+  password?: string;
+}
+
+export interface Order {
+  id: OrderId;
+  /** @format uuid */
+  userId: UserId;
+  amount?: Cents;
+  /** @format uuid */
+  trackingCode?: Uuid;
+}
+
+export const CentsSchema: z.ZodType<Cents> = z.custom<CentsBrand>((value) => z.number().int().safeParse(value).success);
+export const UserSchema: z.ZodType<User> = z.object({
+  id: z.custom<UserId>((value) => z.string().uuid().safeParse(value).success),
+  email: z.custom<Email>((value) => z.string().email().safeParse(value).success),
+  website: z
+    .custom<Uri>((value) => z.string().url().safeParse(value).success)
+    .nullable()
+    .optional(),
+  password: z.string().optional(),
+});
+export const OrderSchema: z.ZodType<Order> = z.object({
+  id: z.custom<OrderId>((value) => z.string().safeParse(value).success),
+  userId: z.custom<UserId>((value) => z.string().uuid().safeParse(value).success),
+  amount: z.lazy(() => CentsSchema).optional(),
+  trackingCode: z.custom<Uuid>((value) => z.string().uuid().safeParse(value).success).optional(),
+});
+
+export type QueryParamsType = Record<string | number, any>;
+export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
+
+export interface FullRequestParams extends Omit<RequestInit, "body"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseFormat;
+  /** request body */
+  body?: unknown;
+  /** base url */
+  baseUrl?: string;
+  /** request cancellation token */
+  cancelToken?: CancelToken;
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> {
+  baseUrl?: string;
+  baseApiParams?: Omit<RequestParams, "baseUrl" | "cancelToken" | "signal">;
+  securityWorker?: (securityData: SecurityDataType | null) => Promise<RequestParams | void> | RequestParams | void;
+  customFetch?: typeof fetch;
+}
+
+export interface HttpResponse<D extends unknown, E extends unknown = unknown> extends Response {
+  data: D;
+  error: E;
+}
+
+type CancelToken = Symbol | string | number;
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public baseUrl: string = "";
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private abortControllers = new Map<CancelToken, AbortController>();
+  private customFetch = (...fetchParams: Parameters<typeof fetch>) => fetch(...fetchParams);
+
+  private baseApiParams: RequestParams = {
+    credentials: "same-origin",
+    headers: {},
+    redirect: "follow",
+    referrerPolicy: "no-referrer",
+  };
+
+  constructor(apiConfig: ApiConfig<SecurityDataType> = {}) {
+    Object.assign(this, apiConfig);
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected encodeQueryParam(key: string, value: any) {
+    const encodedKey = encodeURIComponent(key);
+    return `${encodedKey}=${encodeURIComponent(typeof value === "number" ? value : `${value}`)}`;
+  }
+
+  protected addQueryParam(query: QueryParamsType, key: string) {
+    return this.encodeQueryParam(key, query[key]);
+  }
+
+  protected addArrayQueryParam(query: QueryParamsType, key: string) {
+    const value = query[key];
+    return value.map((v: any) => this.encodeQueryParam(key, v)).join("&");
+  }
+
+  protected toQueryString(rawQuery?: QueryParamsType): string {
+    const query = rawQuery || {};
+    const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
+    return keys
+      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .join("&");
+  }
+
+  protected addQueryParams(rawQuery?: QueryParamsType): string {
+    const queryString = this.toQueryString(rawQuery);
+    return queryString ? `?${queryString}` : "";
+  }
+
+  private contentFormatters: Record<ContentType, (input: any) => any> = {
+    [ContentType.Json]: (input: any) =>
+      input !== null && (typeof input === "object" || typeof input === "string") ? JSON.stringify(input) : input,
+    [ContentType.FormData]: (input: any) =>
+      Object.keys(input || {}).reduce((formData, key) => {
+        const property = input[key];
+        formData.append(
+          key,
+          property instanceof Blob
+            ? property
+            : typeof property === "object" && property !== null
+            ? JSON.stringify(property)
+            : `${property}`,
+        );
+        return formData;
+      }, new FormData()),
+    [ContentType.UrlEncoded]: (input: any) => this.toQueryString(input),
+  };
+
+  protected mergeRequestParams(params1: RequestParams, params2?: RequestParams): RequestParams {
+    return {
+      ...this.baseApiParams,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...(this.baseApiParams.headers || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected createAbortSignal = (cancelToken: CancelToken): AbortSignal | undefined => {
+    if (this.abortControllers.has(cancelToken)) {
+      const abortController = this.abortControllers.get(cancelToken);
+      if (abortController) {
+        return abortController.signal;
+      }
+      return void 0;
+    }
+
+    const abortController = new AbortController();
+    this.abortControllers.set(cancelToken, abortController);
+    return abortController.signal;
+  };
+
+  public abortRequest = (cancelToken: CancelToken) => {
+    const abortController = this.abortControllers.get(cancelToken);
+
+    if (abortController) {
+      abortController.abort();
+      this.abortControllers.delete(cancelToken);
+    }
+  };
+
+  public request = async <T = any, E = any>({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    ...params
+  }: FullRequestParams): Promise<HttpResponse<T, E>> => {
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.baseApiParams.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const queryString = query && this.toQueryString(query);
+    const payloadFormatter = this.contentFormatters[type || ContentType.Json];
+    const responseFormat = format || requestParams.format;
+
+    return this.customFetch(`${baseUrl || this.baseUrl || ""}${path}${queryString ? `?${queryString}` : ""}`, {
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      signal: cancelToken ? this.createAbortSignal(cancelToken) : requestParams.signal,
+      body: typeof body === "undefined" || body === null ? null : payloadFormatter(body),
+    }).then(async (response) => {
+      const r = response as HttpResponse<T, E>;
+      r.data = null as unknown as T;
+      r.error = null as unknown as E;
+
+      const data = !responseFormat
+        ? r
+        : await response[responseFormat]()
+            .then((data) => {
+              if (r.ok) {
+                r.data = data;
+              } else {
+                r.error = data;
+              }
+              return r;
+            })
+            .catch((e) => {
+              r.error = e;
+              return r;
+            });
+
+      if (cancelToken) {
+        this.abortControllers.delete(cancelToken);
+      }
+
+      if (!response.ok) throw data;
+      return data;
+    });
+  };
+}
+
+/**
+ * @title branded types
+ * @version 1.0.0
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  users = {
+    /**
+     * No description
+     *
+     * @name GetUserOrders
+     * @request GET:/users/{userId}/orders
+     */
+    getUserOrders: (
+      userId: UserId,
+      query?: {
+        /** @format email */
+        email?: Email;
+        minAmount?: Cents;
+      },
+      params: RequestParams = {},
+    ) =>
+      this.request<Order[], any>({
+        path: `/users/${userId}/orders`,
+        method: "GET",
+        query: query,
+        format: "json",
+        ...params,
+      }),
+  };
+  orders = {
+    /**
+     * No description
+     *
+     * @name GetOrder
+     * @request GET:/orders/{orderId}
+     */
+    getOrder: (orderId: OrderId, params: RequestParams = {}) =>
+      this.request<Order, any>({
+        path: `/orders/${orderId}`,
+        method: "GET",
+        format: "json",
+        ...params,
+      }),
+  };
+}
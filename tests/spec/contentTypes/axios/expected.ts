@@ -0,0 +1,294 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Pet {
+  id?: number;
+  name: string;
+}
+
+export interface PetForm {
+  name: string;
+  /** @format binary */
+  photo?: File;
+}
+
+export interface PatchOperation {
+  op: string;
+  path: string;
+  value?: any;
+}
+
+export interface Report {
+  total?: number;
+}
+
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, HeadersDefaults, ResponseType } from "axios";
+
+export type QueryParamsType = Record<string | number, any>;
+
+export interface FullRequestParams extends Omit<AxiosRequestConfig, "data" | "params" | "url" | "responseType"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseType;
+  /** media type of request body, it selects serializer of request body instead of `type` */
+  contentType?: ContentType;
+  /** media type of response (`Accept` header) */
+  accept?: ContentType;
+  /** formats of response for other media types than default one (`accept`) */
+  responseFormats?: Partial<Record<ContentType, ResponseType>>;
+  /** request body */
+  body?: unknown;
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> extends Omit<AxiosRequestConfig, "data" | "cancelToken"> {
+  securityWorker?: (
+    securityData: SecurityDataType | null,
+  ) => Promise<AxiosRequestConfig | void> | AxiosRequestConfig | void;
+  secure?: boolean;
+  format?: ResponseType;
+}
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+  TextCsv = "text/csv",
+  ApplicationXml = "application/xml",
+  ApplicationMergePatchJson = "application/merge-patch+json",
+  ApplicationJsonPatchJson = "application/json-patch+json",
+  ImagePng = "image/png",
+  ApplicationPdf = "application/pdf",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public instance: AxiosInstance;
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private secure?: boolean;
+  private format?: ResponseType;
+
+  constructor({ securityWorker, secure, format, ...axiosConfig }: ApiConfig<SecurityDataType> = {}) {
+    this.instance = axios.create({ ...axiosConfig, baseURL: axiosConfig.baseURL || "https://api.example.com" });
+    this.secure = secure;
+    this.format = format;
+    this.securityWorker = securityWorker;
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected mergeRequestParams(params1: AxiosRequestConfig, params2?: AxiosRequestConfig): AxiosRequestConfig {
+    const method = params1.method || (params2 && params2.method);
+
+    return {
+      ...this.instance.defaults,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...((method && this.instance.defaults.headers[method.toLowerCase() as keyof HeadersDefaults]) || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected stringifyFormItem(formItem: unknown) {
+    if (typeof formItem === "object" && formItem !== null) {
+      return JSON.stringify(formItem);
+    } else {
+      return `${formItem}`;
+    }
+  }
+
+  protected createFormData(input: Record<string, unknown>): FormData {
+    return Object.keys(input || {}).reduce((formData, key) => {
+      const property = input[key];
+      const propertyContent: any[] = property instanceof Array ? property : [property];
+
+      for (const formItem of propertyContent) {
+        const isFileType = formItem instanceof Blob || formItem instanceof File;
+        formData.append(key, isFileType ? formItem : this.stringifyFormItem(formItem));
+      }
+
+      return formData;
+    }, new FormData());
+  }
+
+  public request = async <T = any, _E = any>({
+    secure,
+    path,
+    type,
+    query,
+    format,
+    body,
+    contentType,
+    accept,
+    responseFormats,
+    ...params
+  }: FullRequestParams): Promise<AxiosResponse<T>> => {
+    if (contentType) type = contentType;
+    // response transformations are described for default media type of response
+    if (accept && responseFormats && responseFormats[accept]) {
+      format = responseFormats[accept];
+    }
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const responseFormat = format || this.format || undefined;
+
+    if (type === ContentType.FormData && body && body !== null && typeof body === "object") {
+      body = this.createFormData(body as Record<string, unknown>);
+    }
+
+    return this.instance.request({
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(accept ? { Accept: accept } : {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      params: query,
+      responseType: responseFormat,
+      data: body,
+      url: path,
+    });
+  };
+}
+
+/**
+ * @title Content types
+ * @version 1.0.0
+ * @baseUrl https://api.example.com
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  pets = {
+    /**
+     * No description
+     *
+     * @name ListPets
+     * @request GET:/pets
+     */
+    listPets: <TAccept extends ContentType.Json | ContentType.TextCsv = ContentType.Json>(
+      params: RequestParams & { accept?: TAccept } = {},
+    ) =>
+      this.request<{ [ContentType.Json]: Pet[]; [ContentType.TextCsv]: string }[TAccept], any>({
+        path: `/pets`,
+        method: "GET",
+        format: "json",
+        responseFormats: { [ContentType.TextCsv]: "text" },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreatePet
+     * @request POST:/pets
+     */
+    createPet: <
+      TContentType extends ContentType.Json | ContentType.FormData | ContentType.UrlEncoded = ContentType.Json,
+    >(
+      data: { [ContentType.Json]: Pet; [ContentType.FormData]: PetForm; [ContentType.UrlEncoded]: Pet }[TContentType],
+      params: RequestParams & { contentType?: TContentType } = {},
+    ) =>
+      this.request<Pet, any>({
+        path: `/pets`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name UpdatePet
+     * @request PATCH:/pets/{petId}
+     */
+    updatePet: <
+      TContentType extends
+        | ContentType.ApplicationMergePatchJson
+        | ContentType.ApplicationJsonPatchJson = ContentType.ApplicationMergePatchJson,
+      TAccept extends ContentType.Json | ContentType.ApplicationXml = ContentType.Json,
+    >(
+      petId: number,
+      data: {
+        [ContentType.ApplicationMergePatchJson]: Pet;
+        [ContentType.ApplicationJsonPatchJson]: PatchOperation[];
+      }[TContentType],
+      params: RequestParams & { contentType?: TContentType; accept?: TAccept } = {},
+    ) =>
+      this.request<{ [ContentType.Json]: Pet; [ContentType.ApplicationXml]: string }[TAccept], any>({
+        path: `/pets/${petId}`,
+        method: "PATCH",
+        body: data,
+        type: ContentType.ApplicationMergePatchJson,
+        format: "json",
+        responseFormats: { [ContentType.ApplicationXml]: "text" },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetPetPhoto
+     * @request GET:/pets/{petId}/photo
+     */
+    getPetPhoto: (petId: number, params: RequestParams = {}) =>
+      this.request<File, any>({
+        path: `/pets/${petId}/photo`,
+        method: "GET",
+        format: "blob",
+        ...params,
+      }),
+  };
+  report = {
+    /**
+     * No description
+     *
+     * @name GetReport
+     * @request GET:/report
+     */
+    getReport: <
+      TAccept extends ContentType.Json | ContentType.ApplicationPdf | ContentType.ApplicationXml = ContentType.Json,
+    >(
+      params: RequestParams & { accept?: TAccept } = {},
+    ) =>
+      this.request<
+        {
+          [ContentType.Json]: Report;
+          [ContentType.ApplicationPdf]: Blob;
+          [ContentType.ApplicationXml]: string;
+        }[TAccept],
+        any
+      >({
+        path: `/report`,
+        method: "GET",
+        format: "json",
+        responseFormats: { [ContentType.ApplicationPdf]: "blob", [ContentType.ApplicationXml]: "text" },
+        ...params,
+      }),
+  };
+}
@@ -0,0 +1,387 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Pet {
+  id?: number;
+  name: string;
+}
+
+export interface PetForm {
+  name: string;
+  /** @format binary */
+  photo?: File;
+}
+
+export interface PatchOperation {
+  op: string;
+  path: string;
+  value?: any;
+}
+
+export interface Report {
+  total?: number;
+}
+
+export type QueryParamsType = Record<string | number, any>;
+export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
+
+export interface FullRequestParams extends Omit<RequestInit, "body"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseFormat;
+  /** media type of request body, it selects serializer of request body instead of `type` */
+  contentType?: ContentType;
+  /** media type of response (`Accept` header) */
+  accept?: ContentType;
+  /** formats of response for other media types than default one (`accept`) */
+  responseFormats?: Partial<Record<ContentType, ResponseFormat>>;
+  /** request body */
+  body?: unknown;
+  /** base url */
+  baseUrl?: string;
+  /** request cancellation token */
+  cancelToken?: CancelToken;
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> {
+  baseUrl?: string;
+  baseApiParams?: Omit<RequestParams, "baseUrl" | "cancelToken" | "signal">;
+  securityWorker?: (securityData: SecurityDataType | null) => Promise<RequestParams | void> | RequestParams | void;
+  customFetch?: typeof fetch;
+}
+
+export interface HttpResponse<D extends unknown, E extends unknown = unknown> extends Response {
+  data: D;
+  error: E;
+}
+
+type CancelToken = Symbol | string | number;
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+  TextCsv = "text/csv",
+  ApplicationXml = "application/xml",
+  ApplicationMergePatchJson = "application/merge-patch+json",
+  ApplicationJsonPatchJson = "application/json-patch+json",
+  ImagePng = "image/png",
+  ApplicationPdf = "application/pdf",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public baseUrl: string = "https://api.example.com";
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private abortControllers = new Map<CancelToken, AbortController>();
+  private customFetch = (...fetchParams: Parameters<typeof fetch>) => fetch(...fetchParams);
+
+  private baseApiParams: RequestParams = {
+    credentials: "same-origin",
+    headers: {},
+    redirect: "follow",
+    referrerPolicy: "no-referrer",
+  };
+
+  constructor(apiConfig: ApiConfig<SecurityDataType> = {}) {
+    Object.assign(this, apiConfig);
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected encodeQueryParam(key: string, value: any) {
+    const encodedKey = encodeURIComponent(key);
+    return `${encodedKey}=${encodeURIComponent(typeof value === "number" ? value : `${value}`)}`;
+  }
+
+  protected addQueryParam(query: QueryParamsType, key: string) {
+    return this.encodeQueryParam(key, query[key]);
+  }
+
+  protected addArrayQueryParam(query: QueryParamsType, key: string) {
+    const value = query[key];
+    return value.map((v: any) => this.encodeQueryParam(key, v)).join("&");
+  }
+
+  protected toQueryString(rawQuery?: QueryParamsType): string {
+    const query = rawQuery || {};
+    const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
+    return keys
+      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .join("&");
+  }
+
+  protected addQueryParams(rawQuery?: QueryParamsType): string {
+    const queryString = this.toQueryString(rawQuery);
+    return queryString ? `?${queryString}` : "";
+  }
+
+  private contentFormatters: Record<ContentType, (input: any) => any> = {
+    [ContentType.Json]: (input: any) =>
+      input !== null && (typeof input === "object" || typeof input === "string") ? JSON.stringify(input) : input,
+    [ContentType.FormData]: (input: any) =>
+      Object.keys(input || {}).reduce((formData, key) => {
+        const property = input[key];
+        formData.append(
+          key,
+          property instanceof Blob
+            ? property
+            : typeof property === "object" && property !== null
+            ? JSON.stringify(property)
+            : `${property}`,
+        );
+        return formData;
+      }, new FormData()),
+    [ContentType.UrlEncoded]: (input: any) => this.toQueryString(input),
+    [ContentType.TextCsv]: (input: any) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+    [ContentType.ApplicationXml]: (input: any) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+    [ContentType.ApplicationMergePatchJson]: (input: any) => this.contentFormatters[ContentType.Json](input),
+    [ContentType.ApplicationJsonPatchJson]: (input: any) => this.contentFormatters[ContentType.Json](input),
+    [ContentType.ImagePng]: (input: any) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+    [ContentType.ApplicationPdf]: (input: any) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+  };
+
+  protected mergeRequestParams(params1: RequestParams, params2?: RequestParams): RequestParams {
+    return {
+      ...this.baseApiParams,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...(this.baseApiParams.headers || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected createAbortSignal = (cancelToken: CancelToken): AbortSignal | undefined => {
+    if (this.abortControllers.has(cancelToken)) {
+      const abortController = this.abortControllers.get(cancelToken);
+      if (abortController) {
+        return abortController.signal;
+      }
+      return void 0;
+    }
+
+    const abortController = new AbortController();
+    this.abortControllers.set(cancelToken, abortController);
+    return abortController.signal;
+  };
+
+  public abortRequest = (cancelToken: CancelToken) => {
+    const abortController = this.abortControllers.get(cancelToken);
+
+    if (abortController) {
+      abortController.abort();
+      this.abortControllers.delete(cancelToken);
+    }
+  };
+
+  public request = async <T = any, E = any>({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    contentType,
+    accept,
+    responseFormats,
+    ...params
+  }: FullRequestParams): Promise<HttpResponse<T, E>> => {
+    if (contentType) type = contentType;
+    // response transformations are described for default media type of response
+    if (accept && responseFormats && responseFormats[accept]) {
+      format = responseFormats[accept];
+    }
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.baseApiParams.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const queryString = query && this.toQueryString(query);
+    const payloadFormatter = this.contentFormatters[type || ContentType.Json];
+    const responseFormat = format || requestParams.format;
+
+    return this.customFetch(`${baseUrl || this.baseUrl || ""}${path}${queryString ? `?${queryString}` : ""}`, {
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(accept ? { Accept: accept } : {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      signal: cancelToken ? this.createAbortSignal(cancelToken) : requestParams.signal,
+      body: typeof body === "undefined" || body === null ? null : payloadFormatter(body),
+    }).then(async (response) => {
+      const r = response as HttpResponse<T, E>;
+      r.data = null as unknown as T;
+      r.error = null as unknown as E;
+
+      const data = !responseFormat
+        ? r
+        : await response[responseFormat]()
+            .then((data) => {
+              if (r.ok) {
+                r.data = data;
+              } else {
+                r.error = data;
+              }
+              return r;
+            })
+            .catch((e) => {
+              r.error = e;
+              return r;
+            });
+
+      if (cancelToken) {
+        this.abortControllers.delete(cancelToken);
+      }
+
+      if (!response.ok) throw data;
+      return data;
+    });
+  };
+}
+
+/**
+ * @title Content types
+ * @version 1.0.0
+ * @baseUrl https://api.example.com
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  pets = {
+    /**
+     * No description
+     *
+     * @name ListPets
+     * @request GET:/pets
+     */
+    listPets: <TAccept extends ContentType.Json | ContentType.TextCsv = ContentType.Json>(
+      params: RequestParams & { accept?: TAccept } = {},
+    ) =>
+      this.request<{ [ContentType.Json]: Pet[]; [ContentType.TextCsv]: string }[TAccept], any>({
+        path: `/pets`,
+        method: "GET",
+        format: "json",
+        responseFormats: { [ContentType.TextCsv]: "text" },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreatePet
+     * @request POST:/pets
+     */
+    createPet: <
+      TContentType extends ContentType.Json | ContentType.FormData | ContentType.UrlEncoded = ContentType.Json,
+    >(
+      data: { [ContentType.Json]: Pet; [ContentType.FormData]: PetForm; [ContentType.UrlEncoded]: Pet }[TContentType],
+      params: RequestParams & { contentType?: TContentType } = {},
+    ) =>
+      this.request<Pet, any>({
+        path: `/pets`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name UpdatePet
+     * @request PATCH:/pets/{petId}
+     */
+    updatePet: <
+      TContentType extends
+        | ContentType.ApplicationMergePatchJson
+        | ContentType.ApplicationJsonPatchJson = ContentType.ApplicationMergePatchJson,
+      TAccept extends ContentType.Json | ContentType.ApplicationXml = ContentType.Json,
+    >(
+      petId: number,
+      data: {
+        [ContentType.ApplicationMergePatchJson]: Pet;
+        [ContentType.ApplicationJsonPatchJson]: PatchOperation[];
+      }[TContentType],
+      params: RequestParams & { contentType?: TContentType; accept?: TAccept } = {},
+    ) =>
+      this.request<{ [ContentType.Json]: Pet; [ContentType.ApplicationXml]: string }[TAccept], any>({
+        path: `/pets/${petId}`,
+        method: "PATCH",
+        body: data,
+        type: ContentType.ApplicationMergePatchJson,
+        format: "json",
+        responseFormats: { [ContentType.ApplicationXml]: "text" },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetPetPhoto
+     * @request GET:/pets/{petId}/photo
+     */
+    getPetPhoto: (petId: number, params: RequestParams = {}) =>
+      this.request<File, any>({
+        path: `/pets/${petId}/photo`,
+        method: "GET",
+        format: "blob",
+        ...params,
+      }),
+  };
+  report = {
+    /**
+     * No description
+     *
+     * @name GetReport
+     * @request GET:/report
+     */
+    getReport: <
+      TAccept extends ContentType.Json | ContentType.ApplicationPdf | ContentType.ApplicationXml = ContentType.Json,
+    >(
+      params: RequestParams & { accept?: TAccept } = {},
+    ) =>
+      this.request<
+        {
+          [ContentType.Json]: Report;
+          [ContentType.ApplicationPdf]: Blob;
+          [ContentType.ApplicationXml]: string;
+        }[TAccept],
+        any
+      >({
+        path: `/report`,
+        method: "GET",
+        format: "json",
+        responseFormats: { [ContentType.ApplicationPdf]: "blob", [ContentType.ApplicationXml]: "text" },
+        ...params,
+      }),
+  };
+}
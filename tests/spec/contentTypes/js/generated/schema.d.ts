@@ -0,0 +1,177 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Pet {
+  id?: number;
+  name: string;
+}
+export interface PetForm {
+  name: string;
+  /** @format binary */
+  photo?: File;
+}
+export interface PatchOperation {
+  op: string;
+  path: string;
+  value?: any;
+}
+export interface Report {
+  total?: number;
+}
+export declare type QueryParamsType = Record<string | number, any>;
+export declare type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
+export interface FullRequestParams extends Omit<RequestInit, "body"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseFormat;
+  /** media type of request body, it selects serializer of request body instead of `type` */
+  contentType?: ContentType;
+  /** media type of response (`Accept` header) */
+  accept?: ContentType;
+  /** formats of response for other media types than default one (`accept`) */
+  responseFormats?: Partial<Record<ContentType, ResponseFormat>>;
+  /** request body */
+  body?: unknown;
+  /** base url */
+  baseUrl?: string;
+  /** request cancellation token */
+  cancelToken?: CancelToken;
+}
+export declare type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+export interface ApiConfig<SecurityDataType = unknown> {
+  baseUrl?: string;
+  baseApiParams?: Omit<RequestParams, "baseUrl" | "cancelToken" | "signal">;
+  securityWorker?: (securityData: SecurityDataType | null) => Promise<RequestParams | void> | RequestParams | void;
+  customFetch?: typeof fetch;
+}
+export interface HttpResponse<D extends unknown, E extends unknown = unknown> extends Response {
+  data: D;
+  error: E;
+}
+declare type CancelToken = Symbol | string | number;
+export declare enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+  TextCsv = "text/csv",
+  ApplicationXml = "application/xml",
+  ApplicationMergePatchJson = "application/merge-patch+json",
+  ApplicationJsonPatchJson = "application/json-patch+json",
+  ImagePng = "image/png",
+  ApplicationPdf = "application/pdf",
+}
+export declare class HttpClient<SecurityDataType = unknown> {
+  baseUrl: string;
+  private securityData;
+  private securityWorker?;
+  private abortControllers;
+  private customFetch;
+  private baseApiParams;
+  constructor(apiConfig?: ApiConfig<SecurityDataType>);
+  setSecurityData: (data: SecurityDataType | null) => void;
+  protected encodeQueryParam(key: string, value: any): string;
+  protected addQueryParam(query: QueryParamsType, key: string): string;
+  protected addArrayQueryParam(query: QueryParamsType, key: string): any;
+  protected toQueryString(rawQuery?: QueryParamsType): string;
+  protected addQueryParams(rawQuery?: QueryParamsType): string;
+  private contentFormatters;
+  protected mergeRequestParams(params1: RequestParams, params2?: RequestParams): RequestParams;
+  protected createAbortSignal: (cancelToken: CancelToken) => AbortSignal | undefined;
+  abortRequest: (cancelToken: CancelToken) => void;
+  request: <T = any, E = any>({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    contentType,
+    accept,
+    responseFormats,
+    ...params
+  }: FullRequestParams) => Promise<HttpResponse<T, E>>;
+}
+/**
+ * @title Content types
+ * @version 1.0.0
+ * @baseUrl https://api.example.com
+ */
+export declare class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  pets: {
+    /**
+     * No description
+     *
+     * @name ListPets
+     * @request GET:/pets
+     */
+    listPets: (
+      params?: RequestParams & {
+        accept?: ContentType.Json | ContentType.TextCsv;
+      },
+    ) => Promise<HttpResponse<Pet[] | string, any>>;
+    /**
+     * No description
+     *
+     * @name CreatePet
+     * @request POST:/pets
+     */
+    createPet: (
+      data: Pet | PetForm,
+      params?: RequestParams & {
+        contentType?: ContentType.Json | ContentType.FormData | ContentType.UrlEncoded;
+      },
+    ) => Promise<HttpResponse<Pet, any>>;
+    /**
+     * No description
+     *
+     * @name UpdatePet
+     * @request PATCH:/pets/{petId}
+     */
+    updatePet: (
+      petId: number,
+      data: Pet | PatchOperation[],
+      params?: RequestParams & {
+        contentType?: ContentType.ApplicationMergePatchJson | ContentType.ApplicationJsonPatchJson;
+        accept?: ContentType.Json | ContentType.ApplicationXml;
+      },
+    ) => Promise<HttpResponse<Pet | string, any>>;
+    /**
+     * No description
+     *
+     * @name GetPetPhoto
+     * @request GET:/pets/{petId}/photo
+     */
+    getPetPhoto: (petId: number, params?: RequestParams) => Promise<HttpResponse<File, any>>;
+  };
+  report: {
+    /**
+     * No description
+     *
+     * @name GetReport
+     * @request GET:/report
+     */
+    getReport: (
+      params?: RequestParams & {
+        accept?: ContentType.Json | ContentType.ApplicationPdf | ContentType.ApplicationXml;
+      },
+    ) => Promise<HttpResponse<Report | Blob | string, any>>;
+  };
+}
+export {};
@@ -0,0 +1,269 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export var ContentType;
+(function (ContentType) {
+  ContentType["Json"] = "application/json";
+  ContentType["FormData"] = "multipart/form-data";
+  ContentType["UrlEncoded"] = "application/x-www-form-urlencoded";
+  ContentType["TextCsv"] = "text/csv";
+  ContentType["ApplicationXml"] = "application/xml";
+  ContentType["ApplicationMergePatchJson"] = "application/merge-patch+json";
+  ContentType["ApplicationJsonPatchJson"] = "application/json-patch+json";
+  ContentType["ImagePng"] = "image/png";
+  ContentType["ApplicationPdf"] = "application/pdf";
+})(ContentType || (ContentType = {}));
+export class HttpClient {
+  baseUrl = "https://api.example.com";
+  securityData = null;
+  securityWorker;
+  abortControllers = new Map();
+  customFetch = (...fetchParams) => fetch(...fetchParams);
+  baseApiParams = {
+    credentials: "same-origin",
+    headers: {},
+    redirect: "follow",
+    referrerPolicy: "no-referrer",
+  };
+  constructor(apiConfig = {}) {
+    Object.assign(this, apiConfig);
+  }
+  setSecurityData = (data) => {
+    this.securityData = data;
+  };
+  encodeQueryParam(key, value) {
+    const encodedKey = encodeURIComponent(key);
+    return `${encodedKey}=${encodeURIComponent(typeof value === "number" ? value : `${value}`)}`;
+  }
+  addQueryParam(query, key) {
+    return this.encodeQueryParam(key, query[key]);
+  }
+  addArrayQueryParam(query, key) {
+    const value = query[key];
+    return value.map((v) => this.encodeQueryParam(key, v)).join("&");
+  }
+  toQueryString(rawQuery) {
+    const query = rawQuery || {};
+    const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
+    return keys
+      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .join("&");
+  }
+  addQueryParams(rawQuery) {
+    const queryString = this.toQueryString(rawQuery);
+    return queryString ? `?${queryString}` : "";
+  }
+  contentFormatters = {
+    [ContentType.Json]: (input) =>
+      input !== null && (typeof input === "object" || typeof input === "string") ? JSON.stringify(input) : input,
+    [ContentType.FormData]: (input) =>
+      Object.keys(input || {}).reduce((formData, key) => {
+        const property = input[key];
+        formData.append(
+          key,
+          property instanceof Blob
+            ? property
+            : typeof property === "object" && property !== null
+            ? JSON.stringify(property)
+            : `${property}`,
+        );
+        return formData;
+      }, new FormData()),
+    [ContentType.UrlEncoded]: (input) => this.toQueryString(input),
+    [ContentType.TextCsv]: (input) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+    [ContentType.ApplicationXml]: (input) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+    [ContentType.ApplicationMergePatchJson]: (input) => this.contentFormatters[ContentType.Json](input),
+    [ContentType.ApplicationJsonPatchJson]: (input) => this.contentFormatters[ContentType.Json](input),
+    [ContentType.ImagePng]: (input) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+    [ContentType.ApplicationPdf]: (input) =>
+      input !== null && typeof input === "object" && !(input instanceof Blob) ? JSON.stringify(input) : input,
+  };
+  mergeRequestParams(params1, params2) {
+    return {
+      ...this.baseApiParams,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...(this.baseApiParams.headers || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+  createAbortSignal = (cancelToken) => {
+    if (this.abortControllers.has(cancelToken)) {
+      const abortController = this.abortControllers.get(cancelToken);
+      if (abortController) {
+        return abortController.signal;
+      }
+      return void 0;
+    }
+    const abortController = new AbortController();
+    this.abortControllers.set(cancelToken, abortController);
+    return abortController.signal;
+  };
+  abortRequest = (cancelToken) => {
+    const abortController = this.abortControllers.get(cancelToken);
+    if (abortController) {
+      abortController.abort();
+      this.abortControllers.delete(cancelToken);
+    }
+  };
+  request = async ({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    contentType,
+    accept,
+    responseFormats,
+    ...params
+  }) => {
+    if (contentType) type = contentType;
+    // response transformations are described for default media type of response
+    if (accept && responseFormats && responseFormats[accept]) {
+      format = responseFormats[accept];
+    }
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.baseApiParams.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const queryString = query && this.toQueryString(query);
+    const payloadFormatter = this.contentFormatters[type || ContentType.Json];
+    const responseFormat = format || requestParams.format;
+    return this.customFetch(`${baseUrl || this.baseUrl || ""}${path}${queryString ? `?${queryString}` : ""}`, {
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(accept ? { Accept: accept } : {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      signal: cancelToken ? this.createAbortSignal(cancelToken) : requestParams.signal,
+      body: typeof body === "undefined" || body === null ? null : payloadFormatter(body),
+    }).then(async (response) => {
+      const r = response;
+      r.data = null;
+      r.error = null;
+      const data = !responseFormat
+        ? r
+        : await response[responseFormat]()
+            .then((data) => {
+              if (r.ok) {
+                r.data = data;
+              } else {
+                r.error = data;
+              }
+              return r;
+            })
+            .catch((e) => {
+              r.error = e;
+              return r;
+            });
+      if (cancelToken) {
+        this.abortControllers.delete(cancelToken);
+      }
+      if (!response.ok) throw data;
+      return data;
+    });
+  };
+}
+/**
+ * @title Content types
+ * @version 1.0.0
+ * @baseUrl https://api.example.com
+ */
+export class Api extends HttpClient {
+  pets = {
+    /**
+     * No description
+     *
+     * @name ListPets
+     * @request GET:/pets
+     */
+    listPets: (params = {}) =>
+      this.request({
+        path: `/pets`,
+        method: "GET",
+        format: "json",
+        responseFormats: { [ContentType.TextCsv]: "text" },
+        ...params,
+      }),
+    /**
+     * No description
+     *
+     * @name CreatePet
+     * @request POST:/pets
+     */
+    createPet: (data, params = {}) =>
+      this.request({
+        path: `/pets`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        ...params,
+      }),
+    /**
+     * No description
+     *
+     * @name UpdatePet
+     * @request PATCH:/pets/{petId}
+     */
+    updatePet: (petId, data, params = {}) =>
+      this.request({
+        path: `/pets/${petId}`,
+        method: "PATCH",
+        body: data,
+        type: ContentType.ApplicationMergePatchJson,
+        format: "json",
+        responseFormats: { [ContentType.ApplicationXml]: "text" },
+        ...params,
+      }),
+    /**
+     * No description
+     *
+     * @name GetPetPhoto
+     * @request GET:/pets/{petId}/photo
+     */
+    getPetPhoto: (petId, params = {}) =>
+      this.request({
+        path: `/pets/${petId}/photo`,
+        method: "GET",
+        format: "blob",
+        ...params,
+      }),
+  };
+  report = {
+    /**
+     * No description
+     *
+     * @name GetReport
+     * @request GET:/report
+     */
+    getReport: (params = {}) =>
+      this.request({
+        path: `/report`,
+        method: "GET",
+        format: "json",
+        responseFormats: { [ContentType.ApplicationPdf]: "blob", [ContentType.ApplicationXml]: "text" },
+        ...params,
+      }),
+  };
+}
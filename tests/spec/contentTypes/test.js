@@ -0,0 +1,51 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+const httpClientTypes = ["fetch", "axios"];
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all(
+    httpClientTypes.map((httpClientType) =>
+      generateApiForTest({
+        testName: `content types (${httpClientType} http client) test`,
+        silent: true,
+        name: apiFileName,
+        input: absolutePath,
+        output: resolve(__dirname, `./${httpClientType}`),
+        httpClientType,
+        contentTypeVariants: true,
+      }),
+    ),
+  ).then(() => {
+    httpClientTypes.forEach((httpClientType) => {
+      validateGeneratedModule(resolve(__dirname, `./${httpClientType}/${apiFileName}`));
+      assertGeneratedModule(
+        resolve(__dirname, `./${httpClientType}/${apiFileName}`),
+        resolve(__dirname, `./${httpClientType}/expected.ts`),
+      );
+    });
+  });
+
+  generateApiForTest({
+    testName: "content types (--js option) test",
+    silent: true,
+    name: apiFileName,
+    input: absolutePath,
+    output: resolve(__dirname, "./js/generated"),
+    toJS: true,
+    contentTypeVariants: true,
+  }).then(() => {
+    for (const fileName of ["schema.d.ts", "schema.js"]) {
+      validateGeneratedModule(resolve(__dirname, `./js/generated/${fileName}`));
+      assertGeneratedModule(
+        resolve(__dirname, `./js/generated/${fileName}`),
+        resolve(__dirname, `./js/expected/${fileName}`),
+      );
+    }
+  });
+});
@@ -0,0 +1,423 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Event {
+  id: string;
+  /** @format date-time */
+  startsAt: Date;
+  /** @format date */
+  day?: Date;
+  /** @format time */
+  time?: string;
+  attendees?: Attendee[];
+  reminders?: Record<string, Date>;
+}
+
+export interface Attendee extends Person {
+  /** @format date-time */
+  "joined-at"?: Date;
+}
+
+export interface Person {
+  name?: string;
+  /** @format date */
+  birthday?: Date | null;
+}
+
+export interface Task {
+  title?: string;
+  /** @format date-time */
+  dueAt?: Date;
+  subtasks?: Task[];
+}
+
+export interface Pong {
+  message?: string;
+}
+
+/**
+ * Locations of date strings in the data:
+ * "date" | "date-time" - date string, `{ [property]: DateFields, $items: DateFields, $values: DateFields }` - object/array,
+ * `DateFields[]` - combination of schemas, `() => DateFields` - data contract
+ */
+export type DateFields = "date" | "date-time" | (() => DateFields) | DateFields[] | { [key: string]: DateFields };
+
+const getDateField = (dateFields: DateFields, key: string): DateFields | undefined => {
+  const fields = dateFields as Record<string, DateFields>;
+  if (Object.prototype.hasOwnProperty.call(fields, key)) return fields[key];
+  if (Object.prototype.hasOwnProperty.call(fields, "$values")) return fields.$values;
+  return undefined;
+};
+
+/** Converts date strings of the value to `Date` objects (mutates the value) */
+export const reviveDates = (value: any, dateFields: DateFields): any => {
+  if (value === null || value === undefined) return value;
+  if (typeof dateFields === "function") return reviveDates(value, dateFields());
+  if (Array.isArray(dateFields)) return dateFields.reduce((result, fields) => reviveDates(result, fields), value);
+  if (typeof dateFields === "string") return typeof value === "string" ? new Date(value) : value;
+  if (typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    const itemFields = getDateField(dateFields, "$items");
+    return itemFields ? value.map((item) => reviveDates(item, itemFields)) : value;
+  }
+
+  Object.keys(value).forEach((key) => {
+    const fields = getDateField(dateFields, key);
+    if (fields) value[key] = reviveDates(value[key], fields);
+  });
+
+  return value;
+};
+
+/** Converts `Date` objects of the value to date strings (returns a copy of the value) */
+export const serializeDates = (value: any, dateFields: DateFields): any => {
+  if (value === null || value === undefined) return value;
+  if (typeof dateFields === "function") return serializeDates(value, dateFields());
+  if (Array.isArray(dateFields)) return dateFields.reduce((result, fields) => serializeDates(result, fields), value);
+  if (typeof dateFields === "string") {
+    if (!(value instanceof Date)) return value;
+    return dateFields === "date" ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    const itemFields = getDateField(dateFields, "$items");
+    return itemFields ? value.map((item) => serializeDates(item, itemFields)) : value;
+  }
+  if (typeof value !== "object" || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  return Object.keys(value).reduce<Record<string, any>>((result, key) => {
+    const fields = getDateField(dateFields, key);
+    result[key] = fields ? serializeDates(value[key], fields) : value[key];
+    return result;
+  }, {});
+};
+
+export const EventDateFields: DateFields = {
+  startsAt: "date-time",
+  day: "date",
+  attendees: { $items: () => AttendeeDateFields },
+  reminders: { $values: "date-time" },
+};
+export const AttendeeDateFields: DateFields = [() => PersonDateFields, { "joined-at": "date-time" }];
+export const PersonDateFields: DateFields = { birthday: "date" };
+export const TaskDateFields: DateFields = { dueAt: "date-time", subtasks: { $items: () => TaskDateFields } };
+
+export type QueryParamsType = Record<string | number, any>;
+export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
+
+export interface FullRequestParams extends Omit<RequestInit, "body"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseFormat;
+  /** request body */
+  body?: unknown;
+  /** base url */
+  baseUrl?: string;
+  /** request cancellation token */
+  cancelToken?: CancelToken;
+  /** locations of dates in query params, request and response bodies */
+  dateFields?: { query?: DateFields; body?: DateFields; response?: DateFields };
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> {
+  baseUrl?: string;
+  baseApiParams?: Omit<RequestParams, "baseUrl" | "cancelToken" | "signal">;
+  securityWorker?: (securityData: SecurityDataType | null) => Promise<RequestParams | void> | RequestParams | void;
+  customFetch?: typeof fetch;
+}
+
+export interface HttpResponse<D extends unknown, E extends unknown = unknown> extends Response {
+  data: D;
+  error: E;
+}
+
+type CancelToken = Symbol | string | number;
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public baseUrl: string = "";
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private abortControllers = new Map<CancelToken, AbortController>();
+  private customFetch = (...fetchParams: Parameters<typeof fetch>) => fetch(...fetchParams);
+
+  private baseApiParams: RequestParams = {
+    credentials: "same-origin",
+    headers: {},
+    redirect: "follow",
+    referrerPolicy: "no-referrer",
+  };
+
+  constructor(apiConfig: ApiConfig<SecurityDataType> = {}) {
+    Object.assign(this, apiConfig);
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected encodeQueryParam(key: string, value: any) {
+    const encodedKey = encodeURIComponent(key);
+    return `${encodedKey}=${encodeURIComponent(typeof value === "number" ? value : `${value}`)}`;
+  }
+
+  protected addQueryParam(query: QueryParamsType, key: string) {
+    return this.encodeQueryParam(key, query[key]);
+  }
+
+  protected addArrayQueryParam(query: QueryParamsType, key: string) {
+    const value = query[key];
+    return value.map((v: any) => this.encodeQueryParam(key, v)).join("&");
+  }
+
+  protected toQueryString(rawQuery?: QueryParamsType): string {
+    const query = rawQuery || {};
+    const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
+    return keys
+      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .join("&");
+  }
+
+  protected addQueryParams(rawQuery?: QueryParamsType): string {
+    const queryString = this.toQueryString(rawQuery);
+    return queryString ? `?${queryString}` : "";
+  }
+
+  private contentFormatters: Record<ContentType, (input: any) => any> = {
+    [ContentType.Json]: (input: any) =>
+      input !== null && (typeof input === "object" || typeof input === "string") ? JSON.stringify(input) : input,
+    [ContentType.FormData]: (input: any) =>
+      Object.keys(input || {}).reduce((formData, key) => {
+        const property = input[key];
+        formData.append(
+          key,
+          property instanceof Blob
+            ? property
+            : typeof property === "object" && property !== null
+            ? JSON.stringify(property)
+            : `${property}`,
+        );
+        return formData;
+      }, new FormData()),
+    [ContentType.UrlEncoded]: (input: any) => this.toQueryString(input),
+  };
+
+  protected mergeRequestParams(params1: RequestParams, params2?: RequestParams): RequestParams {
+    return {
+      ...this.baseApiParams,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...(this.baseApiParams.headers || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected createAbortSignal = (cancelToken: CancelToken): AbortSignal | undefined => {
+    if (this.abortControllers.has(cancelToken)) {
+      const abortController = this.abortControllers.get(cancelToken);
+      if (abortController) {
+        return abortController.signal;
+      }
+      return void 0;
+    }
+
+    const abortController = new AbortController();
+    this.abortControllers.set(cancelToken, abortController);
+    return abortController.signal;
+  };
+
+  public abortRequest = (cancelToken: CancelToken) => {
+    const abortController = this.abortControllers.get(cancelToken);
+
+    if (abortController) {
+      abortController.abort();
+      this.abortControllers.delete(cancelToken);
+    }
+  };
+
+  public request = async <T = any, E = any>({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    dateFields,
+    ...params
+  }: FullRequestParams): Promise<HttpResponse<T, E>> => {
+    if (dateFields && dateFields.query) query = serializeDates(query, dateFields.query);
+    if (dateFields && dateFields.body) body = serializeDates(body, dateFields.body);
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.baseApiParams.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const queryString = query && this.toQueryString(query);
+    const payloadFormatter = this.contentFormatters[type || ContentType.Json];
+    const responseFormat = format || requestParams.format;
+
+    return this.customFetch(`${baseUrl || this.baseUrl || ""}${path}${queryString ? `?${queryString}` : ""}`, {
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      signal: cancelToken ? this.createAbortSignal(cancelToken) : requestParams.signal,
+      body: typeof body === "undefined" || body === null ? null : payloadFormatter(body),
+    }).then(async (response) => {
+      const r = response as HttpResponse<T, E>;
+      r.data = null as unknown as T;
+      r.error = null as unknown as E;
+
+      const data = !responseFormat
+        ? r
+        : await response[responseFormat]()
+            .then((data) => {
+              if (r.ok) {
+                r.data = dateFields && dateFields.response ? reviveDates(data, dateFields.response) : data;
+              } else {
+                r.error = data;
+              }
+              return r;
+            })
+            .catch((e) => {
+              r.error = e;
+              return r;
+            });
+
+      if (cancelToken) {
+        this.abortControllers.delete(cancelToken);
+      }
+
+      if (!response.ok) throw data;
+      return data;
+    });
+  };
+}
+
+/**
+ * @title Convert dates
+ * @version 1.0.0
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  events = {
+    /**
+     * No description
+     *
+     * @name GetEvents
+     * @request GET:/events
+     */
+    getEvents: (
+      query?: {
+        /** @format date */
+        from?: Date;
+        /** @format date-time */
+        updatedAfter?: Date;
+        limit?: number;
+      },
+      params: RequestParams = {},
+    ) =>
+      this.request<Event[], any>({
+        path: `/events`,
+        method: "GET",
+        query: query,
+        format: "json",
+        dateFields: { query: { from: "date", updatedAfter: "date-time" }, response: { $items: () => EventDateFields } },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreateEvent
+     * @request POST:/events
+     */
+    createEvent: (data: Event, params: RequestParams = {}) =>
+      this.request<Event, any>({
+        path: `/events`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        dateFields: { body: () => EventDateFields, response: () => EventDateFields },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetEventSchedule
+     * @request GET:/events/{id}/schedule
+     */
+    getEventSchedule: (id: string, params: RequestParams = {}) =>
+      this.request<
+        {
+          days?: Date[][];
+        },
+        any
+      >({
+        path: `/events/${id}/schedule`,
+        method: "GET",
+        dateFields: { response: { days: { $items: { $items: "date" } } } },
+        ...params,
+      }),
+  };
+  tasks = {
+    /**
+     * No description
+     *
+     * @name GetTasks
+     * @request GET:/tasks
+     */
+    getTasks: (params: RequestParams = {}) =>
+      this.request<Task, any>({
+        path: `/tasks`,
+        method: "GET",
+        format: "json",
+        dateFields: { response: () => TaskDateFields },
+        ...params,
+      }),
+  };
+  ping = {
+    /**
+     * No description
+     *
+     * @name Ping
+     * @request GET:/ping
+     */
+    ping: (params: RequestParams = {}) =>
+      this.request<Pong, any>({
+        path: `/ping`,
+        method: "GET",
+        format: "json",
+        ...params,
+      }),
+  };
+}
@@ -0,0 +1,65 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export type Pet =
+  | (Cat & {
+      petType: "cat" | "kitten";
+    })
+  | (Dog & {
+      petType: "dog";
+    })
+  | (Lizard & {
+      petType: "Lizard";
+    });
+
+export interface Cat extends PetBase {
+  lives?: number;
+}
+
+export interface Dog extends PetBase {
+  owner?: Pet;
+}
+
+export interface Lizard extends PetBase {
+  scales?: number;
+}
+
+export interface Circle {
+  "shape-type"?: string;
+  radius?: number;
+}
+
+export interface Square {
+  "shape-type"?: string;
+  side?: number;
+}
+
+export interface Vehicle {
+  kind?: string;
+}
+
+export interface Garage {
+  vehicle?: Vehicle;
+}
+
+export interface PetBase {
+  petType: string;
+  name?: string;
+  friends?: Pet[];
+}
+
+export type CreateShapePayload =
+  | (Circle & {
+      "shape-type": "circle";
+    })
+  | (Square & {
+      "shape-type": "square";
+    });
@@ -0,0 +1,50 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export enum OrderStatus {
+  /** Order is placed by the customer */
+  Placed = "placed",
+  /**
+   * Order is approved by the shop
+   * and waits for the delivery
+   */
+  Approved = "approved",
+  Delivered = "delivered",
+}
+
+export enum PaymentMethod {
+  /** Paid by card */
+  Card = "card",
+  /** Paid by cash on delivery */
+  Cash = "cash",
+}
+
+export enum Priority {
+  /** Can wait */
+  Low = 1,
+  Medium = 2,
+  /** Should be delivered today */
+  High = 3,
+}
+
+export type Rating =
+  /** Bad */
+  | 1
+  /** Excellent */
+  | 5;
+
+export interface Order {
+  status?: OrderStatus;
+  paymentMethod?: PaymentMethod;
+  priority?: Priority;
+  rating?: Rating;
+  channel?: "web" | "app";
+}
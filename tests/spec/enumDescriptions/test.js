@@ -0,0 +1,33 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+const enumStyles = ["enum", "union"];
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all(
+    enumStyles.map((enumStyle) =>
+      generateApiForTest({
+        testName: `enum descriptions (--enum-style ${enumStyle}) test`,
+        silent: true,
+        name: apiFileName,
+        input: absolutePath,
+        output: resolve(__dirname, `./${enumStyle}`),
+        generateClient: false,
+        enumStyle,
+      }),
+    ),
+  ).then(() => {
+    enumStyles.forEach((enumStyle) => {
+      validateGeneratedModule(resolve(__dirname, `./${enumStyle}/${apiFileName}`));
+      assertGeneratedModule(
+        resolve(__dirname, `./${enumStyle}/${apiFileName}`),
+        resolve(__dirname, `./${enumStyle}/expected.ts`),
+      );
+    });
+  });
+});
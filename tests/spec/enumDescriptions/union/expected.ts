@@ -0,0 +1,47 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export type OrderStatus =
+  /** Order is placed by the customer */
+  | "placed"
+  /**
+   * Order is approved by the shop
+   * and waits for the delivery
+   */
+  | "approved"
+  | "delivered";
+
+export type PaymentMethod =
+  /** Paid by card */
+  | "card"
+  /** Paid by cash on delivery */
+  | "cash";
+
+export type Priority =
+  /** Can wait */
+  | 1
+  | 2
+  /** Should be delivered today */
+  | 3;
+
+export type Rating =
+  /** Bad */
+  | 1
+  /** Excellent */
+  | 5;
+
+export interface Order {
+  status?: OrderStatus;
+  paymentMethod?: PaymentMethod;
+  priority?: Priority;
+  rating?: Rating;
+  channel?: "web" | "app";
+}
@@ -9,13 +9,13 @@
  * ---------------------------------------------------------------
  */
 
-export type TestAllOfDc = (FooBarBaz & FooBar) & {
+export interface TestAllOfDc extends FooBarBaz, FooBar {
   prop?: string;
-};
+}
 
-export type TestAllOfDc2 = FooBarBaz & {
+export interface TestAllOfDc2 extends FooBarBaz {
   prop?: string;
-};
+}
 
 export type TestAnyOfDc = (FooBarBaz | FooBar | (FooBarBaz & FooBar)) & {
   prop?: string;
@@ -154,10 +154,10 @@ export interface PickProjectTypeExcludeKeysJob {
 
 export type OmitProjectTypeJob = PickProjectTypeExcludeKeysJob;
 
-export type ExtractedProjectType = OmitProjectTypeJob & {
+export interface ExtractedProjectType extends OmitProjectTypeJob {
   /** Information about job */
   job: JobType;
-};
+}
 
 /** From T, pick a set of properties whose keys are in the union K */
 export interface PickProjectTypeExcludeKeysIdOrId {
@@ -0,0 +1,39 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export enum OrderStatus {
+  Placed = "placed",
+  Approved = "approved",
+  Delivered = "delivered",
+}
+export const OrderStatusValues2: OrderStatus[] = [OrderStatus.Placed, OrderStatus.Approved, OrderStatus.Delivered];
+
+export enum Priority {
+  Low = 1,
+  Medium = 2,
+  High = 3,
+}
+export const PriorityValues: Priority[] = [Priority.Low, Priority.Medium, Priority.High];
+
+/** has the name of values of OrderStatus enum */
+export interface OrderStatusValues {
+  total?: number;
+}
+
+export type Rating = 1 | 2 | 3 | 4 | 5;
+export const RatingValues: Rating[] = [1, 2, 3, 4, 5];
+
+export interface Order {
+  id: number;
+  status: OrderStatus;
+  priority?: Priority;
+  rating?: Rating;
+}
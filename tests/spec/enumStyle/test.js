@@ -0,0 +1,34 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+const enumStyles = ["enum", "union", "const-object"];
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all(
+    enumStyles.map((enumStyle) =>
+      generateApiForTest({
+        testName: `--enum-style ${enumStyle} option test`,
+        silent: true,
+        name: apiFileName,
+        input: absolutePath,
+        output: resolve(__dirname, `./${enumStyle}`),
+        generateClient: false,
+        enumStyle,
+        generateEnumValues: true,
+      }),
+    ),
+  ).then(() => {
+    enumStyles.forEach((enumStyle) => {
+      validateGeneratedModule(resolve(__dirname, `./${enumStyle}/${apiFileName}`));
+      assertGeneratedModule(
+        resolve(__dirname, `./${enumStyle}/${apiFileName}`),
+        resolve(__dirname, `./${enumStyle}/expected.ts`),
+      );
+    });
+  });
+});
@@ -0,0 +1,31 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export type OrderStatus = "placed" | "approved" | "delivered";
+export const OrderStatusValues2: OrderStatus[] = ["placed", "approved", "delivered"];
+
+export type Priority = 1 | 2 | 3;
+export const PriorityValues: Priority[] = [1, 2, 3];
+
+/** has the name of values of OrderStatus enum */
+export interface OrderStatusValues {
+  total?: number;
+}
+
+export type Rating = 1 | 2 | 3 | 4 | 5;
+export const RatingValues: Rating[] = [1, 2, 3, 4, 5];
+
+export interface Order {
+  id: number;
+  status: OrderStatus;
+  priority?: Priority;
+  rating?: Rating;
+}
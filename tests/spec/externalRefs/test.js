@@ -0,0 +1,27 @@
+const { CodeGenProcess } = require("../../../src/code-gen-process");
+const { resolve } = require("path");
+const fs = require("fs");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  const codeGenProcess = new CodeGenProcess({
+    testName: "external refs test",
+    silent: true,
+    fileName: apiFileName,
+    input: absolutePath,
+    output: resolve(__dirname, "./"),
+  });
+
+  // url refs are served from the "remote" folder
+  codeGenProcess.swaggerSchemaResolver.request.download = async ({ url }) =>
+    fs.readFileSync(resolve(__dirname, "./remote", url.replace("https://schemas.example.com/", "")), "utf-8");
+
+  codeGenProcess.start().then(() => {
+    validateGeneratedModule(resolve(__dirname, `./${apiFileName}`));
+    assertGeneratedModule(resolve(__dirname, `./${apiFileName}`), resolve(__dirname, `./expected.ts`));
+  });
+});
@@ -0,0 +1,90 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface User {
+  id: number;
+  name?: string;
+}
+
+export interface Order {
+  id?: number;
+  total?: number;
+}
+
+export interface Invoice {
+  number?: string;
+}
+
+/** Page of users */
+export type PageUser = Page<User>;
+
+/** Page of orders */
+export type PageOrder = Page<Order>;
+
+export type PageInvoice = Page<Invoice>;
+
+/** has other required properties, is not a page */
+export interface PageSummary {
+  content: User[];
+  totalElements?: number;
+  page?: number;
+}
+
+export type ApiResponseUser = ApiResponse<User>;
+
+export type ApiResponseOrder = ApiResponse<Order>;
+
+export type ListOfNumbers = List<number>;
+
+export type ListOfStrings = List<string>;
+
+export type WrappedUser = Wrapped<User>;
+
+export type BatchOfUsers = Batch<User>;
+
+export type BatchOfIds = Batch<string>;
+
+export type ResultOfUser = Result<User>;
+
+export type ResultOfUsers = Result<User[]>;
+
+export interface List<T> {
+  items?: T[];
+  count?: number;
+}
+
+export interface Wrapped<T> {
+  value?: T;
+  /** @format date-time */
+  wrappedAt?: string;
+}
+
+export interface Batch<T> {
+  entries?: T[];
+  size?: number;
+}
+
+export interface Result<T> {
+  result?: T;
+  ok?: boolean;
+}
+
+export interface Page<T> {
+  content: T[];
+  /** total count of elements */
+  totalElements: number;
+  page?: number;
+}
+
+export interface ApiResponse<T> {
+  success: boolean;
+  data?: T;
+}
@@ -0,0 +1,314 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Order {
+  id: string;
+  total?: number;
+}
+
+export interface ListOrdersParams {
+  limit?: number;
+  "X-Tenant-Id": number;
+  /** trace ids */
+  "X-Request-Ids"?: string[];
+  session_id: string;
+}
+
+export interface UpdateOrderParams {
+  orderId: string;
+  "X-Tenant-Id": number;
+  "If-Match"?: string;
+}
+
+export interface DeleteOrderParams {
+  orderId: string;
+  "X-Tenant-Id": number;
+}
+
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, HeadersDefaults, ResponseType } from "axios";
+
+export type QueryParamsType = Record<string | number, any>;
+
+/** OpenAPI serialization of query and path params */
+export interface ParamStyle {
+  style: "form" | "spaceDelimited" | "pipeDelimited" | "tabDelimited" | "deepObject" | "simple" | "label" | "matrix";
+  explode: boolean;
+}
+
+export interface FullRequestParams extends Omit<AxiosRequestConfig, "data" | "params" | "url" | "responseType"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** header params */
+  headerParams?: Record<string, unknown>;
+  /** cookie params, they are sent in `Cookie` header */
+  cookieParams?: Record<string, unknown>;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseType;
+  /** request body */
+  body?: unknown;
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> extends Omit<AxiosRequestConfig, "data" | "cancelToken"> {
+  securityWorker?: (
+    securityData: SecurityDataType | null,
+  ) => Promise<AxiosRequestConfig | void> | AxiosRequestConfig | void;
+  secure?: boolean;
+  format?: ResponseType;
+}
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public instance: AxiosInstance;
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private secure?: boolean;
+  private format?: ResponseType;
+
+  constructor({ securityWorker, secure, format, ...axiosConfig }: ApiConfig<SecurityDataType> = {}) {
+    this.instance = axios.create({ ...axiosConfig, baseURL: axiosConfig.baseURL || "http://localhost:8080/api/v1" });
+    this.secure = secure;
+    this.format = format;
+    this.securityWorker = securityWorker;
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected mergeRequestParams(params1: AxiosRequestConfig, params2?: AxiosRequestConfig): AxiosRequestConfig {
+    const method = params1.method || (params2 && params2.method);
+
+    return {
+      ...this.instance.defaults,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...((method && this.instance.defaults.headers[method.toLowerCase() as keyof HeadersDefaults]) || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected stringifyFormItem(formItem: unknown) {
+    if (typeof formItem === "object" && formItem !== null) {
+      return JSON.stringify(formItem);
+    } else {
+      return `${formItem}`;
+    }
+  }
+
+  protected createFormData(input: Record<string, unknown>): FormData {
+    return Object.keys(input || {}).reduce((formData, key) => {
+      const property = input[key];
+      const propertyContent: any[] = property instanceof Array ? property : [property];
+
+      for (const formItem of propertyContent) {
+        const isFileType = formItem instanceof Blob || formItem instanceof File;
+        formData.append(key, isFileType ? formItem : this.stringifyFormItem(formItem));
+      }
+
+      return formData;
+    }, new FormData());
+  }
+
+  /** serializes query param using OpenAPI `style` and `explode` */
+  protected serializeQueryParam(key: string, value: any, { style, explode }: ParamStyle): string {
+    const encode = (item: any) => encodeURIComponent(typeof item === "number" ? item : `${item}`);
+    const encodedKey = encode(key);
+    const delimiter =
+      ({ spaceDelimited: "%20", pipeDelimited: "|", tabDelimited: "%09" } as Record<string, string>)[style] || ",";
+
+    if (Array.isArray(value)) {
+      return explode
+        ? value.map((item) => `${encodedKey}=${encode(item)}`).join("&")
+        : `${encodedKey}=${value.map(encode).join(delimiter)}`;
+    }
+    if (value !== null && typeof value === "object") {
+      const keys = Object.keys(value).filter((objectKey) => typeof value[objectKey] !== "undefined");
+
+      if (style === "deepObject") {
+        return keys.map((objectKey) => `${encodedKey}[${encode(objectKey)}]=${encode(value[objectKey])}`).join("&");
+      }
+      return explode
+        ? keys.map((objectKey) => `${encode(objectKey)}=${encode(value[objectKey])}`).join("&")
+        : `${encodedKey}=${keys
+            .map((objectKey) => `${encode(objectKey)}${delimiter}${encode(value[objectKey])}`)
+            .join(delimiter)}`;
+    }
+
+    return `${encodedKey}=${encode(value)}`;
+  }
+
+  /** serializes query like axios (`null` values are skipped, dates are ISO strings), but arrays are `key=a&key=b` by default */
+  protected serializeQuery(query: QueryParamsType, queryStyles?: Record<string, ParamStyle>): string {
+    return Object.keys(query)
+      .filter((key) => query[key] !== null && typeof query[key] !== "undefined")
+      .map((key) => {
+        const value = query[key] instanceof Date ? query[key].toISOString() : query[key];
+        return this.serializeQueryParam(
+          key,
+          value,
+          (queryStyles && queryStyles[key]) || { style: "form", explode: true },
+        );
+      })
+      .join("&");
+  }
+
+  /** serializes header and cookie param values using `simple` style (`a,b`, `key,value`) */
+  protected serializeHeaderParam(value: unknown): string {
+    if (Array.isArray(value)) return value.join(",");
+    if (value !== null && typeof value === "object") {
+      const object = value as Record<string, unknown>;
+      return Object.keys(object)
+        .map((key) => `${key},${object[key]}`)
+        .join(",");
+    }
+    return `${value}`;
+  }
+
+  /** header params (names are kept as is) and cookie params (`Cookie: session=abc; lang=en`) of the route */
+  protected toHeaders(
+    headerParams: Record<string, unknown> = {},
+    cookieParams: Record<string, unknown> = {},
+  ): Record<string, string> {
+    const headers: Record<string, string> = {};
+
+    Object.keys(headerParams)
+      .filter((key) => typeof headerParams[key] !== "undefined")
+      .forEach((key) => {
+        headers[key] = this.serializeHeaderParam(headerParams[key]);
+      });
+
+    const cookies = Object.keys(cookieParams)
+      .filter((key) => typeof cookieParams[key] !== "undefined")
+      .map((key) => `${key}=${encodeURIComponent(this.serializeHeaderParam(cookieParams[key]))}`);
+
+    if (cookies.length) headers.Cookie = cookies.join("; ");
+
+    return headers;
+  }
+
+  public request = async <T = any, _E = any>({
+    secure,
+    path,
+    type,
+    query,
+    format,
+    body,
+    headerParams,
+    cookieParams,
+    ...params
+  }: FullRequestParams): Promise<AxiosResponse<T>> => {
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const responseFormat = format || this.format || undefined;
+
+    if (type === ContentType.FormData && body && body !== null && typeof body === "object") {
+      body = this.createFormData(body as Record<string, unknown>);
+    }
+
+    return this.instance.request({
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...this.toHeaders(headerParams, cookieParams),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      params: query,
+      paramsSerializer: { serialize: (params: QueryParamsType) => this.serializeQuery(params) },
+      responseType: responseFormat,
+      data: body,
+      url: path,
+    });
+  };
+}
+
+/**
+ * @title Header and cookie params
+ * @version 1.0.0
+ * @baseUrl http://localhost:8080/api/v1
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  orders = {
+    /**
+     * No description
+     *
+     * @name ListOrders
+     * @request GET:/orders
+     */
+    listOrders: (
+      { "X-Tenant-Id": xTenantId, "X-Request-Ids": xRequestIds, session_id: sessionId, ...query }: ListOrdersParams,
+      params: RequestParams = {},
+    ) =>
+      this.request<Order[], any>({
+        path: `/orders`,
+        method: "GET",
+        query: query,
+        headerParams: { "X-Tenant-Id": xTenantId, "X-Request-Ids": xRequestIds },
+        cookieParams: { session_id: sessionId },
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name UpdateOrder
+     * @request PUT:/orders/{orderId}
+     */
+    updateOrder: (
+      { orderId, "X-Tenant-Id": xTenantId, "If-Match": ifMatch }: UpdateOrderParams,
+      data: Order,
+      params: RequestParams = {},
+    ) =>
+      this.request<Order, any>({
+        path: `/orders/${orderId}`,
+        method: "PUT",
+        headerParams: { "X-Tenant-Id": xTenantId, "If-Match": ifMatch },
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name DeleteOrder
+     * @request DELETE:/orders/{orderId}
+     */
+    deleteOrder: ({ orderId, "X-Tenant-Id": xTenantId }: DeleteOrderParams, params: RequestParams = {}) =>
+      this.request<void, any>({
+        path: `/orders/${orderId}`,
+        method: "DELETE",
+        headerParams: { "X-Tenant-Id": xTenantId },
+        ...params,
+      }),
+  };
+}
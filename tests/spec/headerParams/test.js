@@ -0,0 +1,37 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+const variants = [
+  { httpClientType: "fetch", extractRequestParams: false },
+  { httpClientType: "axios", extractRequestParams: true },
+];
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all(
+    variants.map(({ httpClientType, extractRequestParams }) =>
+      generateApiForTest({
+        testName: `header and cookie params (${httpClientType} http client) test`,
+        silent: true,
+        name: apiFileName,
+        input: absolutePath,
+        output: resolve(__dirname, `./${httpClientType}`),
+        httpClientType,
+        extractRequestParams,
+        generateHeaderParams: true,
+      }),
+    ),
+  ).then(() => {
+    variants.forEach(({ httpClientType }) => {
+      validateGeneratedModule(resolve(__dirname, `./${httpClientType}/${apiFileName}`));
+      assertGeneratedModule(
+        resolve(__dirname, `./${httpClientType}/${apiFileName}`),
+        resolve(__dirname, `./${httpClientType}/expected.ts`),
+      );
+    });
+  });
+});
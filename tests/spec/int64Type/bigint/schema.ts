@@ -0,0 +1,463 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+import { z } from "zod";
+
+export interface User {
+  /** @format int64 */
+  id: bigint;
+  name: string;
+  /** @format int32 */
+  age?: number;
+  friendIds?: bigint[];
+  scores?: Record<string, bigint>;
+  /** @format int64 */
+  level?: 1 | 2;
+  team?: Team;
+}
+
+export interface UserInput {
+  name: string;
+  /** @format int64 */
+  teamId?: bigint;
+}
+
+export interface Team {
+  /** @format int64 */
+  id?: bigint | null;
+  title?: string;
+}
+
+/**
+ * Locations of int64 numbers in the data:
+ * "int64" - int64 number, `{ [property]: Int64Fields, $items: Int64Fields, $values: Int64Fields }` - object/array,
+ * `Int64Fields[]` - combination of schemas, `() => Int64Fields` - data contract
+ */
+export type Int64Fields = "int64" | (() => Int64Fields) | Int64Fields[] | { [key: string]: Int64Fields };
+
+/** prefix of int64 numbers which are kept as strings between JSON text and converting them */
+const int64Mark = "\u0000int64:";
+
+const isInt64Mark = (value: unknown): value is string => typeof value === "string" && value.startsWith(int64Mark);
+
+const int64FromDigits = (digits: string): bigint => BigInt(digits);
+
+const getInt64Field = (int64Fields: Int64Fields, key: string): Int64Fields | undefined => {
+  const fields = int64Fields as Record<string, Int64Fields>;
+  if (Object.prototype.hasOwnProperty.call(fields, key)) return fields[key];
+  if (Object.prototype.hasOwnProperty.call(fields, "$values")) return fields.$values;
+  return undefined;
+};
+
+const reviveInt64 = (value: any, int64Fields: Int64Fields): any => {
+  if (value === null || value === undefined) return value;
+  if (typeof int64Fields === "function") return reviveInt64(value, int64Fields());
+  if (Array.isArray(int64Fields)) return int64Fields.reduce((result, fields) => reviveInt64(result, fields), value);
+  if (typeof int64Fields === "string") {
+    if (typeof value === "number" && Number.isInteger(value)) return int64FromDigits(String(value));
+    return isInt64Mark(value) ? int64FromDigits(value.slice(int64Mark.length)) : value;
+  }
+  if (typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    const itemFields = getInt64Field(int64Fields, "$items");
+    return itemFields ? value.map((item) => reviveInt64(item, itemFields)) : value;
+  }
+
+  Object.keys(value).forEach((key) => {
+    const fields = getInt64Field(int64Fields, key);
+    if (fields) value[key] = reviveInt64(value[key], fields);
+  });
+
+  return value;
+};
+
+/** numbers which are not int64 numbers are converted back to `number` */
+const restoreInt64Marks = (value: any): any => {
+  if (isInt64Mark(value)) return Number(value.slice(int64Mark.length));
+  if (value === null || typeof value !== "object") return value;
+
+  Object.keys(value).forEach((key) => {
+    value[key] = restoreInt64Marks(value[key]);
+  });
+
+  return value;
+};
+
+/** Parses JSON text, int64 numbers of the data are converted without loss of precision */
+export const parseInt64Json = (text: string, int64Fields?: Int64Fields): any => {
+  let hasMarks = false;
+  const value = JSON.parse(
+    text.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, (token) => {
+      if (!/^-?\d+$/.test(token) || Number.isSafeInteger(Number(token))) return token;
+      hasMarks = true;
+      return `"\\u0000int64:${token}"`;
+    }),
+  );
+  const result = int64Fields ? reviveInt64(value, int64Fields) : value;
+
+  return hasMarks ? restoreInt64Marks(result) : result;
+};
+
+/** Marks int64 numbers of the value for `stringifyInt64Json` (returns a copy of the value) */
+export const serializeInt64 = (value: any, int64Fields: Int64Fields): any => {
+  if (value === null || value === undefined) return value;
+  if (typeof int64Fields === "function") return serializeInt64(value, int64Fields());
+  if (Array.isArray(int64Fields)) return int64Fields.reduce((result, fields) => serializeInt64(result, fields), value);
+  if (typeof int64Fields === "string") {
+    const isInt64 = typeof value === "bigint" || (typeof value === "string" && /^-?\d+$/.test(value));
+    return isInt64 ? `${int64Mark}${value}` : value;
+  }
+  if (Array.isArray(value)) {
+    const itemFields = getInt64Field(int64Fields, "$items");
+    return itemFields ? value.map((item) => serializeInt64(item, itemFields)) : value;
+  }
+  if (typeof value !== "object" || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  return Object.keys(value).reduce<Record<string, any>>((result, key) => {
+    const fields = getInt64Field(int64Fields, key);
+    result[key] = fields ? serializeInt64(value[key], fields) : value[key];
+    return result;
+  }, {});
+};
+
+/** Converts the value to JSON text, `bigint` values and marked int64 numbers are written as JSON numbers */
+export const stringifyInt64Json = (value: any): string =>
+  JSON.stringify(value, (key, item) => (typeof item === "bigint" ? `${int64Mark}${item}` : item)).replace(
+    /"\\u0000int64:(-?\d+)"/g,
+    "$1",
+  );
+
+export const UserInt64Fields: Int64Fields = {
+  id: "int64",
+  friendIds: { $items: "int64" },
+  scores: { $values: "int64" },
+  team: () => TeamInt64Fields,
+};
+export const UserInputInt64Fields: Int64Fields = { teamId: "int64" };
+export const TeamInt64Fields: Int64Fields = { id: "int64" };
+export const UserSchema: z.ZodType<User> = z.object({
+  id: z.bigint(),
+  name: z.string(),
+  age: z.number().int().optional(),
+  friendIds: z.array(z.bigint()).optional(),
+  scores: z.record(z.string(), z.bigint()).optional(),
+  level: z.union([z.literal(1), z.literal(2)]).optional(),
+  team: z.lazy(() => TeamSchema).optional(),
+});
+export const UserInputSchema: z.ZodType<UserInput> = z.object({ name: z.string(), teamId: z.bigint().optional() });
+export const TeamSchema: z.ZodType<Team> = z.object({
+  id: z.bigint().nullable().optional(),
+  title: z.string().optional(),
+});
+
+export type QueryParamsType = Record<string | number, any>;
+export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
+
+export interface FullRequestParams extends Omit<RequestInit, "body"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseFormat;
+  /** request body */
+  body?: unknown;
+  /** base url */
+  baseUrl?: string;
+  /** request cancellation token */
+  cancelToken?: CancelToken;
+  /** locations of int64 numbers in request and response bodies */
+  int64Fields?: { body?: Int64Fields; response?: Int64Fields };
+  /** schema for validation of response body (zod schema) */
+  responseSchema?: { parse: (data: unknown) => unknown };
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> {
+  baseUrl?: string;
+  baseApiParams?: Omit<RequestParams, "baseUrl" | "cancelToken" | "signal">;
+  securityWorker?: (securityData: SecurityDataType | null) => Promise<RequestParams | void> | RequestParams | void;
+  customFetch?: typeof fetch;
+}
+
+export interface HttpResponse<D extends unknown, E extends unknown = unknown> extends Response {
+  data: D;
+  error: E;
+}
+
+type CancelToken = Symbol | string | number;
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public baseUrl: string = "";
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private abortControllers = new Map<CancelToken, AbortController>();
+  private customFetch = (...fetchParams: Parameters<typeof fetch>) => fetch(...fetchParams);
+
+  private baseApiParams: RequestParams = {
+    credentials: "same-origin",
+    headers: {},
+    redirect: "follow",
+    referrerPolicy: "no-referrer",
+  };
+
+  constructor(apiConfig: ApiConfig<SecurityDataType> = {}) {
+    Object.assign(this, apiConfig);
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected encodeQueryParam(key: string, value: any) {
+    const encodedKey = encodeURIComponent(key);
+    return `${encodedKey}=${encodeURIComponent(typeof value === "number" ? value : `${value}`)}`;
+  }
+
+  protected addQueryParam(query: QueryParamsType, key: string) {
+    return this.encodeQueryParam(key, query[key]);
+  }
+
+  protected addArrayQueryParam(query: QueryParamsType, key: string) {
+    const value = query[key];
+    return value.map((v: any) => this.encodeQueryParam(key, v)).join("&");
+  }
+
+  protected toQueryString(rawQuery?: QueryParamsType): string {
+    const query = rawQuery || {};
+    const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
+    return keys
+      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .join("&");
+  }
+
+  protected addQueryParams(rawQuery?: QueryParamsType): string {
+    const queryString = this.toQueryString(rawQuery);
+    return queryString ? `?${queryString}` : "";
+  }
+
+  private contentFormatters: Record<ContentType, (input: any) => any> = {
+    [ContentType.Json]: (input: any) =>
+      input !== null && (typeof input === "object" || typeof input === "string") ? stringifyInt64Json(input) : input,
+    [ContentType.FormData]: (input: any) =>
+      Object.keys(input || {}).reduce((formData, key) => {
+        const property = input[key];
+        formData.append(
+          key,
+          property instanceof Blob
+            ? property
+            : typeof property === "object" && property !== null
+            ? JSON.stringify(property)
+            : `${property}`,
+        );
+        return formData;
+      }, new FormData()),
+    [ContentType.UrlEncoded]: (input: any) => this.toQueryString(input),
+  };
+
+  protected mergeRequestParams(params1: RequestParams, params2?: RequestParams): RequestParams {
+    return {
+      ...this.baseApiParams,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...(this.baseApiParams.headers || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected createAbortSignal = (cancelToken: CancelToken): AbortSignal | undefined => {
+    if (this.abortControllers.has(cancelToken)) {
+      const abortController = this.abortControllers.get(cancelToken);
+      if (abortController) {
+        return abortController.signal;
+      }
+      return void 0;
+    }
+
+    const abortController = new AbortController();
+    this.abortControllers.set(cancelToken, abortController);
+    return abortController.signal;
+  };
+
+  public abortRequest = (cancelToken: CancelToken) => {
+    const abortController = this.abortControllers.get(cancelToken);
+
+    if (abortController) {
+      abortController.abort();
+      this.abortControllers.delete(cancelToken);
+    }
+  };
+
+  public request = async <T = any, E = any>({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    int64Fields,
+    responseSchema,
+    ...params
+  }: FullRequestParams): Promise<HttpResponse<T, E>> => {
+    if (int64Fields && int64Fields.body) body = serializeInt64(body, int64Fields.body);
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.baseApiParams.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const queryString = query && this.toQueryString(query);
+    const payloadFormatter = this.contentFormatters[type || ContentType.Json];
+    const responseFormat = format || requestParams.format;
+
+    return this.customFetch(`${baseUrl || this.baseUrl || ""}${path}${queryString ? `?${queryString}` : ""}`, {
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      signal: cancelToken ? this.createAbortSignal(cancelToken) : requestParams.signal,
+      body: typeof body === "undefined" || body === null ? null : payloadFormatter(body),
+    }).then(async (response) => {
+      const r = response as HttpResponse<T, E>;
+      r.data = null as unknown as T;
+      r.error = null as unknown as E;
+
+      // JSON text is parsed by `parseInt64Json`, `response.json()` loses precision of int64 numbers
+      const data = !responseFormat
+        ? r
+        : await (responseFormat === "json"
+            ? response
+                .text()
+                .then((text) => parseInt64Json(text, r.ok && int64Fields ? int64Fields.response : undefined))
+            : response[responseFormat]()
+          )
+            .then((data) => {
+              if (r.ok) {
+                r.data = data;
+              } else {
+                r.error = data;
+              }
+              return r;
+            })
+            .catch((e) => {
+              r.error = e;
+              return r;
+            });
+
+      if (cancelToken) {
+        this.abortControllers.delete(cancelToken);
+      }
+
+      if (response.ok && responseSchema) responseSchema.parse(data.data);
+
+      if (!response.ok) throw data;
+      return data;
+    });
+  };
+}
+
+/**
+ * @title int64 type
+ * @version 1.0.0
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  users = {
+    /**
+     * No description
+     *
+     * @name GetUsers
+     * @request GET:/users
+     */
+    getUsers: (
+      query?: {
+        /** @format int64 */
+        afterId?: bigint;
+      },
+      params: RequestParams = {},
+    ) =>
+      this.request<User[], any>({
+        path: `/users`,
+        method: "GET",
+        query: query,
+        format: "json",
+        int64Fields: { response: { $items: () => UserInt64Fields } },
+        responseSchema: z.array(z.lazy(() => UserSchema)),
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreateUser
+     * @request POST:/users
+     */
+    createUser: (data: UserInput, params: RequestParams = {}) =>
+      this.request<User, any>({
+        path: `/users`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        int64Fields: { body: () => UserInputInt64Fields, response: () => UserInt64Fields },
+        responseSchema: z.lazy(() => UserSchema),
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetUser
+     * @request GET:/users/{id}
+     */
+    getUser: (id: bigint, params: RequestParams = {}) =>
+      this.request<User, any>({
+        path: `/users/${id}`,
+        method: "GET",
+        format: "json",
+        int64Fields: { response: () => UserInt64Fields },
+        responseSchema: z.lazy(() => UserSchema),
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetUserBalance
+     * @request GET:/users/{id}/balance
+     */
+    getUserBalance: (id: bigint, params: RequestParams = {}) =>
+      this.request<bigint, any>({
+        path: `/users/${id}/balance`,
+        method: "GET",
+        format: "json",
+        int64Fields: { response: "int64" },
+        responseSchema: z.bigint(),
+        ...params,
+      }),
+  };
+}
@@ -0,0 +1,421 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export type Int64 = string & { __brand: "int64" };
+/** Creates `Int64` from the value (the value is not checked) */
+export const toInt64 = (value: string): Int64 => value as Int64;
+/** Checks that the value is `Int64` */
+export const isInt64 = (value: unknown): value is Int64 => typeof value === "string" && /^-?\d+$/i.test(value);
+
+export interface User {
+  /** @format int64 */
+  id: Int64;
+  name: string;
+  /** @format int32 */
+  age?: number;
+  friendIds?: Int64[];
+  scores?: Record<string, Int64>;
+  /** @format int64 */
+  level?: 1 | 2;
+  team?: Team;
+}
+
+export interface UserInput {
+  name: string;
+  /** @format int64 */
+  teamId?: Int64;
+}
+
+export interface Team {
+  /** @format int64 */
+  id?: Int64 | null;
+  title?: string;
+}
+
+/**
+ * Locations of int64 numbers in the data:
+ * "int64" - int64 number, `{ [property]: Int64Fields, $items: Int64Fields, $values: Int64Fields }` - object/array,
+ * `Int64Fields[]` - combination of schemas, `() => Int64Fields` - data contract
+ */
+export type Int64Fields = "int64" | (() => Int64Fields) | Int64Fields[] | { [key: string]: Int64Fields };
+
+/** prefix of int64 numbers which are kept as strings between JSON text and converting them */
+const int64Mark = "\u0000int64:";
+
+const isInt64Mark = (value: unknown): value is string => typeof value === "string" && value.startsWith(int64Mark);
+
+const int64FromDigits = (digits: string): string => digits;
+
+const getInt64Field = (int64Fields: Int64Fields, key: string): Int64Fields | undefined => {
+  const fields = int64Fields as Record<string, Int64Fields>;
+  if (Object.prototype.hasOwnProperty.call(fields, key)) return fields[key];
+  if (Object.prototype.hasOwnProperty.call(fields, "$values")) return fields.$values;
+  return undefined;
+};
+
+const reviveInt64 = (value: any, int64Fields: Int64Fields): any => {
+  if (value === null || value === undefined) return value;
+  if (typeof int64Fields === "function") return reviveInt64(value, int64Fields());
+  if (Array.isArray(int64Fields)) return int64Fields.reduce((result, fields) => reviveInt64(result, fields), value);
+  if (typeof int64Fields === "string") {
+    if (typeof value === "number" && Number.isInteger(value)) return int64FromDigits(String(value));
+    return isInt64Mark(value) ? int64FromDigits(value.slice(int64Mark.length)) : value;
+  }
+  if (typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    const itemFields = getInt64Field(int64Fields, "$items");
+    return itemFields ? value.map((item) => reviveInt64(item, itemFields)) : value;
+  }
+
+  Object.keys(value).forEach((key) => {
+    const fields = getInt64Field(int64Fields, key);
+    if (fields) value[key] = reviveInt64(value[key], fields);
+  });
+
+  return value;
+};
+
+/** numbers which are not int64 numbers are converted back to `number` */
+const restoreInt64Marks = (value: any): any => {
+  if (isInt64Mark(value)) return Number(value.slice(int64Mark.length));
+  if (value === null || typeof value !== "object") return value;
+
+  Object.keys(value).forEach((key) => {
+    value[key] = restoreInt64Marks(value[key]);
+  });
+
+  return value;
+};
+
+/** Parses JSON text, int64 numbers of the data are converted without loss of precision */
+export const parseInt64Json = (text: string, int64Fields?: Int64Fields): any => {
+  let hasMarks = false;
+  const value = JSON.parse(
+    text.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, (token) => {
+      if (!/^-?\d+$/.test(token) || Number.isSafeInteger(Number(token))) return token;
+      hasMarks = true;
+      return `"\\u0000int64:${token}"`;
+    }),
+  );
+  const result = int64Fields ? reviveInt64(value, int64Fields) : value;
+
+  return hasMarks ? restoreInt64Marks(result) : result;
+};
+
+/** Marks int64 numbers of the value for `stringifyInt64Json` (returns a copy of the value) */
+export const serializeInt64 = (value: any, int64Fields: Int64Fields): any => {
+  if (value === null || value === undefined) return value;
+  if (typeof int64Fields === "function") return serializeInt64(value, int64Fields());
+  if (Array.isArray(int64Fields)) return int64Fields.reduce((result, fields) => serializeInt64(result, fields), value);
+  if (typeof int64Fields === "string") {
+    const isInt64 = typeof value === "bigint" || (typeof value === "string" && /^-?\d+$/.test(value));
+    return isInt64 ? `${int64Mark}${value}` : value;
+  }
+  if (Array.isArray(value)) {
+    const itemFields = getInt64Field(int64Fields, "$items");
+    return itemFields ? value.map((item) => serializeInt64(item, itemFields)) : value;
+  }
+  if (typeof value !== "object" || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  return Object.keys(value).reduce<Record<string, any>>((result, key) => {
+    const fields = getInt64Field(int64Fields, key);
+    result[key] = fields ? serializeInt64(value[key], fields) : value[key];
+    return result;
+  }, {});
+};
+
+/** Converts the value to JSON text, `bigint` values and marked int64 numbers are written as JSON numbers */
+export const stringifyInt64Json = (value: any): string =>
+  JSON.stringify(value, (key, item) => (typeof item === "bigint" ? `${int64Mark}${item}` : item)).replace(
+    /"\\u0000int64:(-?\d+)"/g,
+    "$1",
+  );
+
+export const UserInt64Fields: Int64Fields = {
+  id: "int64",
+  friendIds: { $items: "int64" },
+  scores: { $values: "int64" },
+  team: () => TeamInt64Fields,
+};
+export const UserInputInt64Fields: Int64Fields = { teamId: "int64" };
+export const TeamInt64Fields: Int64Fields = { id: "int64" };
+
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, HeadersDefaults, ResponseType } from "axios";
+
+export type QueryParamsType = Record<string | number, any>;
+
+/** OpenAPI serialization of query and path params */
+export interface ParamStyle {
+  style: "form" | "spaceDelimited" | "pipeDelimited" | "tabDelimited" | "deepObject" | "simple" | "label" | "matrix";
+  explode: boolean;
+}
+
+export interface FullRequestParams extends Omit<AxiosRequestConfig, "data" | "params" | "url" | "responseType"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseType;
+  /** request body */
+  body?: unknown;
+  /** locations of int64 numbers in request and response bodies */
+  int64Fields?: { body?: Int64Fields; response?: Int64Fields };
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> extends Omit<AxiosRequestConfig, "data" | "cancelToken"> {
+  securityWorker?: (
+    securityData: SecurityDataType | null,
+  ) => Promise<AxiosRequestConfig | void> | AxiosRequestConfig | void;
+  secure?: boolean;
+  format?: ResponseType;
+}
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public instance: AxiosInstance;
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private secure?: boolean;
+  private format?: ResponseType;
+
+  constructor({ securityWorker, secure, format, ...axiosConfig }: ApiConfig<SecurityDataType> = {}) {
+    this.instance = axios.create({ ...axiosConfig, baseURL: axiosConfig.baseURL || "" });
+    this.secure = secure;
+    this.format = format;
+    this.securityWorker = securityWorker;
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected mergeRequestParams(params1: AxiosRequestConfig, params2?: AxiosRequestConfig): AxiosRequestConfig {
+    const method = params1.method || (params2 && params2.method);
+
+    return {
+      ...this.instance.defaults,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...((method && this.instance.defaults.headers[method.toLowerCase() as keyof HeadersDefaults]) || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected stringifyFormItem(formItem: unknown) {
+    if (typeof formItem === "object" && formItem !== null) {
+      return JSON.stringify(formItem);
+    } else {
+      return `${formItem}`;
+    }
+  }
+
+  protected createFormData(input: Record<string, unknown>): FormData {
+    return Object.keys(input || {}).reduce((formData, key) => {
+      const property = input[key];
+      const propertyContent: any[] = property instanceof Array ? property : [property];
+
+      for (const formItem of propertyContent) {
+        const isFileType = formItem instanceof Blob || formItem instanceof File;
+        formData.append(key, isFileType ? formItem : this.stringifyFormItem(formItem));
+      }
+
+      return formData;
+    }, new FormData());
+  }
+
+  /** serializes query param using OpenAPI `style` and `explode` */
+  protected serializeQueryParam(key: string, value: any, { style, explode }: ParamStyle): string {
+    const encode = (item: any) => encodeURIComponent(typeof item === "number" ? item : `${item}`);
+    const encodedKey = encode(key);
+    const delimiter =
+      ({ spaceDelimited: "%20", pipeDelimited: "|", tabDelimited: "%09" } as Record<string, string>)[style] || ",";
+
+    if (Array.isArray(value)) {
+      return explode
+        ? value.map((item) => `${encodedKey}=${encode(item)}`).join("&")
+        : `${encodedKey}=${value.map(encode).join(delimiter)}`;
+    }
+    if (value !== null && typeof value === "object") {
+      const keys = Object.keys(value).filter((objectKey) => typeof value[objectKey] !== "undefined");
+
+      if (style === "deepObject") {
+        return keys.map((objectKey) => `${encodedKey}[${encode(objectKey)}]=${encode(value[objectKey])}`).join("&");
+      }
+      return explode
+        ? keys.map((objectKey) => `${encode(objectKey)}=${encode(value[objectKey])}`).join("&")
+        : `${encodedKey}=${keys
+            .map((objectKey) => `${encode(objectKey)}${delimiter}${encode(value[objectKey])}`)
+            .join(delimiter)}`;
+    }
+
+    return `${encodedKey}=${encode(value)}`;
+  }
+
+  /** serializes query like axios (`null` values are skipped, dates are ISO strings), but arrays are `key=a&key=b` by default */
+  protected serializeQuery(query: QueryParamsType, queryStyles?: Record<string, ParamStyle>): string {
+    return Object.keys(query)
+      .filter((key) => query[key] !== null && typeof query[key] !== "undefined")
+      .map((key) => {
+        const value = query[key] instanceof Date ? query[key].toISOString() : query[key];
+        return this.serializeQueryParam(
+          key,
+          value,
+          (queryStyles && queryStyles[key]) || { style: "form", explode: true },
+        );
+      })
+      .join("&");
+  }
+
+  public request = async <T = any, _E = any>({
+    secure,
+    path,
+    type,
+    query,
+    format,
+    body,
+    int64Fields,
+    ...params
+  }: FullRequestParams): Promise<AxiosResponse<T>> => {
+    if (int64Fields && int64Fields.body) body = serializeInt64(body, int64Fields.body);
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const responseFormat = format || this.format || undefined;
+
+    if (type === ContentType.FormData && body && body !== null && typeof body === "object") {
+      body = this.createFormData(body as Record<string, unknown>);
+    }
+
+    if (type === ContentType.Json && body !== null && typeof body === "object") {
+      body = stringifyInt64Json(body);
+    }
+
+    return this.instance.request({
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      params: query,
+      paramsSerializer: { serialize: (params: QueryParamsType) => this.serializeQuery(params) },
+      responseType: responseFormat,
+      data: body,
+      url: path,
+      // JSON text is parsed by `parseInt64Json`, default response transformer loses precision of int64 numbers
+      transformResponse:
+        responseFormat === "json" || !responseFormat
+          ? (data: unknown) => {
+              if (typeof data !== "string" || !data) return data;
+              try {
+                return parseInt64Json(data, int64Fields && int64Fields.response);
+              } catch (e) {
+                return data;
+              }
+            }
+          : requestParams.transformResponse,
+    });
+  };
+}
+
+/**
+ * @title int64 type
+ * @version 1.0.0
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  users = {
+    /**
+     * No description
+     *
+     * @name GetUsers
+     * @request GET:/users
+     */
+    getUsers: (
+      query?: {
+        /** @format int64 */
+        afterId?: Int64;
+      },
+      params: RequestParams = {},
+    ) =>
+      this.request<User[], any>({
+        path: `/users`,
+        method: "GET",
+        query: query,
+        format: "json",
+        int64Fields: { response: { $items: () => UserInt64Fields } },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreateUser
+     * @request POST:/users
+     */
+    createUser: (data: UserInput, params: RequestParams = {}) =>
+      this.request<User, any>({
+        path: `/users`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        int64Fields: { body: () => UserInputInt64Fields, response: () => UserInt64Fields },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetUser
+     * @request GET:/users/{id}
+     */
+    getUser: (id: Int64, params: RequestParams = {}) =>
+      this.request<User, any>({
+        path: `/users/${id}`,
+        method: "GET",
+        format: "json",
+        int64Fields: { response: () => UserInt64Fields },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetUserBalance
+     * @request GET:/users/{id}/balance
+     */
+    getUserBalance: (id: Int64, params: RequestParams = {}) =>
+      this.request<Int64, any>({
+        path: `/users/${id}/balance`,
+        method: "GET",
+        format: "json",
+        int64Fields: { response: "int64" },
+        ...params,
+      }),
+  };
+}
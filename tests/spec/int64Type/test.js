@@ -0,0 +1,39 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const ts = require("typescript");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+const variants = [
+  // `BigInt()` is available since ES2020
+  { int64Type: "bigint", httpClientType: "fetch", validateResponses: true, target: ts.ScriptTarget.ES2020 },
+  { int64Type: "string", httpClientType: "axios", validateResponses: false },
+];
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all(
+    variants.map(({ int64Type, httpClientType, validateResponses }) =>
+      generateApiForTest({
+        testName: `--int64-type ${int64Type} option test`,
+        silent: true,
+        name: apiFileName,
+        input: absolutePath,
+        output: resolve(__dirname, `./${int64Type}`),
+        int64Type,
+        httpClientType,
+        validateResponses,
+      }),
+    ),
+  ).then(() => {
+    variants.forEach(({ int64Type, target }) => {
+      validateGeneratedModule(resolve(__dirname, `./${int64Type}/${apiFileName}`), target && { target });
+      assertGeneratedModule(
+        resolve(__dirname, `./${int64Type}/${apiFileName}`),
+        resolve(__dirname, `./${int64Type}/expected.ts`),
+      );
+    });
+  });
+});
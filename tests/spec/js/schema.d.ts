@@ -985,7 +985,7 @@ export interface OrgTeamsPost {
   repo_names?: string[];
 }
 /** A GitHub organization */
-export declare type Organization = Actor;
+export interface Organization extends Actor {}
 export interface OrganizationAsTeamMember {
   errors?: {
     code?: string;
@@ -1759,7 +1759,7 @@ export interface Trees {
   url?: string;
 }
 /** A GitHub user */
-export declare type User = Actor;
+export interface User extends Actor {}
 export declare type UserEmails = string[];
 export interface UserKeysKeyId {
   id?: number;
@@ -985,7 +985,7 @@ export interface OrgTeamsPost {
   repo_names?: string[];
 }
 /** A GitHub organization */
-export declare type Organization = Actor;
+export interface Organization extends Actor {}
 export interface OrganizationAsTeamMember {
   errors?: {
     code?: string;
@@ -1759,7 +1759,7 @@ export interface Trees {
   url?: string;
 }
 /** A GitHub user */
-export declare type User = Actor;
+export interface User extends Actor {}
 export declare type UserEmails = string[];
 export interface UserKeysKeyId {
   id?: number;
@@ -1783,6 +1783,11 @@ export interface UserUpdate {
 export declare type Users = User[];
 import { AxiosInstance, AxiosRequestConfig, AxiosResponse, ResponseType } from "axios";
 export declare type QueryParamsType = Record<string | number, any>;
+/** OpenAPI serialization of query and path params */
+export interface ParamStyle {
+  style: "form" | "spaceDelimited" | "pipeDelimited" | "tabDelimited" | "deepObject" | "simple" | "label" | "matrix";
+  explode: boolean;
+}
 export interface FullRequestParams extends Omit<AxiosRequestConfig, "data" | "params" | "url" | "responseType"> {
   /** set parameter to `true` for call `securityWorker` for this request */
   secure?: boolean;
@@ -1821,6 +1826,10 @@ export declare class HttpClient<SecurityDataType = unknown> {
   protected mergeRequestParams(params1: AxiosRequestConfig, params2?: AxiosRequestConfig): AxiosRequestConfig;
   protected stringifyFormItem(formItem: unknown): string;
   protected createFormData(input: Record<string, unknown>): FormData;
+  /** serializes query param using OpenAPI `style` and `explode` */
+  protected serializeQueryParam(key: string, value: any, { style, explode }: ParamStyle): string;
+  /** serializes query like axios (`null` values are skipped, dates are ISO strings), but arrays are `key=a&key=b` by default */
+  protected serializeQuery(query: QueryParamsType, queryStyles?: Record<string, ParamStyle>): string;
   request: <T = any, _E = any>({
     secure,
     path,
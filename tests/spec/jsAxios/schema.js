@@ -62,6 +62,43 @@ export class HttpClient {
       return formData;
     }, new FormData());
   }
+  /** serializes query param using OpenAPI `style` and `explode` */
+  serializeQueryParam(key, value, { style, explode }) {
+    const encode = (item) => encodeURIComponent(typeof item === "number" ? item : `${item}`);
+    const encodedKey = encode(key);
+    const delimiter = { spaceDelimited: "%20", pipeDelimited: "|", tabDelimited: "%09" }[style] || ",";
+    if (Array.isArray(value)) {
+      return explode
+        ? value.map((item) => `${encodedKey}=${encode(item)}`).join("&")
+        : `${encodedKey}=${value.map(encode).join(delimiter)}`;
+    }
+    if (value !== null && typeof value === "object") {
+      const keys = Object.keys(value).filter((objectKey) => typeof value[objectKey] !== "undefined");
+      if (style === "deepObject") {
+        return keys.map((objectKey) => `${encodedKey}[${encode(objectKey)}]=${encode(value[objectKey])}`).join("&");
+      }
+      return explode
+        ? keys.map((objectKey) => `${encode(objectKey)}=${encode(value[objectKey])}`).join("&")
+        : `${encodedKey}=${keys
+            .map((objectKey) => `${encode(objectKey)}${delimiter}${encode(value[objectKey])}`)
+            .join(delimiter)}`;
+    }
+    return `${encodedKey}=${encode(value)}`;
+  }
+  /** serializes query like axios (`null` values are skipped, dates are ISO strings), but arrays are `key=a&key=b` by default */
+  serializeQuery(query, queryStyles) {
+    return Object.keys(query)
+      .filter((key) => query[key] !== null && typeof query[key] !== "undefined")
+      .map((key) => {
+        const value = query[key] instanceof Date ? query[key].toISOString() : query[key];
+        return this.serializeQueryParam(
+          key,
+          value,
+          (queryStyles && queryStyles[key]) || { style: "form", explode: true },
+        );
+      })
+      .join("&");
+  }
   request = async ({ secure, path, type, query, format, body, ...params }) => {
     const secureParams =
       ((typeof secure === "boolean" ? secure : this.secure) &&
@@ -80,6 +117,7 @@ export class HttpClient {
         ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
       },
       params: query,
+      paramsSerializer: { serialize: (params) => this.serializeQuery(params) },
       responseType: responseFormat,
       data: body,
       url: path,
@@ -0,0 +1,20 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+
+generateApiForTest({
+  testName: "multiple inputs test",
+  silent: true,
+  name: "schema.ts",
+  inputs: [
+    { input: resolve(__dirname, "./services/users.yaml"), namespace: "users" },
+    { input: resolve(__dirname, "./services/billing.json"), namespace: "billing" },
+    { input: resolve(__dirname, "./services/catalog.yaml"), namespace: "catalog", typePrefix: "Catalog" },
+    { input: resolve(__dirname, "./services/inventory.yaml"), namespace: "inventory" },
+  ],
+  output: resolve(__dirname, "./"),
+}).then(() => {
+  validateGeneratedModule(resolve(__dirname, `./schema.ts`));
+  assertGeneratedModule(resolve(__dirname, `./schema.ts`), resolve(__dirname, `./expected.ts`));
+});
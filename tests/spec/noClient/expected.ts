@@ -1055,7 +1055,7 @@ export interface OrgTeamsPost {
 }
 
 /** A GitHub organization */
-export type Organization = Actor;
+export interface Organization extends Actor {}
 
 export interface OrganizationAsTeamMember {
   errors?: {
@@ -1879,7 +1879,7 @@ export interface Trees {
 }
 
 /** A GitHub user */
-export type User = Actor;
+export interface User extends Actor {}
 
 export type UserEmails = string[];
 
@@ -0,0 +1,40 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export type Status = "active" | "pending" | "deleted";
+
+export type NotNull = NonNullable<unknown>;
+
+export type NonNullableName = string;
+
+export type VisibleStatus = Exclude<Status, "deleted">;
+
+export type StatusWithoutPending = Exclude<"active" | "pending" | "deleted", "pending">;
+
+export type NotString = Exclude<string | number | boolean, string>;
+
+/**
+ * any name except reserved ones
+ * @not {"pattern":"^_"} (not expressed in type)
+ */
+export type NotReserved = string;
+
+/** @not {"type":"object"} (not expressed in type) */
+export type Anything = any;
+
+export interface Item {
+  id: NonNullable<unknown>;
+  /** @not {"pattern":"^tmp"} (not expressed in type) */
+  code?: string;
+  status?: Exclude<Status, DeletedStatus>;
+}
+
+export type DeletedStatus = "deleted";
@@ -41,12 +41,12 @@ export type Test1 = {
 
 export interface AdditionalObjectProperties {
   id?: string;
-  [key: string]: any;
+  [key: string]: object | string | undefined;
 }
 
 export interface AdditionalIntProperties {
   id?: string;
-  [key: string]: any;
+  [key: string]: number | string | undefined;
 }
 
 export interface ABCOptional {
@@ -58,10 +58,10 @@ export interface ABCOptional {
   c?: number;
 }
 
-export type ABCOptionalWithRequiredId = UtilRequiredKeys<ABCOptional, "b"> & {
+export interface ABCOptionalWithRequiredId extends UtilRequiredKeys<ABCOptional, "b"> {
   /** id */
   id: number;
-};
+}
 
 export type NestedObjectWithRequiredId = {
   /** id */
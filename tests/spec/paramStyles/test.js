@@ -0,0 +1,32 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+const httpClientTypes = ["fetch", "axios"];
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all(
+    httpClientTypes.map((httpClientType) =>
+      generateApiForTest({
+        testName: `param styles (${httpClientType} http client) test`,
+        silent: true,
+        name: apiFileName,
+        input: absolutePath,
+        output: resolve(__dirname, `./${httpClientType}`),
+        httpClientType,
+      }),
+    ),
+  ).then(() => {
+    httpClientTypes.forEach((httpClientType) => {
+      validateGeneratedModule(resolve(__dirname, `./${httpClientType}/${apiFileName}`));
+      assertGeneratedModule(
+        resolve(__dirname, `./${httpClientType}/${apiFileName}`),
+        resolve(__dirname, `./${httpClientType}/expected.ts`),
+      );
+    });
+  });
+});
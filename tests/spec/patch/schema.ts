@@ -971,7 +971,7 @@ export interface OrgTeamsPost {
   repo_names?: string[];
 }
 
-export type Organization = Actor;
+export interface Organization extends Actor {}
 
 export interface OrganizationAsTeamMember {
   errors?: {
@@ -1738,7 +1738,7 @@ export interface Trees {
   url?: string;
 }
 
-export type User = Actor;
+export interface User extends Actor {}
 
 export type UserEmails = string[];
 
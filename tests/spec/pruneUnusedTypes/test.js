@@ -0,0 +1,39 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  generateApiForTest({
+    testName: "prune unused types test",
+    silent: true,
+    name: apiFileName,
+    input: absolutePath,
+    output: resolve(__dirname, "./"),
+    extractRequestBody: true,
+    excludePaths: ["/orders"],
+    pruneUnusedTypes: true,
+  }).then(() => {
+    validateGeneratedModule(resolve(__dirname, `./${apiFileName}`));
+    assertGeneratedModule(resolve(__dirname, `./${apiFileName}`), resolve(__dirname, `./expected.ts`));
+  });
+});
+
+// route types which are found by content of responses, not by `$ref` (`loginUser` returns `Currency`)
+generateApiForTest({
+  testName: "prune unused types (types of routes without $ref) test",
+  silent: true,
+  name: "schema.ts",
+  input: resolve(__dirname, "../../schemas/v2.0/another-example.json"),
+  output: resolve(__dirname, "./anotherExample"),
+  pruneUnusedTypes: true,
+}).then(() => {
+  validateGeneratedModule(resolve(__dirname, "./anotherExample/schema.ts"));
+  assertGeneratedModule(
+    resolve(__dirname, "./anotherExample/schema.ts"),
+    resolve(__dirname, "./anotherExample/expected.ts"),
+  );
+});
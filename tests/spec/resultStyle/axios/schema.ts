@@ -0,0 +1,393 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Pet {
+  id: number;
+  name: string;
+}
+
+export interface Conflict {
+  existingId: number;
+}
+
+export interface NotFound {
+  message: string;
+}
+
+export interface Error {
+  code: number;
+  message?: string;
+}
+
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, HeadersDefaults, ResponseType } from "axios";
+
+export type QueryParamsType = Record<string | number, any>;
+
+/** types of response headers, `key` is property of `typedHeaders` (`{ xTotalCount: { name: "X-Total-Count", type: "number" } }`) */
+export type ResponseHeaderTypes = Record<
+  string,
+  { name: string; type: "string" | "number" | "boolean" | "string[]" | "number[]" | "boolean[]" }
+>;
+
+export interface FullRequestParams extends Omit<AxiosRequestConfig, "data" | "params" | "url" | "responseType"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** types of response headers, parsed headers are in `typedHeaders` of the response */
+  responseHeaderTypes?: ResponseHeaderTypes;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseType;
+  /** request body */
+  body?: unknown;
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> extends Omit<AxiosRequestConfig, "data" | "cancelToken"> {
+  securityWorker?: (
+    securityData: SecurityDataType | null,
+  ) => Promise<AxiosRequestConfig | void> | AxiosRequestConfig | void;
+  secure?: boolean;
+  format?: ResponseType;
+}
+
+/** HTTP status codes, statuses of `2XX`-like and `default` responses in route results */
+export type HttpStatus =
+  | 100
+  | 101
+  | 102
+  | 103
+  | 200
+  | 201
+  | 202
+  | 203
+  | 204
+  | 205
+  | 206
+  | 207
+  | 208
+  | 226
+  | 300
+  | 301
+  | 302
+  | 303
+  | 304
+  | 305
+  | 307
+  | 308
+  | 400
+  | 401
+  | 402
+  | 403
+  | 404
+  | 405
+  | 406
+  | 407
+  | 408
+  | 409
+  | 410
+  | 411
+  | 412
+  | 413
+  | 414
+  | 415
+  | 416
+  | 417
+  | 418
+  | 421
+  | 422
+  | 423
+  | 424
+  | 425
+  | 426
+  | 428
+  | 429
+  | 431
+  | 451
+  | 500
+  | 501
+  | 502
+  | 503
+  | 504
+  | 505
+  | 506
+  | 507
+  | 508
+  | 510
+  | 511;
+
+/** `HttpStatusRange<"2">` - 2xx statuses */
+export type HttpStatusRange<Range extends "1" | "2" | "3" | "4" | "5"> = {
+  [Status in HttpStatus]: `${Status}` extends `${Range}${string}` ? Status : never;
+}[HttpStatus];
+
+/** response headers, names are in lower case */
+export type ResponseHeaders = Record<string, string | undefined>;
+
+/** result of the route discriminated by status, responses with 2xx statuses have `data`, other responses have `error` */
+export interface StatusResult {
+  status: number;
+  data?: unknown;
+  error?: unknown;
+  headers: ResponseHeaders;
+  /** parsed response headers (`responseHeaderTypes`) */
+  typedHeaders?: unknown;
+}
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public instance: AxiosInstance;
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private secure?: boolean;
+  private format?: ResponseType;
+
+  constructor({ securityWorker, secure, format, ...axiosConfig }: ApiConfig<SecurityDataType> = {}) {
+    this.instance = axios.create({ ...axiosConfig, baseURL: axiosConfig.baseURL || "http://localhost:8080/api/v1" });
+    this.secure = secure;
+    this.format = format;
+    this.securityWorker = securityWorker;
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected mergeRequestParams(params1: AxiosRequestConfig, params2?: AxiosRequestConfig): AxiosRequestConfig {
+    const method = params1.method || (params2 && params2.method);
+
+    return {
+      ...this.instance.defaults,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...((method && this.instance.defaults.headers[method.toLowerCase() as keyof HeadersDefaults]) || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected stringifyFormItem(formItem: unknown) {
+    if (typeof formItem === "object" && formItem !== null) {
+      return JSON.stringify(formItem);
+    } else {
+      return `${formItem}`;
+    }
+  }
+
+  protected createFormData(input: Record<string, unknown>): FormData {
+    return Object.keys(input || {}).reduce((formData, key) => {
+      const property = input[key];
+      const propertyContent: any[] = property instanceof Array ? property : [property];
+
+      for (const formItem of propertyContent) {
+        const isFileType = formItem instanceof Blob || formItem instanceof File;
+        formData.append(key, isFileType ? formItem : this.stringifyFormItem(formItem));
+      }
+
+      return formData;
+    }, new FormData());
+  }
+
+  /** parses values of response headers (`{ xTotalCount: { name: "X-Total-Count", type: "number" } }` -> `{ xTotalCount: 10 }`) */
+  protected parseResponseHeaders(
+    getHeader: (name: string) => unknown,
+    headerTypes: ResponseHeaderTypes = {},
+  ): Record<string, unknown> {
+    const parseValue = (value: string, type: string) =>
+      type.startsWith("number") ? Number(value) : type.startsWith("boolean") ? value === "true" : value;
+
+    return Object.keys(headerTypes).reduce((typedHeaders, key) => {
+      const { name, type } = headerTypes[key];
+      const rawValue = getHeader(name);
+
+      if (rawValue === null || typeof rawValue === "undefined") return typedHeaders;
+
+      const value = Array.isArray(rawValue) ? rawValue.join(", ") : `${rawValue}`;
+      typedHeaders[key] = type.endsWith("[]")
+        ? value.split(",").map((item) => parseValue(item.trim(), type))
+        : parseValue(value, type);
+
+      return typedHeaders;
+    }, {} as Record<string, unknown>);
+  }
+
+  protected toStatusResult(response: AxiosResponse & { typedHeaders: unknown }): StatusResult {
+    const headers: ResponseHeaders = {};
+    Object.keys(response.headers || {}).forEach((key) => {
+      const value = response.headers[key];
+      if (value !== null && typeof value !== "undefined") {
+        headers[key.toLowerCase()] = Array.isArray(value) ? value.join(", ") : `${value}`;
+      }
+    });
+
+    const { typedHeaders } = response;
+
+    return response.status >= 200 && response.status < 300
+      ? { status: response.status, data: response.data, headers, typedHeaders }
+      : { status: response.status, error: response.data, headers, typedHeaders };
+  }
+
+  public request = async <R extends StatusResult = StatusResult>({
+    secure,
+    path,
+    type,
+    query,
+    format,
+    body,
+    responseHeaderTypes,
+    ...params
+  }: FullRequestParams): Promise<R> => {
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const responseFormat = format || this.format || undefined;
+
+    if (type === ContentType.FormData && body && body !== null && typeof body === "object") {
+      body = this.createFormData(body as Record<string, unknown>);
+    }
+
+    return this.instance
+      .request({
+        ...requestParams,
+        headers: {
+          ...(requestParams.headers || {}),
+          ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+        },
+        params: query,
+        responseType: responseFormat,
+        data: body,
+        url: path,
+        // error statuses are resolved as results
+        validateStatus: () => true,
+      })
+      .then((response) => {
+        const typedHeaders = this.parseResponseHeaders(
+          (name) => response.headers[name.toLowerCase()],
+          responseHeaderTypes,
+        );
+        return Object.assign(response, { typedHeaders });
+      })
+      .then((response) => this.toStatusResult(response) as R);
+  };
+}
+
+/**
+ * @title Status-discriminated results
+ * @version 1.0.0
+ * @baseUrl http://localhost:8080/api/v1
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  pets = {
+    /**
+     * No description
+     *
+     * @name ListPets
+     * @request GET:/pets
+     */
+    listPets: (params: RequestParams = {}) =>
+      this.request<
+        | {
+            status: 200;
+            data: Pet[];
+            headers: {
+              "x-total-count": string;
+              "x-rate-limit"?: string;
+              [key: string]: string | undefined;
+            };
+            typedHeaders: {
+              xTotalCount: number;
+              /** requests left */
+              xRateLimit?: number;
+            };
+          }
+        | { status: Exclude<HttpStatusRange<"2">, 200>; data: Error; headers: ResponseHeaders }
+        | { status: Exclude<HttpStatus, HttpStatusRange<"2">>; error: Error; headers: ResponseHeaders }
+      >({
+        path: `/pets`,
+        method: "GET",
+        format: "json",
+        responseHeaderTypes: {
+          xTotalCount: { name: "X-Total-Count", type: "number" },
+          xRateLimit: { name: "X-Rate-Limit", type: "number" },
+        },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreatePet
+     * @request POST:/pets
+     */
+    createPet: (data: Pet, params: RequestParams = {}) =>
+      this.request<
+        | { status: 201; data: Pet; headers: ResponseHeaders }
+        | { status: 204; data: void; headers: ResponseHeaders }
+        | { status: 409; error: Conflict; headers: ResponseHeaders }
+      >({
+        path: `/pets`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetPet
+     * @request GET:/pets/{petId}
+     */
+    getPet: (petId: number, params: RequestParams = {}) =>
+      this.request<
+        | { status: 404; error: NotFound; headers: ResponseHeaders }
+        | { status: HttpStatusRange<"2">; data: Pet; headers: ResponseHeaders }
+        | { status: Exclude<HttpStatusRange<"4">, 404>; error: Error; headers: ResponseHeaders }
+      >({
+        path: `/pets/${petId}`,
+        method: "GET",
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name DeletePet
+     * @request DELETE:/pets/{petId}
+     */
+    deletePet: (petId: number, params: RequestParams = {}) =>
+      this.request<
+        | { status: HttpStatusRange<"2">; data: any; headers: ResponseHeaders }
+        | { status: Exclude<HttpStatus, HttpStatusRange<"2">>; error: any; headers: ResponseHeaders }
+      >({
+        path: `/pets/${petId}`,
+        method: "DELETE",
+        ...params,
+      }),
+  };
+}
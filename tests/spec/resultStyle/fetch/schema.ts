@@ -0,0 +1,468 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Pet {
+  id: number;
+  name: string;
+}
+
+export interface Conflict {
+  existingId: number;
+}
+
+export interface NotFound {
+  message: string;
+}
+
+export interface Error {
+  code: number;
+  message?: string;
+}
+
+export type QueryParamsType = Record<string | number, any>;
+export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
+
+/** types of response headers, `key` is property of `typedHeaders` (`{ xTotalCount: { name: "X-Total-Count", type: "number" } }`) */
+export type ResponseHeaderTypes = Record<
+  string,
+  { name: string; type: "string" | "number" | "boolean" | "string[]" | "number[]" | "boolean[]" }
+>;
+
+export interface FullRequestParams extends Omit<RequestInit, "body"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** types of response headers, parsed headers are in `typedHeaders` of the response */
+  responseHeaderTypes?: ResponseHeaderTypes;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseFormat;
+  /** request body */
+  body?: unknown;
+  /** base url */
+  baseUrl?: string;
+  /** request cancellation token */
+  cancelToken?: CancelToken;
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> {
+  baseUrl?: string;
+  baseApiParams?: Omit<RequestParams, "baseUrl" | "cancelToken" | "signal">;
+  securityWorker?: (securityData: SecurityDataType | null) => Promise<RequestParams | void> | RequestParams | void;
+  customFetch?: typeof fetch;
+}
+
+export interface HttpResponse<D extends unknown, E extends unknown = unknown, H extends unknown = unknown>
+  extends Response {
+  data: D;
+  error: E;
+  /** parsed response headers (`responseHeaderTypes`) */
+  typedHeaders: H;
+}
+
+/** HTTP status codes, statuses of `2XX`-like and `default` responses in route results */
+export type HttpStatus =
+  | 100
+  | 101
+  | 102
+  | 103
+  | 200
+  | 201
+  | 202
+  | 203
+  | 204
+  | 205
+  | 206
+  | 207
+  | 208
+  | 226
+  | 300
+  | 301
+  | 302
+  | 303
+  | 304
+  | 305
+  | 307
+  | 308
+  | 400
+  | 401
+  | 402
+  | 403
+  | 404
+  | 405
+  | 406
+  | 407
+  | 408
+  | 409
+  | 410
+  | 411
+  | 412
+  | 413
+  | 414
+  | 415
+  | 416
+  | 417
+  | 418
+  | 421
+  | 422
+  | 423
+  | 424
+  | 425
+  | 426
+  | 428
+  | 429
+  | 431
+  | 451
+  | 500
+  | 501
+  | 502
+  | 503
+  | 504
+  | 505
+  | 506
+  | 507
+  | 508
+  | 510
+  | 511;
+
+/** `HttpStatusRange<"2">` - 2xx statuses */
+export type HttpStatusRange<Range extends "1" | "2" | "3" | "4" | "5"> = {
+  [Status in HttpStatus]: `${Status}` extends `${Range}${string}` ? Status : never;
+}[HttpStatus];
+
+/** response headers, names are in lower case */
+export type ResponseHeaders = Record<string, string | undefined>;
+
+/** result of the route discriminated by status, responses with 2xx statuses have `data`, other responses have `error` */
+export interface StatusResult {
+  status: number;
+  data?: unknown;
+  error?: unknown;
+  headers: ResponseHeaders;
+  /** parsed response headers (`responseHeaderTypes`) */
+  typedHeaders?: unknown;
+}
+
+type CancelToken = Symbol | string | number;
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public baseUrl: string = "http://localhost:8080/api/v1";
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private abortControllers = new Map<CancelToken, AbortController>();
+  private customFetch = (...fetchParams: Parameters<typeof fetch>) => fetch(...fetchParams);
+
+  private baseApiParams: RequestParams = {
+    credentials: "same-origin",
+    headers: {},
+    redirect: "follow",
+    referrerPolicy: "no-referrer",
+  };
+
+  constructor(apiConfig: ApiConfig<SecurityDataType> = {}) {
+    Object.assign(this, apiConfig);
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected encodeQueryParam(key: string, value: any) {
+    const encodedKey = encodeURIComponent(key);
+    return `${encodedKey}=${encodeURIComponent(typeof value === "number" ? value : `${value}`)}`;
+  }
+
+  protected addQueryParam(query: QueryParamsType, key: string) {
+    return this.encodeQueryParam(key, query[key]);
+  }
+
+  protected addArrayQueryParam(query: QueryParamsType, key: string) {
+    const value = query[key];
+    return value.map((v: any) => this.encodeQueryParam(key, v)).join("&");
+  }
+
+  protected toQueryString(rawQuery?: QueryParamsType): string {
+    const query = rawQuery || {};
+    const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
+    return keys
+      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .join("&");
+  }
+
+  protected addQueryParams(rawQuery?: QueryParamsType): string {
+    const queryString = this.toQueryString(rawQuery);
+    return queryString ? `?${queryString}` : "";
+  }
+
+  private contentFormatters: Record<ContentType, (input: any) => any> = {
+    [ContentType.Json]: (input: any) =>
+      input !== null && (typeof input === "object" || typeof input === "string") ? JSON.stringify(input) : input,
+    [ContentType.FormData]: (input: any) =>
+      Object.keys(input || {}).reduce((formData, key) => {
+        const property = input[key];
+        formData.append(
+          key,
+          property instanceof Blob
+            ? property
+            : typeof property === "object" && property !== null
+            ? JSON.stringify(property)
+            : `${property}`,
+        );
+        return formData;
+      }, new FormData()),
+    [ContentType.UrlEncoded]: (input: any) => this.toQueryString(input),
+  };
+
+  protected mergeRequestParams(params1: RequestParams, params2?: RequestParams): RequestParams {
+    return {
+      ...this.baseApiParams,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...(this.baseApiParams.headers || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected createAbortSignal = (cancelToken: CancelToken): AbortSignal | undefined => {
+    if (this.abortControllers.has(cancelToken)) {
+      const abortController = this.abortControllers.get(cancelToken);
+      if (abortController) {
+        return abortController.signal;
+      }
+      return void 0;
+    }
+
+    const abortController = new AbortController();
+    this.abortControllers.set(cancelToken, abortController);
+    return abortController.signal;
+  };
+
+  public abortRequest = (cancelToken: CancelToken) => {
+    const abortController = this.abortControllers.get(cancelToken);
+
+    if (abortController) {
+      abortController.abort();
+      this.abortControllers.delete(cancelToken);
+    }
+  };
+
+  /** parses values of response headers (`{ xTotalCount: { name: "X-Total-Count", type: "number" } }` -> `{ xTotalCount: 10 }`) */
+  protected parseResponseHeaders(
+    getHeader: (name: string) => unknown,
+    headerTypes: ResponseHeaderTypes = {},
+  ): Record<string, unknown> {
+    const parseValue = (value: string, type: string) =>
+      type.startsWith("number") ? Number(value) : type.startsWith("boolean") ? value === "true" : value;
+
+    return Object.keys(headerTypes).reduce((typedHeaders, key) => {
+      const { name, type } = headerTypes[key];
+      const rawValue = getHeader(name);
+
+      if (rawValue === null || typeof rawValue === "undefined") return typedHeaders;
+
+      const value = Array.isArray(rawValue) ? rawValue.join(", ") : `${rawValue}`;
+      typedHeaders[key] = type.endsWith("[]")
+        ? value.split(",").map((item) => parseValue(item.trim(), type))
+        : parseValue(value, type);
+
+      return typedHeaders;
+    }, {} as Record<string, unknown>);
+  }
+
+  protected toStatusResult(response: HttpResponse<unknown, unknown>): StatusResult {
+    const headers: ResponseHeaders = {};
+    response.headers.forEach((value, key) => {
+      headers[key.toLowerCase()] = value;
+    });
+
+    const { typedHeaders } = response;
+
+    return response.ok
+      ? { status: response.status, data: response.data, headers, typedHeaders }
+      : { status: response.status, error: response.error, headers, typedHeaders };
+  }
+
+  public request = async <R extends StatusResult = StatusResult, T = unknown, E = unknown>({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    responseHeaderTypes,
+    ...params
+  }: FullRequestParams): Promise<R> => {
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.baseApiParams.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const queryString = query && this.toQueryString(query);
+    const payloadFormatter = this.contentFormatters[type || ContentType.Json];
+    const responseFormat = format || requestParams.format;
+
+    return this.customFetch(`${baseUrl || this.baseUrl || ""}${path}${queryString ? `?${queryString}` : ""}`, {
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      signal: cancelToken ? this.createAbortSignal(cancelToken) : requestParams.signal,
+      body: typeof body === "undefined" || body === null ? null : payloadFormatter(body),
+    }).then(async (response) => {
+      const r = response as HttpResponse<T, E>;
+      r.data = null as unknown as T;
+      r.error = null as unknown as E;
+      r.typedHeaders = this.parseResponseHeaders(
+        (name) => response.headers.get(name),
+        responseHeaderTypes,
+      ) as typeof r.typedHeaders;
+
+      const data = !responseFormat
+        ? r
+        : await response[responseFormat]()
+            .then((data) => {
+              if (r.ok) {
+                r.data = data;
+              } else {
+                r.error = data;
+              }
+              return r;
+            })
+            .catch((e) => {
+              r.error = e;
+              return r;
+            });
+
+      if (cancelToken) {
+        this.abortControllers.delete(cancelToken);
+      }
+
+      return this.toStatusResult(data) as R;
+    });
+  };
+}
+
+/**
+ * @title Status-discriminated results
+ * @version 1.0.0
+ * @baseUrl http://localhost:8080/api/v1
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  pets = {
+    /**
+     * No description
+     *
+     * @name ListPets
+     * @request GET:/pets
+     */
+    listPets: (params: RequestParams = {}) =>
+      this.request<
+        | {
+            status: 200;
+            data: Pet[];
+            headers: {
+              "x-total-count": string;
+              "x-rate-limit"?: string;
+              [key: string]: string | undefined;
+            };
+            typedHeaders: {
+              xTotalCount: number;
+              /** requests left */
+              xRateLimit?: number;
+            };
+          }
+        | { status: Exclude<HttpStatusRange<"2">, 200>; data: Error; headers: ResponseHeaders }
+        | { status: Exclude<HttpStatus, HttpStatusRange<"2">>; error: Error; headers: ResponseHeaders }
+      >({
+        path: `/pets`,
+        method: "GET",
+        format: "json",
+        responseHeaderTypes: {
+          xTotalCount: { name: "X-Total-Count", type: "number" },
+          xRateLimit: { name: "X-Rate-Limit", type: "number" },
+        },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreatePet
+     * @request POST:/pets
+     */
+    createPet: (data: Pet, params: RequestParams = {}) =>
+      this.request<
+        | { status: 201; data: Pet; headers: ResponseHeaders }
+        | { status: 204; data: void; headers: ResponseHeaders }
+        | { status: 409; error: Conflict; headers: ResponseHeaders }
+      >({
+        path: `/pets`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetPet
+     * @request GET:/pets/{petId}
+     */
+    getPet: (petId: number, params: RequestParams = {}) =>
+      this.request<
+        | { status: 404; error: NotFound; headers: ResponseHeaders }
+        | { status: HttpStatusRange<"2">; data: Pet; headers: ResponseHeaders }
+        | { status: Exclude<HttpStatusRange<"4">, 404>; error: Error; headers: ResponseHeaders }
+      >({
+        path: `/pets/${petId}`,
+        method: "GET",
+        format: "json",
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name DeletePet
+     * @request DELETE:/pets/{petId}
+     */
+    deletePet: (petId: number, params: RequestParams = {}) =>
+      this.request<
+        | { status: HttpStatusRange<"2">; data: any; headers: ResponseHeaders }
+        | { status: Exclude<HttpStatus, HttpStatusRange<"2">>; error: any; headers: ResponseHeaders }
+      >({
+        path: `/pets/${petId}`,
+        method: "DELETE",
+        ...params,
+      }),
+  };
+}
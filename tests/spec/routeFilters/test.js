@@ -0,0 +1,30 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  generateApiForTest({
+    testName: "route filters test",
+    silent: true,
+    name: apiFileName,
+    input: absolutePath,
+    output: resolve(__dirname, "./"),
+    extractRequestParams: true,
+    includePaths: ["/users/**", "/admin/*", "/pets"],
+    excludeTags: ["admin"],
+    excludeMethods: ["DELETE"],
+    excludeOperationIds: ["^internal"],
+    hooks: {
+      onCreateRoute: (routeData) => {
+        if (routeData.raw.operationId === "createUser") return false;
+      },
+    },
+  }).then(() => {
+    validateGeneratedModule(resolve(__dirname, `./${apiFileName}`));
+    assertGeneratedModule(resolve(__dirname, `./${apiFileName}`), resolve(__dirname, `./expected.ts`));
+  });
+});
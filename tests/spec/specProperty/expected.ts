@@ -9,10 +9,10 @@
  * ---------------------------------------------------------------
  */
 
-export type Pet = NewPet & {
+export interface Pet extends NewPet {
   /** @format int64 */
   id: number;
-};
+}
 
 export interface NewPet {
   name: string;
@@ -0,0 +1,38 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  generateApiForTest({
+    testName: "split read/write models test",
+    silent: true,
+    name: apiFileName,
+    input: absolutePath,
+    output: resolve(__dirname, "./"),
+    splitReadWriteModels: true,
+  }).then(() => {
+    validateGeneratedModule(resolve(__dirname, `./${apiFileName}`));
+    assertGeneratedModule(resolve(__dirname, `./${apiFileName}`), resolve(__dirname, `./expected.ts`));
+  });
+
+  // request variants of models (`UserInput`) are used by routes, unused models (`LegacyUser`) are pruned
+  generateApiForTest({
+    testName: "split read/write models with pruned unused types test",
+    silent: true,
+    name: apiFileName,
+    input: absolutePath,
+    output: resolve(__dirname, "./pruneUnusedTypes"),
+    splitReadWriteModels: true,
+    pruneUnusedTypes: true,
+  }).then(() => {
+    validateGeneratedModule(resolve(__dirname, `./pruneUnusedTypes/${apiFileName}`));
+    assertGeneratedModule(
+      resolve(__dirname, `./pruneUnusedTypes/${apiFileName}`),
+      resolve(__dirname, `./pruneUnusedTypes/expected.ts`),
+    );
+  });
+});
@@ -1059,7 +1059,7 @@ export interface OrgTeamsPost {
 /**
  * A GitHub organization
  */
-export type Organization = Actor;
+export interface Organization extends Actor {}
 
 export interface OrganizationAsTeamMember {
   errors?: {
@@ -1885,7 +1885,7 @@ export interface Trees {
 /**
  * A GitHub user
  */
-export type User = Actor;
+export interface User extends Actor {}
 
 export type UserEmails = string[];
 
@@ -0,0 +1,33 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export type Point = [number, number];
+
+/** @minItems 2 */
+export type Point3D = [number, number, number?];
+
+export type Polyline = [Point, Point, ...Point[]];
+
+/** @minItems 3 */
+export type Labels = [string, any, any, ...any[]];
+
+/** @maxItems 2 */
+export type Truncated = [string, number];
+
+export type NullableRange = [number, number] | null;
+
+export type Tags = string[];
+
+export interface Segment {
+  start: Point;
+  /** @minItems 1 */
+  end?: [number, (number | string)?];
+}
@@ -971,7 +971,7 @@ export interface SwaggerTypeOrgTeamsPostGeneratedDataContract {
   repo_names?: string[];
 }
 
-export type SwaggerTypeOrganizationGeneratedDataContract = SwaggerTypeActorGeneratedDataContract;
+export interface SwaggerTypeOrganizationGeneratedDataContract extends SwaggerTypeActorGeneratedDataContract {}
 
 export interface SwaggerTypeOrganizationAsTeamMemberGeneratedDataContract {
   errors?: {
@@ -1738,7 +1738,7 @@ export interface SwaggerTypeTreesGeneratedDataContract {
   url?: string;
 }
 
-export type SwaggerTypeUserGeneratedDataContract = SwaggerTypeActorGeneratedDataContract;
+export interface SwaggerTypeUserGeneratedDataContract extends SwaggerTypeActorGeneratedDataContract {}
 
 export type SwaggerTypeUserEmailsGeneratedDataContract = string[];
 
@@ -0,0 +1,266 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+export interface Pet {
+  id: number;
+  name: string;
+}
+
+export interface Error {
+  code: number;
+}
+
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse, HeadersDefaults, ResponseType } from "axios";
+
+export type QueryParamsType = Record<string | number, any>;
+
+/** types of response headers, `key` is property of `typedHeaders` (`{ xTotalCount: { name: "X-Total-Count", type: "number" } }`) */
+export type ResponseHeaderTypes = Record<
+  string,
+  { name: string; type: "string" | "number" | "boolean" | "string[]" | "number[]" | "boolean[]" }
+>;
+
+export interface FullRequestParams extends Omit<AxiosRequestConfig, "data" | "params" | "url" | "responseType"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** types of response headers, parsed headers are in `typedHeaders` of the response */
+  responseHeaderTypes?: ResponseHeaderTypes;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseType;
+  /** request body */
+  body?: unknown;
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> extends Omit<AxiosRequestConfig, "data" | "cancelToken"> {
+  securityWorker?: (
+    securityData: SecurityDataType | null,
+  ) => Promise<AxiosRequestConfig | void> | AxiosRequestConfig | void;
+  secure?: boolean;
+  format?: ResponseType;
+}
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public instance: AxiosInstance;
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private secure?: boolean;
+  private format?: ResponseType;
+
+  constructor({ securityWorker, secure, format, ...axiosConfig }: ApiConfig<SecurityDataType> = {}) {
+    this.instance = axios.create({ ...axiosConfig, baseURL: axiosConfig.baseURL || "http://localhost:8080/api/v1" });
+    this.secure = secure;
+    this.format = format;
+    this.securityWorker = securityWorker;
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected mergeRequestParams(params1: AxiosRequestConfig, params2?: AxiosRequestConfig): AxiosRequestConfig {
+    const method = params1.method || (params2 && params2.method);
+
+    return {
+      ...this.instance.defaults,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...((method && this.instance.defaults.headers[method.toLowerCase() as keyof HeadersDefaults]) || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected stringifyFormItem(formItem: unknown) {
+    if (typeof formItem === "object" && formItem !== null) {
+      return JSON.stringify(formItem);
+    } else {
+      return `${formItem}`;
+    }
+  }
+
+  protected createFormData(input: Record<string, unknown>): FormData {
+    return Object.keys(input || {}).reduce((formData, key) => {
+      const property = input[key];
+      const propertyContent: any[] = property instanceof Array ? property : [property];
+
+      for (const formItem of propertyContent) {
+        const isFileType = formItem instanceof Blob || formItem instanceof File;
+        formData.append(key, isFileType ? formItem : this.stringifyFormItem(formItem));
+      }
+
+      return formData;
+    }, new FormData());
+  }
+
+  /** parses values of response headers (`{ xTotalCount: { name: "X-Total-Count", type: "number" } }` -> `{ xTotalCount: 10 }`) */
+  protected parseResponseHeaders(
+    getHeader: (name: string) => unknown,
+    headerTypes: ResponseHeaderTypes = {},
+  ): Record<string, unknown> {
+    const parseValue = (value: string, type: string) =>
+      type.startsWith("number") ? Number(value) : type.startsWith("boolean") ? value === "true" : value;
+
+    return Object.keys(headerTypes).reduce((typedHeaders, key) => {
+      const { name, type } = headerTypes[key];
+      const rawValue = getHeader(name);
+
+      if (rawValue === null || typeof rawValue === "undefined") return typedHeaders;
+
+      const value = Array.isArray(rawValue) ? rawValue.join(", ") : `${rawValue}`;
+      typedHeaders[key] = type.endsWith("[]")
+        ? value.split(",").map((item) => parseValue(item.trim(), type))
+        : parseValue(value, type);
+
+      return typedHeaders;
+    }, {} as Record<string, unknown>);
+  }
+
+  public request = async <T = any, _E = any, H = unknown>({
+    secure,
+    path,
+    type,
+    query,
+    format,
+    body,
+    responseHeaderTypes,
+    ...params
+  }: FullRequestParams): Promise<AxiosResponse<T> & { typedHeaders: H }> => {
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const responseFormat = format || this.format || undefined;
+
+    if (type === ContentType.FormData && body && body !== null && typeof body === "object") {
+      body = this.createFormData(body as Record<string, unknown>);
+    }
+
+    return this.instance
+      .request({
+        ...requestParams,
+        headers: {
+          ...(requestParams.headers || {}),
+          ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+        },
+        params: query,
+        responseType: responseFormat,
+        data: body,
+        url: path,
+      })
+      .then((response) => {
+        const typedHeaders = this.parseResponseHeaders(
+          (name) => response.headers[name.toLowerCase()],
+          responseHeaderTypes,
+        );
+        return Object.assign(response, { typedHeaders: typedHeaders as H });
+      });
+  };
+}
+
+/**
+ * @title Typed response headers
+ * @version 1.0.0
+ * @baseUrl http://localhost:8080/api/v1
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  pets = {
+    /**
+     * No description
+     *
+     * @name ListPets
+     * @request GET:/pets
+     */
+    listPets: (params: RequestParams = {}) =>
+      this.request<
+        Pet[],
+        void | Error,
+        {
+          /** total number of pets */
+          xTotalCount: number;
+          eTag?: string;
+          /** requests left */
+          "X-Rate-Limit"?: number;
+          xTags?: string[];
+          xCached?: boolean;
+        }
+      >({
+        path: `/pets`,
+        method: "GET",
+        format: "json",
+        responseHeaderTypes: {
+          xTotalCount: { name: "X-Total-Count", type: "number" },
+          eTag: { name: "ETag", type: "string" },
+          "X-Rate-Limit": { name: "X-Rate-Limit", type: "number" },
+          xTags: { name: "X-Tags", type: "string[]" },
+          xCached: { name: "X-Cached", type: "boolean" },
+          "x-rate-limit": { name: "x-rate-limit", type: "string" },
+          xRequestId: { name: "X-Request-Id", type: "string" },
+        },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name CreatePet
+     * @request POST:/pets
+     */
+    createPet: (data: Pet, params: RequestParams = {}) =>
+      this.request<
+        Pet,
+        any,
+        {
+          location: string;
+          eTag?: string;
+        }
+      >({
+        path: `/pets`,
+        method: "POST",
+        body: data,
+        type: ContentType.Json,
+        format: "json",
+        responseHeaderTypes: { location: { name: "Location", type: "string" }, eTag: { name: "ETag", type: "string" } },
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name GetPet
+     * @request GET:/pets/{petId}
+     */
+    getPet: (petId: number, params: RequestParams = {}) =>
+      this.request<Pet, any>({
+        path: `/pets/${petId}`,
+        method: "GET",
+        format: "json",
+        ...params,
+      }),
+  };
+}
@@ -0,0 +1,38 @@
+const { generateApiForTest } = require("../../helpers/generateApiForTest");
+const { resolve } = require("path");
+const validateGeneratedModule = require("../../helpers/validateGeneratedModule");
+const assertGeneratedModule = require("../../helpers/assertGeneratedModule");
+const createSchemaInfos = require("../../helpers/createSchemaInfos");
+
+const schemas = createSchemaInfos({ absolutePathToSchemas: resolve(__dirname, "./") });
+
+const variants = [
+  { outputDir: "fetch", httpClientType: "fetch", unwrapResponseData: false },
+  { outputDir: "axios", httpClientType: "axios", unwrapResponseData: false },
+  { outputDir: "axiosUnwrapResponseData", httpClientType: "axios", unwrapResponseData: true },
+];
+
+schemas.forEach(({ absolutePath, apiFileName }) => {
+  Promise.all(
+    variants.map(({ outputDir, httpClientType, unwrapResponseData }) =>
+      generateApiForTest({
+        testName: `--typed-response-headers option (${outputDir}) test`,
+        silent: true,
+        name: apiFileName,
+        input: absolutePath,
+        output: resolve(__dirname, `./${outputDir}`),
+        httpClientType,
+        unwrapResponseData,
+        typedResponseHeaders: true,
+      }),
+    ),
+  ).then(() => {
+    variants.forEach(({ outputDir }) => {
+      validateGeneratedModule(resolve(__dirname, `./${outputDir}/${apiFileName}`));
+      assertGeneratedModule(
+        resolve(__dirname, `./${outputDir}/${apiFileName}`),
+        resolve(__dirname, `./${outputDir}/expected.ts`),
+      );
+    });
+  });
+});
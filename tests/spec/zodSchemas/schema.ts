@@ -0,0 +1,524 @@
+/* eslint-disable */
+/* tslint:disable */
+/*
+ * ---------------------------------------------------------------
+ * ## THIS FILE WAS GENERATED VIA SWAGGER-TYPESCRIPT-API        ##
+ * ##                                                           ##
+ * ## AUTHOR: acacode                                           ##
+ * ## SOURCE: https://github.com/acacode/swagger-typescript-api ##
+ * ---------------------------------------------------------------
+ */
+
+import { z } from "zod";
+
+export enum Role {
+  Admin = "admin",
+  User = "user",
+}
+
+export interface User {
+  /** @format uuid */
+  id: string;
+  /**
+   * @format email
+   * @maxLength 255
+   */
+  email: string;
+  /**
+   * @minLength 1
+   * @pattern ^[A-Z][a-z]+$
+   */
+  name?: string | null;
+  /**
+   * @min 0
+   * @max 150
+   * @exclusiveMax true
+   */
+  age?: number;
+  /** @multipleOf 0.5 */
+  score?: number;
+  role?: Role;
+  status?: "active" | "blocked" | null;
+  /** @format date-time */
+  createdAt?: string;
+  /** @format uri */
+  website?: string;
+  /**
+   * @maxItems 10
+   * @minItems 1
+   */
+  tags?: string[];
+  location?: [number, number, ...number[]];
+  settings?: Record<string, boolean>;
+  /** @format binary */
+  avatar?: File;
+}
+
+export interface Category {
+  name: string;
+  parent?: Category;
+  children?: Category[];
+}
+
+export type Pet =
+  | (Cat & {
+      petType: "cat";
+    })
+  | (Dog & {
+      petType: "dog";
+    });
+
+export interface Cat extends PetBase {
+  livesLeft?: number;
+}
+
+export interface Dog extends PetBase {
+  bark?: "loud" | "quiet";
+}
+
+export type NonEmptyName = Exclude<string, "">;
+
+export type Tagged = Category & {
+  tag: string;
+  [key: string]: any;
+};
+
+export interface PetBase {
+  petType: string;
+  name?: string;
+}
+
+export const RoleSchema: z.ZodType<Role> = z.nativeEnum(Role);
+export const UserSchema: z.ZodType<User> = z.object({
+  id: z.string().uuid(),
+  email: z.string().email().max(255),
+  name: z.string().min(1).regex(new RegExp("^[A-Z][a-z]+$")).nullable().optional(),
+  age: z.number().int().gte(0).lt(150).optional(),
+  score: z.number().multipleOf(0.5).optional(),
+  role: z.lazy(() => RoleSchema).optional(),
+  status: z.enum(["active", "blocked"]).nullable().optional(),
+  createdAt: z.string().datetime({ offset: true }).optional(),
+  website: z.string().url().optional(),
+  tags: z.array(z.string()).min(1).max(10).optional(),
+  location: z.tuple([z.number(), z.number()]).rest(z.number()).optional(),
+  settings: z.record(z.string(), z.boolean()).optional(),
+  avatar: z.custom<File>((value) => value instanceof Blob).optional(),
+});
+export const CategorySchema: z.ZodType<Category> = z.object({
+  name: z.string(),
+  parent: z.lazy(() => CategorySchema).optional(),
+  children: z.array(z.lazy(() => CategorySchema)).optional(),
+});
+export const PetSchema: z.ZodType<Pet> = z.union([
+  z.lazy(() => CatSchema).and(z.object({ petType: z.literal("cat") })),
+  z.lazy(() => DogSchema).and(z.object({ petType: z.literal("dog") })),
+]);
+export const CatSchema: z.ZodType<Cat> = z
+  .lazy(() => PetBaseSchema)
+  .and(z.object({ livesLeft: z.number().int().optional() }));
+export const DogSchema: z.ZodType<Dog> = z
+  .lazy(() => PetBaseSchema)
+  .and(z.object({ bark: z.enum(["loud", "quiet"]).optional() }));
+export const NonEmptyNameSchema: z.ZodType<NonEmptyName> = z
+  .string()
+  .refine((value) => !z.literal("").safeParse(value).success) as unknown as z.ZodType<Exclude<string, "">>;
+export const TaggedSchema: z.ZodType<Tagged> = z
+  .lazy(() => CategorySchema)
+  .and(z.object({ tag: z.string() }).passthrough());
+export const PetBaseSchema: z.ZodType<PetBase> = z.object({ petType: z.string(), name: z.string().optional() });
+
+export namespace Users {
+  /**
+   * No description
+   * @name GetUser
+   * @request GET:/users/{userId}
+   */
+  export namespace GetUser {
+    export type RequestParams = {
+      /** @format uuid */
+      userId: string;
+    };
+    export type RequestQuery = {
+      fields?: ("name" | "email" | "role")[];
+    };
+    export type RequestBody = never;
+    export type RequestHeaders = {};
+    export type ResponseBody = User;
+  }
+  /**
+   * No description
+   * @name UpdateUser
+   * @request PUT:/users/{userId}
+   */
+  export namespace UpdateUser {
+    export type RequestParams = {
+      /** @format uuid */
+      userId: string;
+    };
+    export type RequestQuery = {};
+    export type RequestBody = User;
+    export type RequestHeaders = {};
+    export type ResponseBody = void;
+  }
+}
+
+export namespace UsersSchemas {
+  export const GetUserRequestParams: z.ZodType<Users.GetUser.RequestParams> = z.object({ userId: z.string().uuid() });
+  export const GetUserRequestQuery: z.ZodType<Users.GetUser.RequestQuery> = z.object({
+    fields: z.array(z.enum(["name", "email", "role"])).optional(),
+  });
+  export const GetUserResponseBody: z.ZodType<Users.GetUser.ResponseBody> = z.lazy(() => UserSchema);
+  export const UpdateUserRequestParams: z.ZodType<Users.UpdateUser.RequestParams> = z.object({
+    userId: z.string().uuid(),
+  });
+  export const UpdateUserRequestBody: z.ZodType<Users.UpdateUser.RequestBody> = z.lazy(() => UserSchema);
+}
+
+export namespace Categories {
+  /**
+   * No description
+   * @name GetCategories
+   * @request GET:/categories
+   */
+  export namespace GetCategories {
+    export type RequestParams = {};
+    export type RequestQuery = {};
+    export type RequestBody = never;
+    export type RequestHeaders = {};
+    export type ResponseBody = Category[];
+  }
+}
+
+export namespace CategoriesSchemas {
+  export const GetCategoriesResponseBody: z.ZodType<Categories.GetCategories.ResponseBody> = z.array(
+    z.lazy(() => CategorySchema),
+  );
+}
+
+export namespace Pets {
+  /**
+   * No description
+   * @name GetPets
+   * @request GET:/pets
+   */
+  export namespace GetPets {
+    export type RequestParams = {};
+    export type RequestQuery = {
+      /**
+       * @min 1
+       * @max 100
+       */
+      limit?: number;
+    };
+    export type RequestBody = never;
+    export type RequestHeaders = {};
+    export type ResponseBody = Pet[];
+  }
+}
+
+export namespace PetsSchemas {
+  export const GetPetsRequestQuery: z.ZodType<Pets.GetPets.RequestQuery> = z.object({
+    limit: z.number().int().gte(1).lte(100).optional(),
+  });
+  export const GetPetsResponseBody: z.ZodType<Pets.GetPets.ResponseBody> = z.array(z.lazy(() => PetSchema));
+}
+
+export type QueryParamsType = Record<string | number, any>;
+export type ResponseFormat = keyof Omit<Body, "body" | "bodyUsed">;
+
+export interface FullRequestParams extends Omit<RequestInit, "body"> {
+  /** set parameter to `true` for call `securityWorker` for this request */
+  secure?: boolean;
+  /** request path */
+  path: string;
+  /** content type of request body */
+  type?: ContentType;
+  /** query params */
+  query?: QueryParamsType;
+  /** format of response (i.e. response.json() -> format: "json") */
+  format?: ResponseFormat;
+  /** request body */
+  body?: unknown;
+  /** base url */
+  baseUrl?: string;
+  /** request cancellation token */
+  cancelToken?: CancelToken;
+  /** schema for validation of response body (zod schema) */
+  responseSchema?: { parse: (data: unknown) => unknown };
+}
+
+export type RequestParams = Omit<FullRequestParams, "body" | "method" | "query" | "path">;
+
+export interface ApiConfig<SecurityDataType = unknown> {
+  baseUrl?: string;
+  baseApiParams?: Omit<RequestParams, "baseUrl" | "cancelToken" | "signal">;
+  securityWorker?: (securityData: SecurityDataType | null) => Promise<RequestParams | void> | RequestParams | void;
+  customFetch?: typeof fetch;
+}
+
+export interface HttpResponse<D extends unknown, E extends unknown = unknown> extends Response {
+  data: D;
+  error: E;
+}
+
+type CancelToken = Symbol | string | number;
+
+export enum ContentType {
+  Json = "application/json",
+  FormData = "multipart/form-data",
+  UrlEncoded = "application/x-www-form-urlencoded",
+}
+
+export class HttpClient<SecurityDataType = unknown> {
+  public baseUrl: string = "";
+  private securityData: SecurityDataType | null = null;
+  private securityWorker?: ApiConfig<SecurityDataType>["securityWorker"];
+  private abortControllers = new Map<CancelToken, AbortController>();
+  private customFetch = (...fetchParams: Parameters<typeof fetch>) => fetch(...fetchParams);
+
+  private baseApiParams: RequestParams = {
+    credentials: "same-origin",
+    headers: {},
+    redirect: "follow",
+    referrerPolicy: "no-referrer",
+  };
+
+  constructor(apiConfig: ApiConfig<SecurityDataType> = {}) {
+    Object.assign(this, apiConfig);
+  }
+
+  public setSecurityData = (data: SecurityDataType | null) => {
+    this.securityData = data;
+  };
+
+  protected encodeQueryParam(key: string, value: any) {
+    const encodedKey = encodeURIComponent(key);
+    return `${encodedKey}=${encodeURIComponent(typeof value === "number" ? value : `${value}`)}`;
+  }
+
+  protected addQueryParam(query: QueryParamsType, key: string) {
+    return this.encodeQueryParam(key, query[key]);
+  }
+
+  protected addArrayQueryParam(query: QueryParamsType, key: string) {
+    const value = query[key];
+    return value.map((v: any) => this.encodeQueryParam(key, v)).join("&");
+  }
+
+  protected toQueryString(rawQuery?: QueryParamsType): string {
+    const query = rawQuery || {};
+    const keys = Object.keys(query).filter((key) => "undefined" !== typeof query[key]);
+    return keys
+      .map((key) => (Array.isArray(query[key]) ? this.addArrayQueryParam(query, key) : this.addQueryParam(query, key)))
+      .join("&");
+  }
+
+  protected addQueryParams(rawQuery?: QueryParamsType): string {
+    const queryString = this.toQueryString(rawQuery);
+    return queryString ? `?${queryString}` : "";
+  }
+
+  private contentFormatters: Record<ContentType, (input: any) => any> = {
+    [ContentType.Json]: (input: any) =>
+      input !== null && (typeof input === "object" || typeof input === "string") ? JSON.stringify(input) : input,
+    [ContentType.FormData]: (input: any) =>
+      Object.keys(input || {}).reduce((formData, key) => {
+        const property = input[key];
+        formData.append(
+          key,
+          property instanceof Blob
+            ? property
+            : typeof property === "object" && property !== null
+            ? JSON.stringify(property)
+            : `${property}`,
+        );
+        return formData;
+      }, new FormData()),
+    [ContentType.UrlEncoded]: (input: any) => this.toQueryString(input),
+  };
+
+  protected mergeRequestParams(params1: RequestParams, params2?: RequestParams): RequestParams {
+    return {
+      ...this.baseApiParams,
+      ...params1,
+      ...(params2 || {}),
+      headers: {
+        ...(this.baseApiParams.headers || {}),
+        ...(params1.headers || {}),
+        ...((params2 && params2.headers) || {}),
+      },
+    };
+  }
+
+  protected createAbortSignal = (cancelToken: CancelToken): AbortSignal | undefined => {
+    if (this.abortControllers.has(cancelToken)) {
+      const abortController = this.abortControllers.get(cancelToken);
+      if (abortController) {
+        return abortController.signal;
+      }
+      return void 0;
+    }
+
+    const abortController = new AbortController();
+    this.abortControllers.set(cancelToken, abortController);
+    return abortController.signal;
+  };
+
+  public abortRequest = (cancelToken: CancelToken) => {
+    const abortController = this.abortControllers.get(cancelToken);
+
+    if (abortController) {
+      abortController.abort();
+      this.abortControllers.delete(cancelToken);
+    }
+  };
+
+  public request = async <T = any, E = any>({
+    body,
+    secure,
+    path,
+    type,
+    query,
+    format,
+    baseUrl,
+    cancelToken,
+    responseSchema,
+    ...params
+  }: FullRequestParams): Promise<HttpResponse<T, E>> => {
+    const secureParams =
+      ((typeof secure === "boolean" ? secure : this.baseApiParams.secure) &&
+        this.securityWorker &&
+        (await this.securityWorker(this.securityData))) ||
+      {};
+    const requestParams = this.mergeRequestParams(params, secureParams);
+    const queryString = query && this.toQueryString(query);
+    const payloadFormatter = this.contentFormatters[type || ContentType.Json];
+    const responseFormat = format || requestParams.format;
+
+    return this.customFetch(`${baseUrl || this.baseUrl || ""}${path}${queryString ? `?${queryString}` : ""}`, {
+      ...requestParams,
+      headers: {
+        ...(requestParams.headers || {}),
+        ...(type && type !== ContentType.FormData ? { "Content-Type": type } : {}),
+      },
+      signal: cancelToken ? this.createAbortSignal(cancelToken) : requestParams.signal,
+      body: typeof body === "undefined" || body === null ? null : payloadFormatter(body),
+    }).then(async (response) => {
+      const r = response as HttpResponse<T, E>;
+      r.data = null as unknown as T;
+      r.error = null as unknown as E;
+
+      const data = !responseFormat
+        ? r
+        : await response[responseFormat]()
+            .then((data) => {
+              if (r.ok) {
+                r.data = data;
+              } else {
+                r.error = data;
+              }
+              return r;
+            })
+            .catch((e) => {
+              r.error = e;
+              return r;
+            });
+
+      if (cancelToken) {
+        this.abortControllers.delete(cancelToken);
+      }
+
+      if (response.ok && responseSchema) responseSchema.parse(data.data);
+
+      if (!response.ok) throw data;
+      return data;
+    });
+  };
+}
+
+/**
+ * @title Zod schemas
+ * @version 1.0.0
+ */
+export class Api<SecurityDataType extends unknown> extends HttpClient<SecurityDataType> {
+  users = {
+    /**
+     * No description
+     *
+     * @name GetUser
+     * @request GET:/users/{userId}
+     */
+    getUser: (
+      userId: string,
+      query?: {
+        fields?: ("name" | "email" | "role")[];
+      },
+      params: RequestParams = {},
+    ) =>
+      this.request<User, any>({
+        path: `/users/${userId}`,
+        method: "GET",
+        query: query,
+        format: "json",
+        responseSchema: z.lazy(() => UserSchema),
+        ...params,
+      }),
+
+    /**
+     * No description
+     *
+     * @name UpdateUser
+     * @request PUT:/users/{userId}
+     */
+    updateUser: (userId: string, data: User, params: RequestParams = {}) =>
+      this.request<void, any>({
+        path: `/users/${userId}`,
+        method: "PUT",
+        body: data,
+        type: ContentType.Json,
+        ...params,
+      }),
+  };
+  categories = {
+    /**
+     * No description
+     *
+     * @name GetCategories
+     * @request GET:/categories
+     */
+    getCategories: (params: RequestParams = {}) =>
+      this.request<Category[], any>({
+        path: `/categories`,
+        method: "GET",
+        format: "json",
+        responseSchema: z.array(z.lazy(() => CategorySchema)),
+        ...params,
+      }),
+  };
+  pets = {
+    /**
+     * No description
+     *
+     * @name GetPets
+     * @request GET:/pets
+     */
+    getPets: (
+      query?: {
+        /**
+         * @min 1
+         * @max 100
+         */
+        limit?: number;
+      },
+      params: RequestParams = {},
+    ) =>
+      this.request<Pet[], any>({
+        path: `/pets`,
+        method: "GET",
+        query: query,
+        format: "json",
+        responseSchema: z.array(z.lazy(() => PetSchema)),
+        ...params,
+      }),
+  };
+}
@@ -4,8 +4,9 @@ const validateGeneratedModule = require("./helpers/validateGeneratedModule");
 
 const v2ApiPaths = createGeneratedApiInfos(resolve(__dirname, "./generated/v2.0"));
 const v3ApiPaths = createGeneratedApiInfos(resolve(__dirname, "./generated/v3.0"));
+const v31ApiPaths = createGeneratedApiInfos(resolve(__dirname, "./generated/v3.1"));
 
-[...v2ApiPaths, ...v3ApiPaths].forEach((pathToFile) => {
+[...v2ApiPaths, ...v3ApiPaths, ...v31ApiPaths].forEach((pathToFile) => {
   validateGeneratedModule(pathToFile);
 });
 